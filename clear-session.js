@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Clears saved Grain sessions
+ * The next upload for each affected account logs in from scratch
+ *
+ * Usage:
+ *   node clear-session.js                 # clear every saved session
+ *   node clear-session.js me@example.com  # clear one account's session
+ */
+
+const { clearSessions } = require('./src/session');
+const logger = require('./src/utils/logger');
+
+const email = process.argv[2];
+
+try {
+  const removed = clearSessions(email);
+
+  if (email) {
+    logger.log(removed > 0
+      ? `✓ Cleared saved Grain session for ${email}`
+      : `No saved Grain session found for ${email}`);
+  } else {
+    logger.log(`✓ Cleared ${removed} saved Grain session(s)`);
+  }
+
+  process.exit(0);
+} catch (error) {
+  logger.error(`✗ Could not clear saved sessions: ${error.message}`);
+  process.exit(1);
+}
@@ -11,6 +11,8 @@ module.exports = {
     autorestart: true,
     watch: false,
     max_memory_restart: '500M',
+    // Longer than SHUTDOWN_TIMEOUT_SECONDS, so the current upload can finish before PM2 kills the process
+    kill_timeout: 70000,
     env: {
       NODE_ENV: 'production'
     },
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the mock Grain server (see src/mockGrain.js) for offline end-to-end testing
+ *
+ * Usage:
+ *   node mock-grain.js
+ *   node mock-grain.js --port=4010 --scenario=slow-start
+ *   node mock-grain.js --start-delay=90 --processing=30 --host=0.0.0.0
+ *   MOCK_GRAIN_SCENARIO=login-error node mock-grain.js
+ *
+ * Then run the uploader (or test-login.js / test-upload.js) with
+ *   GRAIN_BASE_URL=http://127.0.0.1:4010
+ *
+ * Switch the scenario while it runs:
+ *   curl -X POST "http://127.0.0.1:4010/__mock/scenario?name=server-error"
+ */
+
+const { SCENARIOS, DEFAULT_PORT, startMockGrain } = require('./src/mockGrain');
+const logger = require('./src/utils/logger');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+/**
+ * Reads a --name=value argument
+ * @param {string} name - Argument name
+ * @returns {string|undefined} The value
+ */
+function getArg(name) {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+/**
+ * Reads a numeric --name=value argument
+ * @param {string} name - Argument name
+ * @returns {number|undefined} The value
+ */
+function getNumberArg(name) {
+  const value = getArg(name);
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    logger.error(`--${name} must be a number, got "${value}"`);
+    process.exit(1);
+  }
+  return number;
+}
+
+if (args.includes('--help')) {
+  console.log('');
+  console.log('Usage: node mock-grain.js [--port=4010] [--host=127.0.0.1] [--scenario=ok] [--start-delay=90] [--processing=30]');
+  console.log('');
+  console.log('Scenarios:');
+  for (const [name, description] of Object.entries(SCENARIOS)) {
+    console.log(`  ${name.padEnd(16)} ${description}`);
+  }
+  console.log('');
+  process.exit(0);
+}
+
+const options = {
+  port: getNumberArg('port') !== undefined ? getNumberArg('port') : DEFAULT_PORT,
+  host: getArg('host'),
+  scenario: getArg('scenario') || process.env.MOCK_GRAIN_SCENARIO || 'ok',
+  startDelaySeconds: getNumberArg('start-delay'),
+  processingSeconds: getNumberArg('processing')
+};
+
+startMockGrain(options)
+  .then((mock) => {
+    logger.log(`Run the uploader against it with GRAIN_BASE_URL=${mock.url}`);
+    logger.log(`Switch scenarios with: curl -X POST "${mock.url}/__mock/scenario?name=<scenario>"`);
+
+    const shutdown = () => {
+      logger.log('Stopping mock Grain server...');
+      mock.close().then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  })
+  .catch((error) => {
+    logger.error(`Could not start the mock Grain server: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,469 @@
+/**
+ * Grain authentication module
+ * One place for logging into Grain, shared by the uploader and the login test.
+ *
+ * Strategies (AUTH_STRATEGY, or `strategy` on a watch-config account):
+ * - google: "Sign in with Google" OAuth flow with email + password (default), answering
+ *   Google's 2-Step Verification with a TOTP code when a secret is configured
+ * - password: Grain's own email + password form
+ * - magic-link: request a sign-in link, then open the link pasted into MAGIC_LINK_FILE
+ * - interactive: a human logs in once in a visible browser; later runs reuse the saved session
+ *
+ * Every strategy is checked with the same verifyLogin(), and a successful login is saved
+ * to the session store so the next upload can skip it.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { ERROR_CODES, createError } = require('./utils/errors');
+const { loadSession, saveSession } = require('./session');
+const { generateTotp } = require('./utils/totp');
+const { waitForPageToSettle, waitForOptionalElement } = require('./utils/wait');
+const { profile, openUrl, typeInto, clickButton, clickRequiredButton } = require('./siteProfile');
+
+// Strategies that type a password into a login form
+const PASSWORD_STRATEGIES = ['google', 'password'];
+
+// Google 2-Step Verification challenge pages (accounts.google.com/.../challenge/<type>)
+// that we can't answer, with a readable name for the error message
+const UNSUPPORTED_CHALLENGES = {
+  dp: 'phone prompt ("Check your phone")',
+  az: 'phone prompt ("Check your phone")',
+  ipp: 'SMS or voice code',
+  sk: 'security key',
+  securitykey: 'security key',
+  webauthn: 'security key or passkey',
+  pk: 'passkey',
+  bc: 'backup code',
+  ipe: 'email code',
+  kpp: 'recovery phone number'
+};
+
+/**
+ * Opens the Grain login page
+ * @param {Page} page - Puppeteer page
+ */
+async function openLoginPage(page) {
+  logger.log(`Navigating to Grain login page: ${profile.urls.login}`);
+  await openUrl(page, 'urls.login');
+
+  // The OAuth buttons are rendered once the page's scripts have loaded
+  await waitForPageToSettle(page);
+}
+
+/**
+ * Waits for the redirect back to Grain after submitting a login form
+ * A timeout is not an error here: verifyLogin() decides whether the login worked
+ * @param {Page} page - Puppeteer page
+ */
+async function waitForRedirect(page) {
+  logger.log('Waiting for login to complete and redirect to Grain...');
+  try {
+    await page.waitForNavigation({
+      timeout: 30000,
+      waitUntil: 'domcontentloaded'
+    });
+  } catch (navError) {
+    logger.log('Navigation timeout, checking current state...');
+  }
+
+  // Wait for the Grain app to load
+  await waitForPageToSettle(page);
+}
+
+/**
+ * Google OAuth: "Sign in with Google", then Google's email and password pages
+ * @param {Page} page - Puppeteer page
+ * @param {Object} account - Grain account
+ */
+async function loginWithGoogle(page, account) {
+  await openLoginPage(page);
+
+  logger.log('Clicking "Sign in with Google"...');
+  await clickRequiredButton(page, 'googleSignIn');
+
+  // Wait for redirect to Google OAuth page (typeInto waits for the email field)
+  await waitForPageToSettle(page);
+
+  logger.log(`Entering Google email: ${account.email}`);
+  await typeInto(page, 'selectors.emailInput', account.email);
+  await clickButton(page, 'googleEmailNext');
+
+  // Wait for password page (Google keeps a hidden password field on the email page)
+  await waitForOptionalElement(page, profile.selectors.passwordInput, { visible: true });
+
+  logger.log('Entering Google password...');
+  await typeInto(page, 'selectors.passwordInput', account.password);
+  await clickButton(page, 'googlePasswordNext');
+
+  await waitForRedirect(page);
+  await answerGoogleChallenge(page, account);
+}
+
+/**
+ * Answers Google's 2-Step Verification challenge after the password page, if there is one
+ * Authenticator codes are generated from the account's TOTP secret. On the "choose how to
+ * verify" page the authenticator option is picked when a secret is configured.
+ *
+ * @param {Page} page - Puppeteer page
+ * @param {Object} account - Grain account
+ * @param {number} [depth=0] - Internal: challenge pages handled so far
+ * @throws {Error} TWO_FACTOR_UNSUPPORTED error for challenges that need a human
+ */
+async function answerGoogleChallenge(page, account, depth = 0) {
+  const currentUrl = page.url();
+  const match = currentUrl.match(new RegExp(profile.pages.googleChallengePattern, 'i'));
+  const totpInput = await page.$(profile.selectors.totpInput);
+
+  // No challenge (or still the password page - verifyLogin reports that)
+  if (!totpInput && (!match || match[1].toLowerCase() === 'pwd')) {
+    return;
+  }
+
+  const challenge = totpInput ? 'totp' : match[1].toLowerCase();
+
+  if (challenge === 'totp') {
+    if (!account.totpSecret) {
+      throw createError(
+        ERROR_CODES.TWO_FACTOR_UNSUPPORTED,
+        'Google asked for an authenticator app code, but no TOTP secret is configured ' +
+        '(GRAIN_TOTP_SECRET or totpSecret on the watch config account)'
+      );
+    }
+
+    logger.log('Entering 2-Step Verification code...');
+    await typeInto(page, 'selectors.totpInput', generateTotp(account.totpSecret));
+    await clickButton(page, 'googleTotpNext');
+
+    await waitForRedirect(page);
+    return;
+  }
+
+  // "Choose how you want to sign in": switch to the authenticator app, once
+  if (challenge === 'selection' && account.totpSecret && depth === 0) {
+    logger.log('Choosing the authenticator app for 2-Step Verification...');
+    if (await clickButton(page, 'googleAuthenticatorOption')) {
+      await waitForOptionalElement(page, profile.selectors.totpInput);
+      await answerGoogleChallenge(page, account, depth + 1);
+      return;
+    }
+  }
+
+  const description = UNSUPPORTED_CHALLENGES[challenge] || `"${challenge}" challenge`;
+  throw createError(
+    ERROR_CODES.TWO_FACTOR_UNSUPPORTED,
+    `Google asked for an unsupported 2-Step Verification method: ${description}. ` +
+    'Add an authenticator app as a 2-Step Verification method and set its secret, ' +
+    'or use the interactive login strategy'
+  );
+}
+
+/**
+ * Grain's own login form: email, then password
+ * @param {Page} page - Puppeteer page
+ * @param {Object} account - Grain account
+ */
+async function loginWithPassword(page, account) {
+  await openLoginPage(page);
+
+  logger.log(`Entering Grain email: ${account.email}`);
+  await typeInto(page, 'selectors.emailInput', account.email);
+
+  // Some forms show the password field only after "Continue"
+  if (!await page.$(profile.selectors.passwordInput)) {
+    await clickButton(page, 'passwordEmailContinue');
+    await waitForOptionalElement(page, profile.selectors.passwordInput, { visible: true });
+  }
+
+  logger.log('Entering Grain password...');
+  await typeInto(page, 'selectors.passwordInput', account.password);
+  await clickButton(page, 'passwordSubmit');
+
+  await waitForRedirect(page);
+}
+
+/**
+ * Magic link: asks Grain to email a sign-in link, then waits for a human (or a mail
+ * rule) to paste that link into MAGIC_LINK_FILE and opens it in this browser
+ * @param {Page} page - Puppeteer page
+ * @param {Object} account - Grain account
+ */
+async function loginWithMagicLink(page, account) {
+  // Don't pick up a stale link from an earlier attempt
+  if (fs.existsSync(config.MAGIC_LINK_FILE)) {
+    fs.unlinkSync(config.MAGIC_LINK_FILE);
+  }
+
+  await openLoginPage(page);
+
+  logger.log(`Requesting a sign-in link for ${account.email}...`);
+  await typeInto(page, 'selectors.emailInput', account.email);
+  await clickRequiredButton(page, 'magicLinkSend');
+
+  const timeoutMs = config.AUTH_INTERACTIVE_TIMEOUT_SECONDS * 1000;
+  logger.log(`Paste the sign-in link from the email into ${config.MAGIC_LINK_FILE} ` +
+             `(waiting up to ${config.AUTH_INTERACTIVE_TIMEOUT_SECONDS}s)`);
+
+  const startTime = Date.now();
+  let link = null;
+  while (!link && Date.now() - startTime < timeoutMs) {
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    if (fs.existsSync(config.MAGIC_LINK_FILE)) {
+      link = fs.readFileSync(config.MAGIC_LINK_FILE, 'utf8').trim() || null;
+    }
+  }
+
+  if (!link) {
+    throw new Error(`No sign-in link was provided within ${config.AUTH_INTERACTIVE_TIMEOUT_SECONDS}s`);
+  }
+
+  // The link is single-use, so remove it as soon as it has been read
+  fs.unlinkSync(config.MAGIC_LINK_FILE);
+
+  logger.log('Opening sign-in link...');
+  await page.goto(link, { waitUntil: 'domcontentloaded', timeout: 60000 });
+  await waitForPageToSettle(page);
+}
+
+/**
+ * Interactive bootstrap: opens the login page in a visible browser and waits for a
+ * human to finish logging in (any method, including 2FA prompts)
+ * @param {Page} page - Puppeteer page
+ * @param {Object} account - Grain account
+ * @param {Object} options - Login options
+ * @param {boolean} options.headless - Whether the browser is headless
+ */
+async function loginInteractively(page, account, { headless }) {
+  if (headless) {
+    throw new Error(
+      'Interactive login needs a visible browser and no valid saved session was found. ' +
+      'Run "node test-login.js --strategy=interactive" to log in again'
+    );
+  }
+
+  await openLoginPage(page);
+
+  const timeoutMs = config.AUTH_INTERACTIVE_TIMEOUT_SECONDS * 1000;
+  logger.log(`Log in to Grain as ${account.email} in the browser window ` +
+             `(waiting up to ${config.AUTH_INTERACTIVE_TIMEOUT_SECONDS}s)`);
+
+  const startTime = Date.now();
+  while (Date.now() - startTime < timeoutMs) {
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    if ((await verifyLogin(page)).ok) {
+      return;
+    }
+  }
+
+  throw new Error(`Login was not completed within ${config.AUTH_INTERACTIVE_TIMEOUT_SECONDS}s`);
+}
+
+// Login flow per strategy
+const STRATEGY_HANDLERS = {
+  google: loginWithGoogle,
+  password: loginWithPassword,
+  'magic-link': loginWithMagicLink,
+  interactive: loginInteractively
+};
+
+/**
+ * Checks whether the page shows a signed-in Grain app
+ * This is the single definition of "logged in" for every strategy and for saved sessions
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<{ok: boolean, reason?: string}>} Result, with a reason when not logged in
+ */
+async function verifyLogin(page) {
+  const currentUrl = page.url();
+
+  // Still on Grain's login page or Google's account pages
+  if (currentUrl.includes(profile.pages.loginUrlMatch) || currentUrl.includes(profile.pages.googleHost)) {
+    return { ok: false, reason: `Still on the login page (${currentUrl})` };
+  }
+
+  if (!currentUrl.includes(profile.pages.appHost)) {
+    return { ok: false, reason: `Not redirected back to Grain (${currentUrl})` };
+  }
+
+  // Look for error messages (indicates login failed)
+  try {
+    const errorMessage = await page.evaluate((selector) => {
+      const errorEl = document.querySelector(selector);
+      return errorEl ? errorEl.textContent : null;
+    }, profile.selectors.loginError);
+
+    if (errorMessage && errorMessage.toLowerCase().includes('password')) {
+      return { ok: false, reason: `Login error: ${errorMessage.trim()}` };
+    }
+  } catch (checkError) {
+    // Page navigated while checking - the URL check above is what counts
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Returns the strategy an account logs in with
+ * @param {Object} account - Grain account
+ * @returns {string} One of AUTH_STRATEGIES
+ */
+function getStrategy(account) {
+  return account.strategy || config.AUTH_STRATEGY;
+}
+
+/**
+ * Checks that an account has what its strategy needs
+ * @param {Object} account - Grain account
+ * @returns {string|null} Problem description, or null if the account is usable
+ */
+function checkCredentials(account) {
+  const strategy = getStrategy(account);
+
+  // The email also identifies the saved session, so every strategy needs it
+  if (!account.email) {
+    return 'Grain email not configured (GRAIN_EMAIL or watch target account)';
+  }
+
+  if (PASSWORD_STRATEGIES.includes(strategy) && !account.password) {
+    return `Grain password not configured for the "${strategy}" login (GRAIN_PASSWORD or watch target account)`;
+  }
+
+  return null;
+}
+
+/**
+ * Logs in with the account's strategy and verifies the result
+ * @param {Page} page - Puppeteer page
+ * @param {Object} account - Grain account
+ * @param {Object} [options] - Login options
+ * @param {boolean} [options.headless] - Whether the browser is headless
+ * @param {Object} [options.diagnostics] - Diagnostics recorder to screenshot the login result into
+ * @throws {Error} LOGIN_FAILED error if the login can't be completed or verified,
+ *   TWO_FACTOR_UNSUPPORTED if Google asks for a challenge we can't answer, or
+ *   SITE_PROFILE_MISMATCH if a site profile entry doesn't match the login pages
+ */
+async function login(page, account, options = {}) {
+  const strategy = getStrategy(account);
+  const handler = STRATEGY_HANDLERS[strategy];
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown login strategy "${strategy}"`);
+    }
+
+    const problem = checkCredentials(account);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    logger.log(`Logging into Grain (strategy: ${strategy})...`);
+    await handler(page, account, { headless: options.headless !== false });
+    if (options.diagnostics) {
+      await options.diagnostics.screenshot(page, 'login-result');
+    }
+
+    const verification = await verifyLogin(page);
+    if (!verification.ok) {
+      throw new Error(verification.reason);
+    }
+
+    logger.log('✓ Logged into Grain');
+  } catch (error) {
+    // 2-Step Verification problems keep their own code (retrying won't help), and so do
+    // site profile entries that no longer match the login pages
+    const code = [ERROR_CODES.TWO_FACTOR_UNSUPPORTED, ERROR_CODES.SITE_PROFILE_MISMATCH].includes(error.code)
+      ? error.code
+      : ERROR_CODES.LOGIN_FAILED;
+    throw createError(code, `Login failed: ${error.message}`);
+  }
+}
+
+/**
+ * Checks whether the page's cookies give access to the Grain app
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<boolean>} True if signed in
+ */
+async function isSessionValid(page) {
+  await openUrl(page, 'urls.dashboard');
+
+  // Give client-side redirects time to happen
+  await waitForPageToSettle(page);
+
+  return (await verifyLogin(page)).ok;
+}
+
+/**
+ * Restores the saved session for an account into the page's browser context
+ * and checks it still works
+ * @param {Page} page - Puppeteer page
+ * @param {string} email - Grain account email
+ * @returns {Promise<boolean>} True if the saved session is valid and login can be skipped
+ */
+async function restoreSession(page, email) {
+  const cookies = loadSession(email);
+  if (!cookies) {
+    return false;
+  }
+
+  logger.log('Found saved Grain session, checking it is still valid...');
+  try {
+    await page.browserContext().setCookie(...cookies);
+    if (await isSessionValid(page)) {
+      logger.log('✓ Saved session is valid, skipping login');
+      return true;
+    }
+    logger.log('Saved session has expired, logging in again...');
+  } catch (error) {
+    logger.error(`Could not restore saved session: ${error.message}`);
+  }
+
+  return false;
+}
+
+/**
+ * Saves the page's current cookies as the account's session
+ * Failing to save is logged but never fails the caller
+ * @param {Page} page - Puppeteer page
+ * @param {string} email - Grain account email
+ */
+async function persistSession(page, email) {
+  if (!config.PERSIST_SESSION) {
+    return;
+  }
+
+  try {
+    saveSession(email, await page.browserContext().cookies());
+    logger.log('Grain session saved');
+  } catch (error) {
+    logger.error(`Could not save Grain session: ${error.message}`);
+  }
+}
+
+/**
+ * Makes sure the page is signed in to Grain
+ * Reuses the saved session when it is still valid, otherwise logs in and saves the new session
+ *
+ * @param {Page} page - Puppeteer page
+ * @param {Object} account - Grain account
+ * @param {Object} [options] - Login options
+ * @param {boolean} [options.headless] - Whether the browser is headless
+ * @param {boolean} [options.forceLogin] - Ignore any saved session
+ * @param {Object} [options.diagnostics] - Diagnostics recorder (see login)
+ * @throws {Error} LOGIN_FAILED error if no valid session can be established
+ */
+async function ensureLoggedIn(page, account, options = {}) {
+  if (!options.forceLogin && await restoreSession(page, account.email)) {
+    return;
+  }
+
+  await login(page, account, options);
+  await persistSession(page, account.email);
+}
+
+module.exports = {
+  checkCredentials,
+  verifyLogin,
+  login,
+  ensureLoggedIn,
+  persistSession
+};
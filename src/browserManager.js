@@ -0,0 +1,232 @@
+/**
+ * Browser manager module
+ * Keeps one Chromium instance alive while the queue has work and lends out pages.
+ * Every borrowed page lives in its own browser context, so cookies never leak between
+ * uploads (or Grain accounts); sessions are restored explicitly from the session store.
+ */
+
+const os = require('os');
+const puppeteer = require('puppeteer');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+// Realistic user agent to avoid bot detection
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// The shared browser, and the headless mode it was launched with
+let browser = null;
+let browserHeadless = null;
+
+// In-flight launch, so concurrent borrowers share one browser
+let launching = null;
+
+// Pages handed out since the browser was launched, and pages not yet returned
+let pagesServed = 0;
+let activePages = 0;
+
+// Set when the browser should be replaced as soon as it is no longer in use
+let recycleRequested = false;
+
+// Whether Puppeteer closes the browser itself on SIGINT/SIGTERM
+let handleSignals = true;
+
+/**
+ * Launches Chromium with settings tuned for Apple Silicon and low-memory machines
+ * @param {boolean} headless - Whether to run without a visible window
+ * @returns {Promise<Browser>} The launched browser
+ */
+async function launchBrowser(headless) {
+  logger.log(`[BROWSER] Launching browser (headless: ${headless})...`);
+
+  const launched = await puppeteer.launch({
+    headless: headless ? 'new' : false, // Use new headless mode for better performance
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--no-first-run',
+      '--no-zygote',
+      '--disable-gpu'
+    ],
+    defaultViewport: {
+      width: 1280,
+      height: 800
+    },
+    timeout: 60000, // Increase browser launch timeout to 60s
+    // Puppeteer kills Chromium on Ctrl+C/SIGTERM unless the uploader's shutdown handles them
+    // (see setSignalHandling); either way Chromium is killed when the process exits
+    handleSIGINT: handleSignals,
+    handleSIGTERM: handleSignals
+  });
+
+  // Crash or external kill: forget the browser so the next borrower launches a new one
+  launched.on('disconnected', () => {
+    if (browser === launched) {
+      if (activePages > 0) {
+        logger.error('[BROWSER] Browser disconnected unexpectedly, it will be restarted');
+      }
+      browser = null;
+      browserHeadless = null;
+    }
+  });
+
+  pagesServed = 0;
+  recycleRequested = false;
+
+  return launched;
+}
+
+/**
+ * Returns the shared browser, launching (or relaunching) it when needed
+ * @param {boolean} headless - Requested headless mode
+ * @returns {Promise<Browser>} A connected browser
+ */
+async function getBrowser(headless) {
+  if (launching) {
+    await launching;
+  }
+
+  // A browser in the wrong mode (e.g. visible login test after headless uploads) is replaced
+  if (browser && (!browser.connected || browserHeadless !== headless)) {
+    await closeBrowser();
+  }
+
+  if (!browser) {
+    launching = launchBrowser(headless);
+    try {
+      browser = await launching;
+      browserHeadless = headless;
+    } finally {
+      launching = null;
+    }
+  }
+
+  return browser;
+}
+
+/**
+ * Checks whether the machine is short on memory
+ * @returns {boolean} True if free system memory is below BROWSER_MIN_FREE_MEMORY_MB
+ */
+function isUnderMemoryPressure() {
+  const freeMb = os.freemem() / 1024 / 1024;
+  return freeMb < config.BROWSER_MIN_FREE_MEMORY_MB;
+}
+
+/**
+ * Borrows a fresh page from the shared browser
+ * The page must be handed back with releasePage() when the caller is done
+ *
+ * @param {Object} [options] - Page options
+ * @param {boolean} [options.headless] - Whether the browser should be headless (default: HEADLESS_MODE)
+ * @returns {Promise<Page>} A new page in its own browser context
+ */
+async function acquirePage(options = {}) {
+  const headless = options.headless !== undefined ? options.headless : config.HEADLESS_MODE;
+
+  const shared = await getBrowser(headless);
+  const context = await shared.createBrowserContext();
+  const page = await context.newPage();
+
+  activePages++;
+  pagesServed++;
+
+  // A crashed tab usually means the renderer is in trouble - start clean next time
+  page.on('error', (error) => {
+    logger.error(`[BROWSER] Page crashed: ${error.message}`);
+    recycleRequested = true;
+  });
+
+  await page.setUserAgent(USER_AGENT);
+
+  // Set longer timeout for slow networks/Apple Silicon
+  page.setDefaultTimeout(60000);
+
+  return page;
+}
+
+/**
+ * Returns a borrowed page
+ * Closes the page's browser context, then recycles the browser if it has served
+ * BROWSER_RECYCLE_AFTER pages or the machine is short on memory
+ *
+ * @param {Page} page - Page from acquirePage()
+ */
+async function releasePage(page) {
+  activePages = Math.max(0, activePages - 1);
+
+  try {
+    await page.browserContext().close();
+  } catch (error) {
+    // Browser already gone (crash) - nothing to close
+  }
+
+  if (activePages > 0 || !browser) {
+    return;
+  }
+
+  if (pagesServed >= config.BROWSER_RECYCLE_AFTER) {
+    logger.log(`[BROWSER] Recycling browser after ${pagesServed} page(s)`);
+    recycleRequested = true;
+  } else if (isUnderMemoryPressure()) {
+    logger.log('[BROWSER] Low on memory, recycling browser');
+    recycleRequested = true;
+  }
+
+  if (recycleRequested) {
+    await closeBrowser();
+  }
+}
+
+/**
+ * Closes the shared browser (e.g. when the queue is empty or on shutdown)
+ * Safe to call when no browser is running
+ */
+async function closeBrowser() {
+  if (!browser) {
+    return;
+  }
+
+  const closing = browser;
+  browser = null;
+  browserHeadless = null;
+
+  logger.log('[BROWSER] Closing browser...');
+  try {
+    await closing.close();
+  } catch (error) {
+    logger.error(`[BROWSER] Error while closing browser: ${error.message}`);
+  }
+}
+
+/**
+ * Closes the shared browser unless a page is still borrowed
+ * Used when the queue runs dry, so a processing check that is still using the
+ * browser (see processingTracker.js) isn't cut off
+ */
+async function closeIdleBrowser() {
+  if (activePages > 0) {
+    return;
+  }
+
+  await closeBrowser();
+}
+
+/**
+ * Chooses whether Puppeteer closes the browser on SIGINT/SIGTERM
+ * The uploader turns this off so a shutdown can let the current upload finish (see shutdown.js);
+ * standalone scripts keep it on so Ctrl+C doesn't leave Chromium running
+ * @param {boolean} enabled - Let Puppeteer handle the signals (applies to browsers launched afterwards)
+ */
+function setSignalHandling(enabled) {
+  handleSignals = enabled;
+}
+
+module.exports = {
+  setSignalHandling,
+  acquirePage,
+  releasePage,
+  closeBrowser,
+  closeIdleBrowser
+};
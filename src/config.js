@@ -5,32 +5,28 @@
 
 require('dotenv').config();
 const path = require('path');
-
-/**
- * Parses a comma-separated string of file extensions
- * @param {string} extensionsString - Comma-separated extensions (e.g., ".mov,.mp4,.mp3")
- * @returns {string[]} Array of normalized extensions
- */
-function parseExtensions(extensionsString) {
-  if (!extensionsString) {
-    return [];
-  }
-
-  return extensionsString
-    .split(',')
-    .map(ext => ext.trim())
-    .filter(ext => ext.length > 0)
-    .map(ext => ext.startsWith('.') ? ext : `.${ext}`);
-}
+const {
+  AUTH_STRATEGIES,
+  SIDECAR_MODES,
+  parseExtensions,
+  parseDepth,
+  parseMetadata,
+  parseHttpUrl,
+  parseDestination,
+  resolveDestinations,
+  loadWatchTargets
+} = require('./watchConfig');
+const { parseTotpSecret } = require('./utils/totp');
+const { compileTemplates } = require('./utils/filenameTemplates');
 
 /**
  * Validates that required configuration values are present
  * @throws {Error} If required values are missing
  */
 function validateConfig() {
-  if (!process.env.WATCH_FOLDER) {
+  if (!process.env.WATCH_FOLDER && !process.env.WATCH_CONFIG) {
     throw new Error(
-      'WATCH_FOLDER is required in .env file. ' +
+      'WATCH_FOLDER (or WATCH_CONFIG) is required in .env file. ' +
       'Please copy .env.example to .env and set WATCH_FOLDER.'
     );
   }
@@ -42,16 +38,92 @@ validateConfig();
 // Default values
 const DEFAULT_SUPPORTED_EXTENSIONS = ['.mov', '.mp4', '.mp3', '.wav', '.m4a'];
 const DEFAULT_HEADLESS_MODE = true;
+const DEFAULT_POST_UPLOAD_ACTION = 'move';
+const DEFAULT_STARTUP_SCAN = 'all';
+const DEFAULT_STARTUP_SCAN_MAX_AGE_HOURS = 24;
+const DEFAULT_DUPLICATE_POLICY = 'warn';
+const DEFAULT_MAX_UPLOAD_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_DELAY_SECONDS = 60;
+const DEFAULT_RETRY_MAX_DELAY_SECONDS = 1800;
+const DEFAULT_BROWSER_RECYCLE_AFTER = 25;
+const DEFAULT_AUTH_STRATEGY = 'google';
+const DEFAULT_AUTH_INTERACTIVE_TIMEOUT_SECONDS = 300;
+const DEFAULT_BROWSER_MIN_FREE_MEMORY_MB = 512;
+const DEFAULT_SIDECAR_MODE = 'optional';
+const DEFAULT_SIDECAR_WAIT_SECONDS = 60;
+const DEFAULT_PROCESSING_TIMEOUT_MINUTES = 180;
+const DEFAULT_PROCESSING_POLL_SECONDS = 60;
+const DEFAULT_UPLOAD_BACKEND = 'browser';
+const DEFAULT_UPLOAD_CHUNK_MB = 16;
+const DEFAULT_UPLOAD_INITIATION_TIMEOUT_SECONDS = 60;
+const DEFAULT_UPLOAD_MIN_THROUGHPUT_KBPS = 256;
+const DEFAULT_UPLOAD_TIMEOUT_MIN_MINUTES = 5;
+const DEFAULT_UPLOAD_TIMEOUT_MAX_MINUTES = 360;
+const DEFAULT_UPLOAD_STALL_SECONDS = 120;
+const DEFAULT_DESTINATIONS = 'grain';
+const DEFAULT_DIAGNOSTICS = 'failure';
+const DEFAULT_DIAGNOSTICS_RETENTION_DAYS = 14;
+const DEFAULT_SHUTDOWN_TIMEOUT_SECONDS = 60;
+const DEFAULT_MEDIA_MIN_DURATION_SECONDS = 1;
+const DEFAULT_MAX_UPLOAD_SIZE_GB = 10;
+const DEFAULT_TRANSCODE_AUDIO_FORMAT = 'm4a';
+const DEFAULT_TRANSCODE_VIDEO_FORMAT = 'mp4';
+const DEFAULT_TRANSCODE_TIMEOUT_MINUTES = 120;
+
+// Allowed values for choice settings
+const STARTUP_SCAN_MODES = ['all', 'recent', 'list', 'off'];
+const DUPLICATE_POLICIES = ['skip', 'warn', 'force'];
+const UPLOAD_BACKENDS = ['browser', 'direct'];
+const DIAGNOSTICS_MODES = ['failure', 'always', 'off'];
+const TRANSCODE_AUDIO_FORMATS = ['m4a', 'mp3', 'wav'];
+const TRANSCODE_VIDEO_FORMATS = ['mp4', 'mov'];
+
+/**
+ * Parses a setting that must be one of a fixed set of values
+ * @param {string} name - Environment variable name (for error messages)
+ * @param {string} value - Raw value from the environment
+ * @param {string[]} choices - Allowed values
+ * @param {string} defaultValue - Value used when the setting is empty
+ * @returns {string} Normalized value
+ * @throws {Error} If the value is not one of the choices
+ */
+function parseChoice(name, value, choices, defaultValue) {
+  if (!value) {
+    return defaultValue;
+  }
+
+  const normalized = value.trim().toLowerCase();
+  if (!choices.includes(normalized)) {
+    throw new Error(
+      `Invalid ${name} value "${value}". ` +
+      `Expected one of: ${choices.join(', ')}`
+    );
+  }
+
+  return normalized;
+}
 
 /**
  * Application configuration
  * All configuration values are loaded from environment variables
  */
 const config = {
-  // Folder configuration
+  // Folder configuration (single watch folder, used when WATCH_CONFIG is not set)
   WATCH_FOLDER: process.env.WATCH_FOLDER,
   PROCESSED_FOLDER: process.env.PROCESSED_FOLDER ||
-                    path.join(process.env.WATCH_FOLDER, 'Processed'),
+                    (process.env.WATCH_FOLDER && path.join(process.env.WATCH_FOLDER, 'Processed')),
+  FAILED_FOLDER: process.env.FAILED_FOLDER ||
+                 (process.env.WATCH_FOLDER && path.join(process.env.WATCH_FOLDER, 'Failed')),
+
+  // Subfolder watching (opt-in); depth limits how many subfolder levels are watched
+  WATCH_RECURSIVE: process.env.WATCH_RECURSIVE === 'true',
+  WATCH_DEPTH: parseDepth(process.env.WATCH_DEPTH, 'WATCH_DEPTH'),
+
+  // Optional JSON/YAML file listing several watch folders with per-folder rules
+  WATCH_CONFIG: process.env.WATCH_CONFIG,
+
+  // Where the uploader keeps its own state (job queue journal)
+  DATA_DIR: process.env.DATA_DIR || path.join(__dirname, '../data'),
 
   // File type configuration
   SUPPORTED_EXTENSIONS: (() => {
@@ -59,10 +131,102 @@ const config = {
     return parsed.length > 0 ? parsed : DEFAULT_SUPPORTED_EXTENSIONS;
   })(),
 
+  // Dry run (DRY_RUN=true or --dry-run): go through every step up to the upload, log what
+  // would be uploaded where, and upload, move and email nothing (see dryRun.js)
+  DRY_RUN: process.env.DRY_RUN === 'true' || process.argv.includes('--dry-run'),
+
+  // Startup backlog scan: 'all', 'recent' (newer than max age), 'list' (log only) or 'off'
+  STARTUP_SCAN: parseChoice('STARTUP_SCAN', process.env.STARTUP_SCAN,
+                            STARTUP_SCAN_MODES, DEFAULT_STARTUP_SCAN),
+  STARTUP_SCAN_MAX_AGE_HOURS: parseFloat(process.env.STARTUP_SCAN_MAX_AGE_HOURS) ||
+                              DEFAULT_STARTUP_SCAN_MAX_AGE_HOURS,
+
+  // What to do with a file whose content was already uploaded: 'skip', 'warn' or 'force'
+  DUPLICATE_POLICY: parseChoice('DUPLICATE_POLICY', process.env.DUPLICATE_POLICY,
+                                DUPLICATE_POLICIES, DEFAULT_DUPLICATE_POLICY),
+
+  // Sidecar metadata files next to recordings (e.g. standup.mp4.json): 'off', 'optional' or
+  // 'required' (wait up to SIDECAR_WAIT_SECONDS for it)
+  SIDECAR_MODE: parseChoice('SIDECAR_MODE', process.env.SIDECAR_MODE,
+                            SIDECAR_MODES, DEFAULT_SIDECAR_MODE),
+  SIDECAR_WAIT_SECONDS: parseFloat(process.env.SIDECAR_WAIT_SECONDS) ||
+                        DEFAULT_SIDECAR_WAIT_SECONDS,
+
+  // Templates that read the meeting date, time, title and client from file names,
+  // tried in order and separated by ";" (e.g. {date}_{time}_{title}; see utils/filenameTemplates.js)
+  FILENAME_TEMPLATES: compileTemplates(
+    (process.env.FILENAME_TEMPLATES || '').split(';').map(t => t.trim()).filter(t => t.length > 0),
+    'FILENAME_TEMPLATES template'
+  ),
+
+  // Retry configuration (exponential backoff with jitter between attempts)
+  MAX_UPLOAD_ATTEMPTS: parseInt(process.env.MAX_UPLOAD_ATTEMPTS, 10) ||
+                       DEFAULT_MAX_UPLOAD_ATTEMPTS,
+  RETRY_BASE_DELAY_SECONDS: parseFloat(process.env.RETRY_BASE_DELAY_SECONDS) ||
+                            DEFAULT_RETRY_BASE_DELAY_SECONDS,
+  RETRY_MAX_DELAY_SECONDS: parseFloat(process.env.RETRY_MAX_DELAY_SECONDS) ||
+                           DEFAULT_RETRY_MAX_DELAY_SECONDS,
+
+  // How the file itself is sent: 'browser' (Grain's upload page) or 'direct' (streamed from Node
+  // to Grain's upload URL in UPLOAD_CHUNK_MB chunks, falling back to 'browser' if it fails)
+  UPLOAD_BACKEND: parseChoice('UPLOAD_BACKEND', process.env.UPLOAD_BACKEND,
+                              UPLOAD_BACKENDS, DEFAULT_UPLOAD_BACKEND),
+  UPLOAD_CHUNK_MB: parseFloat(process.env.UPLOAD_CHUNK_MB) || DEFAULT_UPLOAD_CHUNK_MB,
+
+  // Upload timeouts (see uploadTimeouts.js): how long Grain may take to start the upload, the
+  // slowest acceptable upload speed (the completion timeout is the file size at that speed, kept
+  // between the min and max), and how long no bytes may move before the upload counts as stalled
+  UPLOAD_INITIATION_TIMEOUT_SECONDS: parseFloat(process.env.UPLOAD_INITIATION_TIMEOUT_SECONDS) ||
+                                     DEFAULT_UPLOAD_INITIATION_TIMEOUT_SECONDS,
+  UPLOAD_MIN_THROUGHPUT_KBPS: parseFloat(process.env.UPLOAD_MIN_THROUGHPUT_KBPS) ||
+                              DEFAULT_UPLOAD_MIN_THROUGHPUT_KBPS,
+  UPLOAD_TIMEOUT_MIN_MINUTES: parseFloat(process.env.UPLOAD_TIMEOUT_MIN_MINUTES) ||
+                              DEFAULT_UPLOAD_TIMEOUT_MIN_MINUTES,
+  UPLOAD_TIMEOUT_MAX_MINUTES: parseFloat(process.env.UPLOAD_TIMEOUT_MAX_MINUTES) ||
+                              DEFAULT_UPLOAD_TIMEOUT_MAX_MINUTES,
+  UPLOAD_STALL_SECONDS: parseFloat(process.env.UPLOAD_STALL_SECONDS) || DEFAULT_UPLOAD_STALL_SECONDS,
+
   // Browser configuration
   HEADLESS_MODE: process.env.HEADLESS_MODE === 'true' ||
                  (process.env.HEADLESS_MODE === undefined && DEFAULT_HEADLESS_MODE),
 
+  // Shared browser: restart it after this many uploads, or when free memory drops below the limit
+  BROWSER_RECYCLE_AFTER: parseInt(process.env.BROWSER_RECYCLE_AFTER, 10) ||
+                         DEFAULT_BROWSER_RECYCLE_AFTER,
+  BROWSER_MIN_FREE_MEMORY_MB: parseInt(process.env.BROWSER_MIN_FREE_MEMORY_MB, 10) ||
+                              DEFAULT_BROWSER_MIN_FREE_MEMORY_MB,
+
+  // Per-attempt diagnostics bundles (screenshots, GraphQL traffic, browser console, page HTML and
+  // log lines): kept on 'failure', for 'always' every attempt, or 'off' (see diagnostics.js)
+  DIAGNOSTICS: parseChoice('DIAGNOSTICS', process.env.DIAGNOSTICS,
+                           DIAGNOSTICS_MODES, DEFAULT_DIAGNOSTICS),
+  DIAGNOSTICS_DIR: process.env.DIAGNOSTICS_DIR || path.join(__dirname, '../logs/diagnostics'),
+  DIAGNOSTICS_RETENTION_DAYS: parseFloat(process.env.DIAGNOSTICS_RETENTION_DAYS) ||
+                              DEFAULT_DIAGNOSTICS_RETENTION_DAYS,
+
+  // Check each recording's container headers before uploading it (see mediaValidation.js)
+  VALIDATE_MEDIA: process.env.VALIDATE_MEDIA !== 'false',
+  MEDIA_MIN_DURATION_SECONDS: parseFloat(process.env.MEDIA_MIN_DURATION_SECONDS) ||
+                              DEFAULT_MEDIA_MIN_DURATION_SECONDS,
+  // Largest file sent to Grain (Grain reports its limit as maxUploadBytes once an upload starts)
+  MAX_UPLOAD_SIZE_GB: parseFloat(process.env.MAX_UPLOAD_SIZE_GB) || DEFAULT_MAX_UPLOAD_SIZE_GB,
+
+  // Files with these extensions are converted with ffmpeg before the upload: audio-only files to
+  // the audio format, files with video to the video format (see transcoder.js). Off when empty.
+  TRANSCODE_EXTENSIONS: parseExtensions(process.env.TRANSCODE_EXTENSIONS).map(ext => ext.toLowerCase()),
+  TRANSCODE_AUDIO_FORMAT: parseChoice('TRANSCODE_AUDIO_FORMAT', process.env.TRANSCODE_AUDIO_FORMAT,
+                                      TRANSCODE_AUDIO_FORMATS, DEFAULT_TRANSCODE_AUDIO_FORMAT),
+  TRANSCODE_VIDEO_FORMAT: parseChoice('TRANSCODE_VIDEO_FORMAT', process.env.TRANSCODE_VIDEO_FORMAT,
+                                      TRANSCODE_VIDEO_FORMATS, DEFAULT_TRANSCODE_VIDEO_FORMAT),
+  TRANSCODE_TIMEOUT_MINUTES: parseFloat(process.env.TRANSCODE_TIMEOUT_MINUTES) ||
+                             DEFAULT_TRANSCODE_TIMEOUT_MINUTES,
+  FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+  FFPROBE_PATH: process.env.FFPROBE_PATH || 'ffprobe',
+
+  // On Ctrl+C/SIGTERM, how long to let the current upload finish before cancelling it (see shutdown.js)
+  SHUTDOWN_TIMEOUT_SECONDS: parseFloat(process.env.SHUTDOWN_TIMEOUT_SECONDS) ||
+                            DEFAULT_SHUTDOWN_TIMEOUT_SECONDS,
+
   // Email configuration (for future notifications)
   EMAIL_SERVICE: process.env.EMAIL_SERVICE || 'gmail',
   EMAIL_USER: process.env.EMAIL_USER,
@@ -71,7 +235,122 @@ const config = {
 
   // Grain credentials
   GRAIN_EMAIL: process.env.GRAIN_EMAIL,
-  GRAIN_PASSWORD: process.env.GRAIN_PASSWORD
+  GRAIN_PASSWORD: process.env.GRAIN_PASSWORD,
+
+  // Optional base32 secret for Google 2-Step Verification (authenticator app codes)
+  GRAIN_TOTP_SECRET: parseTotpSecret(process.env.GRAIN_TOTP_SECRET, 'GRAIN_TOTP_SECRET'),
+
+  // How to log into Grain: 'google', 'password', 'magic-link' or 'interactive' (see auth.js)
+  AUTH_STRATEGY: parseChoice('AUTH_STRATEGY', process.env.AUTH_STRATEGY,
+                             AUTH_STRATEGIES, DEFAULT_AUTH_STRATEGY),
+
+  // How long to wait for a human during magic-link and interactive logins
+  AUTH_INTERACTIVE_TIMEOUT_SECONDS: parseInt(process.env.AUTH_INTERACTIVE_TIMEOUT_SECONDS, 10) ||
+                                    DEFAULT_AUTH_INTERACTIVE_TIMEOUT_SECONDS,
+
+  // Follow each recording after upload until Grain has finished processing it, then
+  // save the transcript and AI summary next to the file (opt-in, see processingTracker.js)
+  TRACK_PROCESSING: process.env.TRACK_PROCESSING === 'true',
+  PROCESSING_TIMEOUT_MINUTES: parseFloat(process.env.PROCESSING_TIMEOUT_MINUTES) ||
+                              DEFAULT_PROCESSING_TIMEOUT_MINUTES,
+  PROCESSING_POLL_SECONDS: parseFloat(process.env.PROCESSING_POLL_SECONDS) ||
+                           DEFAULT_PROCESSING_POLL_SECONDS,
+
+  // Optional Grain API token, sent with transcript/summary downloads
+  GRAIN_API_TOKEN: process.env.GRAIN_API_TOKEN,
+
+  // Optional JSON file overriding entries of the bundled site profile (profiles/grain.json)
+  SITE_PROFILE: process.env.SITE_PROFILE,
+
+  // Optional base URL replacing https://grain.com in the site profile's URLs,
+  // e.g. the mock Grain server for offline testing (see mock-grain.js)
+  GRAIN_BASE_URL: process.env.GRAIN_BASE_URL
+    ? parseHttpUrl(process.env.GRAIN_BASE_URL, 'GRAIN_BASE_URL')
+    : undefined,
+
+  // Saved Grain session (encrypted cookies in DATA_DIR/sessions, reused between uploads)
+  PERSIST_SESSION: process.env.PERSIST_SESSION !== 'false',
+  SESSION_SECRET: process.env.SESSION_SECRET
+};
+
+// File the magic-link login strategy reads the emailed sign-in link from
+config.MAGIC_LINK_FILE = process.env.MAGIC_LINK_FILE || path.join(config.DATA_DIR, 'magic-link.txt');
+
+// Upload destinations defined in .env, by name: Grain always, the others once configured
+const envDestinations = { grain: parseDestination('grain', { type: 'grain' }, process.cwd()) };
+if (process.env.ARCHIVE_FOLDER) {
+  envDestinations.archive = parseDestination('archive', {
+    type: 'folder',
+    path: process.env.ARCHIVE_FOLDER
+  }, process.cwd());
+}
+if (process.env.S3_BUCKET) {
+  envDestinations.s3 = parseDestination('s3', {
+    type: 's3',
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    prefix: process.env.S3_PREFIX,
+    pathStyle: process.env.S3_PATH_STYLE === undefined ? undefined : process.env.S3_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  }, process.cwd());
+}
+if (process.env.WEBDAV_URL) {
+  envDestinations.webdav = parseDestination('webdav', {
+    type: 'webdav',
+    url: process.env.WEBDAV_URL,
+    username: process.env.WEBDAV_USERNAME,
+    password: process.env.WEBDAV_PASSWORD
+  }, process.cwd());
+}
+
+// Rules used by the single .env watch folder, and by any target in WATCH_CONFIG that doesn't override them
+const targetDefaults = {
+  extensions: config.SUPPORTED_EXTENSIONS.map(ext => ext.toLowerCase()),
+  account: {
+    name: 'default',
+    email: config.GRAIN_EMAIL,
+    password: config.GRAIN_PASSWORD,
+    totpSecret: config.GRAIN_TOTP_SECRET,
+    strategy: config.AUTH_STRATEGY
+  },
+  notify: [config.EMAIL_TO || config.EMAIL_USER].filter(Boolean),
+  postUploadAction: DEFAULT_POST_UPLOAD_ACTION,
+  recursive: config.WATCH_RECURSIVE,
+  depth: config.WATCH_DEPTH,
+  // Title, description, tags, collection and sharing applied in Grain after each upload
+  metadata: parseMetadata({
+    title: process.env.RECORDING_TITLE,
+    description: process.env.RECORDING_DESCRIPTION,
+    tags: process.env.RECORDING_TAGS,
+    collection: process.env.RECORDING_COLLECTION,
+    shareWith: process.env.RECORDING_SHARE_WITH
+  }, { tags: [], shareWith: [] }, 'RECORDING_* settings'),
+  sidecar: config.SIDECAR_MODE,
+  filenameTemplates: config.FILENAME_TEMPLATES,
+  // Where each file is uploaded to, in order (see destinations/)
+  destinations: resolveDestinations(process.env.DESTINATIONS || DEFAULT_DESTINATIONS,
+                                    envDestinations, 'DESTINATIONS', process.cwd())
 };
 
+/**
+ * Watch targets: one per watched folder, and the Grain accounts sidecar files can pick by name
+ * Loaded from WATCH_CONFIG if set, otherwise a single target built from .env values
+ */
+const watchConfig = config.WATCH_CONFIG
+  ? loadWatchTargets(config.WATCH_CONFIG, targetDefaults, envDestinations)
+  : {
+    targets: [{
+      ...targetDefaults,
+      name: 'default',
+      watchFolder: config.WATCH_FOLDER,
+      processedFolder: config.PROCESSED_FOLDER,
+      failedFolder: config.FAILED_FOLDER
+    }],
+    accounts: { default: targetDefaults.account }
+  };
+config.WATCH_TARGETS = watchConfig.targets;
+config.ACCOUNTS = watchConfig.accounts;
+
 module.exports = config;
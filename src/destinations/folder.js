@@ -0,0 +1,86 @@
+/**
+ * Folder destination
+ * Copies the file into an archive folder, e.g. a NAS share mounted on this machine.
+ * The copy is written under a temporary name and renamed when complete, so the archive
+ * never holds half-copied recordings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ERROR_CODES, createError } = require('../utils/errors');
+const { getUniqueDestPath } = require('../utils/fileHandler');
+
+// Suffix of copies in progress
+const PARTIAL_SUFFIX = '.part';
+
+/**
+ * Copies a file into the archive folder
+ * The archive folder itself must exist (an unmounted share fails instead of filling the local
+ * disk); subfolders are created. Name collisions get a timestamp suffix, as in Processed.
+ *
+ * @param {Object} destination - The destination ({name, type: 'folder', path, keepSubfolders})
+ * @param {string} filePath - The file
+ * @param {Object} context - Upload context (see destinations/index.js)
+ * @returns {Promise<Object>} Destination result, with the copy's path as location
+ */
+async function upload(destination, filePath, context) {
+  if (!fs.existsSync(destination.path)) {
+    throw new Error(`Archive folder ${destination.path} does not exist (is the share mounted?)`);
+  }
+
+  const destDir = path.join(destination.path, destination.keepSubfolders ? context.relativeDir : '');
+  const destPath = getUniqueDestPath(path.join(destDir, context.fileName));
+  const partialPath = `${destPath}${PARTIAL_SUFFIX}`;
+
+  try {
+    await fs.promises.mkdir(destDir, { recursive: true });
+    await fs.promises.copyFile(filePath, partialPath);
+    await fs.promises.rename(partialPath, destPath);
+  } catch (error) {
+    await fs.promises.rm(partialPath, { force: true });
+    if (error.code === 'EACCES' || error.code === 'EPERM' || error.code === 'EROFS') {
+      throw createError(ERROR_CODES.DESTINATION_REJECTED, `Cannot write to ${destDir}: ${error.message}`);
+    }
+    throw new Error(`Copy to ${destDir} failed: ${error.message}`);
+  }
+
+  return { ok: true, message: `Copied to ${destPath}`, location: destPath };
+}
+
+/**
+ * Checks that the copy is complete by comparing file sizes
+ * @param {Object} destination - The destination
+ * @param {string} filePath - The file
+ * @param {Object} result - The upload's result
+ * @returns {Promise<{ok: boolean, message?: string}>} Verification result
+ */
+async function verify(destination, filePath, result) {
+  const [source, copy] = await Promise.all([
+    fs.promises.stat(filePath),
+    fs.promises.stat(result.location).catch(() => null)
+  ]);
+
+  if (!copy) {
+    return { ok: false, message: `${result.location} is missing after the copy` };
+  }
+  if (copy.size !== source.size) {
+    return { ok: false, message: `${result.location} has ${copy.size} bytes, expected ${source.size}` };
+  }
+  return { ok: true };
+}
+
+/**
+ * Describes where the file ended up
+ * @param {Object} destination - The destination
+ * @param {Object} result - The upload's result
+ * @returns {string} Path of the copy
+ */
+function describe(destination, result) {
+  return result.location;
+}
+
+module.exports = {
+  upload,
+  verify,
+  describe
+};
@@ -0,0 +1,122 @@
+/**
+ * Grain destination
+ * Uploads the file as a Grain recording with the configured backend (browser or direct,
+ * see UPLOAD_BACKEND) and applies the recording metadata
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { uploadFileToGrain } = require('../uploader');
+const { uploadFileDirect } = require('../directUploader');
+const { ERROR_CODES } = require('../utils/errors');
+const { resolveMetadata, describeMetadataFailures } = require('../recordingMetadata');
+
+// Direct upload failures the browser upload wouldn't get past either (a stalled upload is
+// usually the network), or, for COMPLETION_TIMEOUT, where the file may already be in Grain
+const NO_FALLBACK_CODES = [
+  ERROR_CODES.LOGIN_FAILED,
+  ERROR_CODES.TWO_FACTOR_UNSUPPORTED,
+  ERROR_CODES.FILE_MISSING,
+  ERROR_CODES.COMPLETION_TIMEOUT,
+  ERROR_CODES.UPLOAD_STALLED
+];
+
+/**
+ * Uploads a file with the configured backend
+ * With UPLOAD_BACKEND=direct the file is streamed from Node (see directUploader.js);
+ * if that fails for a reason the browser upload might not share, the browser upload is tried.
+ *
+ * @param {string} filePath - The full path to the file to upload
+ * @param {Object} uploadOptions - Options for uploadFileToGrain / uploadFileDirect
+ * @param {Object} [uploadTicket] - Ticket of an earlier, unfinished direct upload to resume
+ * @param {function(Object): void} [onTicket] - Called with the direct upload's ticket
+ * @returns {Promise<Object>} The uploader's result
+ */
+async function uploadWithBackend(filePath, uploadOptions, uploadTicket, onTicket) {
+  if (config.UPLOAD_BACKEND !== 'direct') {
+    return uploadFileToGrain(filePath, uploadOptions);
+  }
+
+  const result = await uploadFileDirect(filePath, { ...uploadOptions, ticket: uploadTicket, onTicket });
+  if (result.ok || NO_FALLBACK_CODES.includes(result.errorCode)) {
+    return result;
+  }
+
+  logger.error(`[UPLOAD] Direct upload failed (${result.errorCode}), falling back to the browser upload`);
+  return uploadFileToGrain(filePath, uploadOptions);
+}
+
+/**
+ * Uploads a file to Grain
+ * @param {Object} destination - The destination ({name, type: 'grain'})
+ * @param {string} filePath - The file
+ * @param {Object} context - Upload context (see destinations/index.js)
+ * @returns {Promise<Object>} Destination result, with the Grain recording's recordingId, recordingUrl,
+ *   uploadStats and metadataResult; partial when some metadata steps failed
+ */
+async function upload(destination, filePath, context) {
+  // Use headless mode from config (default true for production)
+  const result = await uploadWithBackend(filePath, {
+    headless: config.HEADLESS_MODE,
+    account: context.account,
+    metadata: resolveMetadata(filePath, context.metadata, context.sidecar, context.filenameInfo),
+    onProgress: context.onProgress,
+    diagnostics: context.diagnostics
+  }, context.uploadTicket, context.onTicket);
+
+  if (!result.ok) {
+    return { ok: false, message: result.message, errorCode: result.errorCode };
+  }
+
+  logger.log(`[UPLOAD] Recording ID: ${result.id}`);
+  logger.log(`[UPLOAD] Recording URL: ${result.recordingUrl}`);
+
+  const warnings = describeMetadataFailures(result.metadataResult);
+  if (warnings.length > 0) {
+    logger.error(`[UPLOAD] Uploaded, but ${warnings.length} metadata step(s) failed`);
+  }
+
+  return {
+    ok: true,
+    partial: warnings.length > 0,
+    message: `Successfully uploaded to Grain. Recording ID: ${result.id}`,
+    location: result.recordingUrl,
+    recordingUrl: result.recordingUrl,
+    recordingId: result.id,
+    uploadStats: result.uploadStats,
+    metadataResult: result.metadataResult
+  };
+}
+
+/**
+ * Checks that Grain confirmed the upload
+ * Both upload backends only succeed once Grain has answered with the new recording,
+ * so its id and URL are the confirmation.
+ *
+ * @param {Object} destination - The destination
+ * @param {string} filePath - The file
+ * @param {Object} result - The upload's result
+ * @returns {Promise<{ok: boolean, message?: string}>} Verification result
+ */
+async function verify(destination, filePath, result) {
+  if (!result.recordingId || !result.recordingUrl) {
+    return { ok: false, message: 'Grain did not return the new recording' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Describes where the file ended up
+ * @param {Object} destination - The destination
+ * @param {Object} result - The upload's result
+ * @returns {string} The recording URL
+ */
+function describe(destination, result) {
+  return result.recordingUrl;
+}
+
+module.exports = {
+  upload,
+  verify,
+  describe
+};
@@ -0,0 +1,67 @@
+/**
+ * Upload destinations
+ * A watch target sends each file to one or more destinations (see DESTINATIONS and the
+ * watch config's `destinations`). Every kind of destination is a module with three functions:
+ *
+ * - upload(destination, filePath, context): sends the file; resolves with
+ *   {ok: true, message, location, ...} or throws (errors with a code from utils/errors.js
+ *   decide whether the job is retried)
+ * - verify(destination, filePath, result): checks the stored copy; resolves with {ok, message}
+ * - describe(destination, result): where the file ended up, for logs and emails
+ *
+ * The upload context holds {fileName, relativeDir, account, metadata, sidecar, filenameInfo,
+ * onProgress, uploadTicket, onTicket, diagnostics}; destinations use what applies to them.
+ */
+
+const logger = require('../utils/logger');
+const { ERROR_CODES, createError, getErrorCode } = require('../utils/errors');
+
+// Destination modules by type (the types watchConfig.js accepts)
+const DESTINATION_MODULES = {
+  grain: require('./grain'),
+  folder: require('./folder'),
+  s3: require('./s3'),
+  webdav: require('./webdav')
+};
+
+/**
+ * Uploads a file to one destination and verifies the stored copy
+ * Never throws: failures are returned as a result with ok: false.
+ *
+ * @param {Object} destination - The destination (see watchConfig.parseDestination)
+ * @param {string} filePath - The file
+ * @param {Object} context - Upload context
+ * @returns {Promise<{name: string, type: string, ok: boolean, message: string, errorCode?: string,
+ *   location?: string, completedAt?: string}>} The destination's outcome (plus whatever the
+ *   destination adds, e.g. recordingUrl for Grain)
+ */
+async function uploadToDestination(destination, filePath, context) {
+  const handler = DESTINATION_MODULES[destination.type];
+  const outcome = { name: destination.name, type: destination.type };
+
+  try {
+    logger.log(`[UPLOAD] Uploading to ${destination.name} (${destination.type})...`);
+    const result = await handler.upload(destination, filePath, context);
+    if (!result.ok) {
+      return { ...outcome, ...result };
+    }
+
+    const verification = await handler.verify(destination, filePath, result);
+    if (!verification.ok) {
+      throw createError(ERROR_CODES.DESTINATION_UNVERIFIED, `Upload could not be verified: ${verification.message}`);
+    }
+
+    return {
+      ...outcome,
+      ...result,
+      location: handler.describe(destination, result),
+      completedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    return { ...outcome, ok: false, message: error.message, errorCode: getErrorCode(error) };
+  }
+}
+
+module.exports = {
+  uploadToDestination
+};
@@ -0,0 +1,153 @@
+/**
+ * S3 destination
+ * Uploads the file to an S3-compatible bucket (AWS S3, MinIO, Backblaze B2, Wasabi, ...)
+ * with a single signed PUT, streamed from disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ERROR_CODES, createError } = require('../utils/errors');
+const { getTimestampSuffix } = require('../utils/fileHandler');
+const { sendRequest, createHttpError } = require('../utils/http');
+const { encodeRfc3986, signRequest } = require('../utils/awsSignature');
+
+// Largest object a single PUT can create
+const MAX_PUT_BYTES = 5 * 1024 * 1024 * 1024;
+
+/**
+ * Builds the URL of an object
+ * @param {Object} destination - The destination
+ * @param {string} key - Object key
+ * @returns {string} Object URL (path-style or virtual-hosted, see pathStyle)
+ */
+function getObjectUrl(destination, key) {
+  const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+  if (destination.pathStyle) {
+    return `${destination.endpoint}/${destination.bucket}/${encodedKey}`;
+  }
+
+  const endpoint = new URL(destination.endpoint);
+  return `${endpoint.protocol}//${destination.bucket}.${endpoint.host}/${encodedKey}`;
+}
+
+/**
+ * Sends a signed request for an object
+ * @param {Object} destination - The destination
+ * @param {string} method - HTTP method
+ * @param {string} key - Object key
+ * @param {Object} [options] - Extra headers and body
+ * @param {Object} [options.headers] - Headers to sign and send
+ * @param {ReadableStream} [options.body] - Request body
+ * @returns {Promise<{status: number, headers: Object, body: string}>} The response
+ */
+function sendObjectRequest(destination, method, key, { headers = {}, body } = {}) {
+  const url = getObjectUrl(destination, key);
+  const signedHeaders = signRequest({
+    method,
+    url,
+    headers: { ...headers, 'x-amz-content-sha256': 'UNSIGNED-PAYLOAD' },
+    payloadHash: 'UNSIGNED-PAYLOAD',
+    region: destination.region,
+    service: 's3',
+    accessKeyId: destination.accessKeyId,
+    secretAccessKey: destination.secretAccessKey
+  });
+
+  return sendRequest(url, { method, headers: signedHeaders, body });
+}
+
+/**
+ * Returns the size of an object
+ * @param {Object} destination - The destination
+ * @param {string} key - Object key
+ * @returns {Promise<number|null>} Size in bytes, or null if there is no such object
+ * @throws {Error} If the bucket can't be read
+ */
+async function headObject(destination, key) {
+  const response = await sendObjectRequest(destination, 'HEAD', key);
+  if (response.status === 404) {
+    return null;
+  }
+  if (response.status !== 200) {
+    throw createHttpError(`Checking s3://${destination.bucket}/${key}`, response);
+  }
+  return Number(response.headers['content-length']);
+}
+
+/**
+ * Uploads a file to the bucket
+ * The key is the prefix, the file's subfolder and its name; an existing object with that
+ * key is never overwritten (the new one gets a timestamp suffix, as in Processed).
+ *
+ * @param {Object} destination - The destination ({name, type: 's3', bucket, region, endpoint, ...})
+ * @param {string} filePath - The file
+ * @param {Object} context - Upload context (see destinations/index.js)
+ * @returns {Promise<Object>} Destination result, with the object's s3:// address as location
+ */
+async function upload(destination, filePath, context) {
+  const { size } = await fs.promises.stat(filePath);
+  if (size > MAX_PUT_BYTES) {
+    throw createError(ERROR_CODES.DESTINATION_REJECTED,
+                      'File is larger than the 5 GB an S3 upload can take in one request');
+  }
+
+  const folder = context.relativeDir ? `${context.relativeDir.split(path.sep).join('/')}/` : '';
+  let key = `${destination.prefix}${folder}${context.fileName}`;
+  if (await headObject(destination, key) !== null) {
+    const ext = path.extname(context.fileName);
+    key = `${destination.prefix}${folder}${path.basename(context.fileName, ext)}-${getTimestampSuffix()}${ext}`;
+  }
+
+  const response = await sendObjectRequest(destination, 'PUT', key, {
+    headers: { 'content-length': size },
+    body: fs.createReadStream(filePath)
+  });
+  if (response.status !== 200) {
+    throw createHttpError(`Upload to s3://${destination.bucket}/${key}`, response);
+  }
+
+  return {
+    ok: true,
+    message: `Uploaded to s3://${destination.bucket}/${key}`,
+    location: `s3://${destination.bucket}/${key}`,
+    key
+  };
+}
+
+/**
+ * Checks that the object exists and has the file's size
+ * @param {Object} destination - The destination
+ * @param {string} filePath - The file
+ * @param {Object} result - The upload's result
+ * @returns {Promise<{ok: boolean, message?: string}>} Verification result
+ */
+async function verify(destination, filePath, result) {
+  const [{ size }, stored] = await Promise.all([
+    fs.promises.stat(filePath),
+    headObject(destination, result.key)
+  ]);
+
+  if (stored === null) {
+    return { ok: false, message: `${result.location} is missing after the upload` };
+  }
+  if (stored !== size) {
+    return { ok: false, message: `${result.location} has ${stored} bytes, expected ${size}` };
+  }
+  return { ok: true };
+}
+
+/**
+ * Describes where the file ended up
+ * @param {Object} destination - The destination
+ * @param {Object} result - The upload's result
+ * @returns {string} The object's s3:// address
+ */
+function describe(destination, result) {
+  return result.location;
+}
+
+module.exports = {
+  upload,
+  verify,
+  describe
+};
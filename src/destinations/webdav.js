@@ -0,0 +1,139 @@
+/**
+ * WebDAV destination
+ * Uploads the file to a WebDAV folder (Nextcloud, ownCloud, Synology, Apache mod_dav, ...)
+ * with a streamed PUT, creating the file's subfolders first
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getTimestampSuffix } = require('../utils/fileHandler');
+const { sendRequest, createHttpError } = require('../utils/http');
+
+/**
+ * Returns the headers every request to the server carries
+ * @param {Object} destination - The destination
+ * @returns {Object} Headers (Basic authentication, if configured)
+ */
+function getAuthHeaders(destination) {
+  if (!destination.username) {
+    return {};
+  }
+  const credentials = Buffer.from(`${destination.username}:${destination.password || ''}`).toString('base64');
+  return { Authorization: `Basic ${credentials}` };
+}
+
+/**
+ * Builds the URL of a path below the destination's folder
+ * @param {Object} destination - The destination
+ * @param {string[]} segments - Path segments
+ * @returns {string} The URL
+ */
+function getUrl(destination, segments) {
+  return `${destination.url}/${segments.map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Returns the size of a file on the server
+ * @param {Object} destination - The destination
+ * @param {string} url - File URL
+ * @returns {Promise<number|null>} Size in bytes, or null if there is no such file
+ * @throws {Error} If the server can't be read
+ */
+async function headFile(destination, url) {
+  const response = await sendRequest(url, { method: 'HEAD', headers: getAuthHeaders(destination) });
+  if (response.status === 404) {
+    return null;
+  }
+  if (response.status !== 200) {
+    throw createHttpError(`Checking ${url}`, response);
+  }
+  return Number(response.headers['content-length']);
+}
+
+/**
+ * Creates the file's subfolders, one level at a time
+ * @param {Object} destination - The destination
+ * @param {string[]} folders - Subfolder path segments
+ * @throws {Error} If a folder can't be created
+ */
+async function createFolders(destination, folders) {
+  for (let depth = 1; depth <= folders.length; depth++) {
+    const url = `${getUrl(destination, folders.slice(0, depth))}/`;
+    const response = await sendRequest(url, { method: 'MKCOL', headers: getAuthHeaders(destination) });
+    // 405: the folder already exists
+    if (response.status !== 201 && response.status !== 405) {
+      throw createHttpError(`Creating folder ${url}`, response);
+    }
+  }
+}
+
+/**
+ * Uploads a file to the WebDAV folder
+ * An existing file with the same name is never overwritten (the new one gets a timestamp
+ * suffix, as in Processed).
+ *
+ * @param {Object} destination - The destination ({name, type: 'webdav', url, username, password})
+ * @param {string} filePath - The file
+ * @param {Object} context - Upload context (see destinations/index.js)
+ * @returns {Promise<Object>} Destination result, with the file's URL as location
+ */
+async function upload(destination, filePath, context) {
+  const { size } = await fs.promises.stat(filePath);
+  const folders = context.relativeDir ? context.relativeDir.split(path.sep) : [];
+  await createFolders(destination, folders);
+
+  let url = getUrl(destination, [...folders, context.fileName]);
+  if (await headFile(destination, url) !== null) {
+    const ext = path.extname(context.fileName);
+    url = getUrl(destination, [...folders, `${path.basename(context.fileName, ext)}-${getTimestampSuffix()}${ext}`]);
+  }
+
+  const response = await sendRequest(url, {
+    method: 'PUT',
+    headers: { ...getAuthHeaders(destination), 'Content-Length': size },
+    body: fs.createReadStream(filePath)
+  });
+  if (response.status !== 200 && response.status !== 201 && response.status !== 204) {
+    throw createHttpError(`Upload to ${url}`, response);
+  }
+
+  return { ok: true, message: `Uploaded to ${url}`, location: url };
+}
+
+/**
+ * Checks that the file exists on the server and has the local file's size
+ * @param {Object} destination - The destination
+ * @param {string} filePath - The file
+ * @param {Object} result - The upload's result
+ * @returns {Promise<{ok: boolean, message?: string}>} Verification result
+ */
+async function verify(destination, filePath, result) {
+  const [{ size }, stored] = await Promise.all([
+    fs.promises.stat(filePath),
+    headFile(destination, result.location)
+  ]);
+
+  if (stored === null) {
+    return { ok: false, message: `${result.location} is missing after the upload` };
+  }
+  if (stored !== size) {
+    return { ok: false, message: `${result.location} has ${stored} bytes, expected ${size}` };
+  }
+  return { ok: true };
+}
+
+/**
+ * Describes where the file ended up
+ * @param {Object} destination - The destination
+ * @param {Object} result - The upload's result
+ * @returns {string} The file's URL
+ */
+function describe(destination, result) {
+  return result.location;
+}
+
+module.exports = {
+  upload,
+  verify,
+  describe
+};
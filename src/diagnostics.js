@@ -0,0 +1,238 @@
+/**
+ * Diagnostics module
+ * Every upload attempt gets its own diagnostics bundle, a folder in DIAGNOSTICS_DIR holding:
+ * - numbered, timestamped screenshots of each stage (logged in, upload page, file selected,
+ *   upload started, and the page at a timeout or error)
+ * - network.jsonl: Grain's GraphQL requests and responses, page loads and failed requests
+ * - console.log: the browser console and uncaught page errors
+ * - dom.html: the page's HTML when the attempt failed
+ * - job.log: the uploader's own log lines during the attempt
+ *
+ * With DIAGNOSTICS=failure (default) a bundle is only kept when the attempt fails; with
+ * 'always' it is kept for every attempt, with 'off' nothing is recorded. Bundles older than
+ * DIAGNOSTICS_RETENTION_DAYS are deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { profile } = require('./siteProfile');
+
+// Longest request/response body kept in the network log
+const MAX_BODY_CHARS = 20000;
+
+/**
+ * Recorder used when diagnostics are off (or for callers that don't record any)
+ */
+const DISABLED_DIAGNOSTICS = Object.freeze({
+  dir: null,
+  watchPage: () => {},
+  screenshot: async () => {},
+  capture: async () => {},
+  keep: () => null,
+  discard: () => {}
+});
+
+/**
+ * Formats a time for file and folder names
+ * @param {Date} date - The time
+ * @returns {string} E.g. "2026-10-19_17-03-37"
+ */
+function formatStamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+}
+
+/**
+ * Makes text safe to use in a file name
+ * @param {string} text - Text
+ * @returns {string} Letters, digits, dots, dashes and underscores only
+ */
+function toFileName(text) {
+  return text.replace(/[^\w.-]+/g, '_').slice(0, 80);
+}
+
+/**
+ * Shortens a request or response body for the network log
+ * @param {string|undefined} body - Body
+ * @returns {string|undefined} The body, cut at MAX_BODY_CHARS
+ */
+function truncate(body) {
+  if (!body || body.length <= MAX_BODY_CHARS) {
+    return body;
+  }
+  return `${body.slice(0, MAX_BODY_CHARS)}... (${body.length - MAX_BODY_CHARS} more characters)`;
+}
+
+/**
+ * Deletes diagnostics bundles older than DIAGNOSTICS_RETENTION_DAYS
+ * @returns {number} Bundles deleted
+ */
+function pruneDiagnostics() {
+  if (!fs.existsSync(config.DIAGNOSTICS_DIR)) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - config.DIAGNOSTICS_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let deleted = 0;
+
+  for (const entry of fs.readdirSync(config.DIAGNOSTICS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+
+    const bundleDir = path.join(config.DIAGNOSTICS_DIR, entry.name);
+    try {
+      if (fs.statSync(bundleDir).mtimeMs < cutoff) {
+        fs.rmSync(bundleDir, { recursive: true, force: true });
+        deleted++;
+      }
+    } catch (error) {
+      logger.error(`[DIAGNOSTICS] Could not delete ${bundleDir}: ${error.message}`);
+    }
+  }
+
+  if (deleted > 0) {
+    logger.log(`[DIAGNOSTICS] Deleted ${deleted} bundle(s) older than ${config.DIAGNOSTICS_RETENTION_DAYS} day(s)`);
+  }
+  return deleted;
+}
+
+/**
+ * Starts recording a diagnostics bundle for one upload attempt
+ * Recording never fails the upload: problems writing the bundle are only logged.
+ *
+ * @param {string} label - What the bundle is for, e.g. "standup.mp4-attempt-2"
+ * @returns {{dir: string|null, watchPage: function(Page): void,
+ *   screenshot: function(Page, string): Promise<void>, capture: function(Page, string): Promise<void>,
+ *   keep: function(): ({dir: string, attachments: Object[]}|null), discard: function(): void}} The recorder:
+ *   watchPage records a page's network traffic and console; screenshot saves a stage; capture saves a
+ *   stage with the page's HTML (for failures); keep finishes the bundle and returns where it is, with
+ *   its log and last screenshot as email attachments; discard deletes it (keeps it with DIAGNOSTICS=always)
+ */
+function startDiagnostics(label) {
+  if (config.DIAGNOSTICS === 'off' || config.DRY_RUN) {
+    return DISABLED_DIAGNOSTICS;
+  }
+
+  const dir = path.join(config.DIAGNOSTICS_DIR, `${formatStamp(new Date())}_${toFileName(label)}`);
+  const logLines = [];
+  const removeListener = logger.addListener(line => logLines.push(line));
+  let finished = false;
+  let stage = 0;
+  let lastScreenshot = null;
+
+  /**
+   * Writes (or appends to) a file in the bundle; ignored once the bundle is finished
+   */
+  const write = (name, content, append = false) => {
+    if (finished) {
+      return;
+    }
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      (append ? fs.appendFileSync : fs.writeFileSync)(path.join(dir, name), content);
+    } catch (error) {
+      logger.error(`[DIAGNOSTICS] Could not write ${name}: ${error.message}`);
+    }
+  };
+
+  const logNetwork = entry => write('network.jsonl', JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n', true);
+  const logConsole = line => write('console.log', `[${new Date().toISOString()}] ${line}\n`, true);
+
+  const recorder = {
+    dir,
+
+    watchPage(page) {
+      page.on('console', message => logConsole(`${message.type()}: ${message.text()}`));
+      page.on('pageerror', error => logConsole(`page error: ${error.message}`));
+      page.on('requestfailed', (request) => {
+        const failure = request.failure();
+        logNetwork({ method: request.method(), url: request.url(), failed: failure ? failure.errorText : 'failed' });
+      });
+      page.on('response', async (response) => {
+        const request = response.request();
+        const url = response.url();
+        const isGraphql = profile.graphql.responseUrlMatches.some(match => url.includes(match));
+        if (!isGraphql && request.resourceType() !== 'document') {
+          return;
+        }
+
+        // Only GraphQL bodies are kept: page loads include the login form (and its password)
+        const entry = { method: request.method(), url, status: response.status() };
+        if (isGraphql) {
+          entry.request = truncate(request.postData());
+          try {
+            entry.response = truncate(await response.text());
+          } catch (error) {
+            // Redirects and aborted requests have no body
+          }
+        }
+        logNetwork(entry);
+      });
+    },
+
+    async screenshot(page, name) {
+      if (finished) {
+        return;
+      }
+      stage++;
+      const file = `${String(stage).padStart(2, '0')}_${formatStamp(new Date()).slice(11)}_${toFileName(name)}.png`;
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        await page.screenshot({ path: path.join(dir, file), fullPage: true });
+        lastScreenshot = file;
+      } catch (error) {
+        logger.error(`[DIAGNOSTICS] Could not take ${name} screenshot: ${error.message}`);
+      }
+    },
+
+    async capture(page, name) {
+      await recorder.screenshot(page, name);
+      try {
+        write('dom.html', await page.content());
+      } catch (error) {
+        logger.error(`[DIAGNOSTICS] Could not save the page's HTML: ${error.message}`);
+      }
+    },
+
+    keep() {
+      if (finished) {
+        return null;
+      }
+      removeListener();
+      write('job.log', logLines.join('\n') + '\n');
+      finished = true;
+
+      logger.log(`[DIAGNOSTICS] Saved to ${dir}`);
+      pruneDiagnostics();
+
+      const attachments = [{ filename: 'job.log', path: path.join(dir, 'job.log') }];
+      if (lastScreenshot) {
+        attachments.push({ filename: lastScreenshot, path: path.join(dir, lastScreenshot) });
+      }
+      return { dir, attachments };
+    },
+
+    discard() {
+      if (finished) {
+        return;
+      }
+      if (config.DIAGNOSTICS === 'always') {
+        recorder.keep();
+        return;
+      }
+      removeListener();
+      finished = true;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  return recorder;
+}
+
+module.exports = {
+  DISABLED_DIAGNOSTICS,
+  startDiagnostics,
+  pruneDiagnostics
+};
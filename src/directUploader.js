@@ -0,0 +1,310 @@
+/**
+ * Direct upload module
+ * Uploads a file without pushing it through Chromium's file input: the browser only logs in
+ * and asks Grain for an upload ticket (recordingUploadInfo: an upload UUID and URL), the file
+ * is streamed from Node to that URL in resumable chunks, and the browser then turns the
+ * upload into a recording. Used with UPLOAD_BACKEND=direct (see destinations/grain.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { ERROR_CODES, createError, getErrorCode } = require('./utils/errors');
+const { checkCredentials, ensureLoggedIn, persistSession } = require('./auth');
+const { acquirePage, releasePage } = require('./browserManager');
+const { runOperation } = require('./grainApi');
+const { applyMetadata } = require('./recordingMetadata');
+const { profile, openUrl, createMismatchError } = require('./siteProfile');
+const { uploadResumable } = require('./utils/resumableUpload');
+const { waitFor } = require('./utils/wait');
+const { getUploadTimeouts } = require('./uploadTimeouts');
+const { DISABLED_DIAGNOSTICS } = require('./diagnostics');
+const { createProgressTracker, formatProgress, formatBytes, formatDuration } = require('./utils/progress');
+
+// How often upload progress is logged and reported to the caller
+const PROGRESS_INTERVAL_MS = 10000;
+
+// How long the upload page gets to make its first GraphQL request
+const GRAPHQL_DISCOVERY_TIMEOUT_MS = 15000;
+
+// Content types sent with the upload, by extension
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4'
+};
+
+/**
+ * Returns the first root field of a GraphQL response, whatever the operation calls it
+ * @param {Object} data - GraphQL response data
+ * @returns {*} The field's value
+ */
+function firstField(data) {
+  return Object.values(data || {})[0];
+}
+
+/**
+ * Opens the upload page and waits for it to talk to Grain's GraphQL endpoint
+ * @param {Page} page - Logged-in Puppeteer page
+ * @returns {Promise<string>} The GraphQL endpoint URL
+ * @throws {Error} SITE_PROFILE_MISMATCH if no request matches graphql.endpointMatch
+ */
+async function discoverGraphqlUrl(page) {
+  let graphqlUrl = null;
+  page.on('request', (request) => {
+    const postData = request.postData();
+    if (!graphqlUrl && request.url().includes(profile.graphql.endpointMatch) &&
+        postData && postData.includes('"operationName"')) {
+      graphqlUrl = request.url();
+    }
+  });
+
+  logger.log(`Navigating to upload page: ${profile.urls.upload}`);
+  await openUrl(page, 'urls.upload');
+
+  if (!await waitFor(() => graphqlUrl, { timeoutMs: GRAPHQL_DISCOVERY_TIMEOUT_MS })) {
+    throw createMismatchError('graphql.endpointMatch',
+                              `matched no GraphQL request on the upload page within ${GRAPHQL_DISCOVERY_TIMEOUT_MS / 1000}s`);
+  }
+  return graphqlUrl;
+}
+
+/**
+ * Asks Grain for an upload ticket
+ * @param {Page} page - Logged-in Puppeteer page
+ * @param {string} graphqlUrl - Grain's GraphQL endpoint
+ * @param {string} fileName - Name of the file
+ * @param {fs.Stats} stats - The file's stats
+ * @returns {Promise<{uuid: string, uploadUrl: string, maxUploadBytes: number, size: number,
+ *   mtimeMs: number, createdAt: string}>} The ticket
+ * @throws {Error} SITE_PROFILE_MISMATCH if the answer has no upload UUID and URL
+ */
+async function requestTicket(page, graphqlUrl, fileName, stats) {
+  const data = await runOperation(page, graphqlUrl, 'requestUploadInfo', {
+    filename: fileName,
+    size: stats.size
+  });
+
+  const info = firstField(data);
+  if (!info || !info.url || !info.url.uuid || !info.url.url) {
+    throw createMismatchError('graphql.operations.requestUploadInfo', 'returned no upload UUID and URL (url { uuid url })');
+  }
+
+  return {
+    uuid: info.url.uuid,
+    uploadUrl: info.url.url,
+    maxUploadBytes: info.maxUploadBytes,
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Uploads a file to Grain, streaming it from Node instead of through the browser
+ *
+ * @param {string} filePath - Absolute path to the file to upload
+ * @param {Object} options - Upload options
+ * @param {boolean} options.headless - Whether to run browser in headless mode (default: true)
+ * @param {Object} [options.account] - Grain account {email, password, totpSecret, strategy}
+ * @param {function(Object): void} [options.onProgress] - Called with a progress snapshot
+ *   (see utils/progress.js) every few seconds while the file is uploading
+ * @param {Object} [options.metadata] - Title, tags, collection, sharing to apply once the
+ *   recording exists (see recordingMetadata.js)
+ * @param {Object} [options.ticket] - Ticket of an earlier, unfinished upload of the same file to resume
+ * @param {function(Object): void} [options.onTicket] - Called with the ticket once the transfer
+ *   starts, so a later attempt can resume it
+ * @param {Object} [options.diagnostics] - Diagnostics recorder for this attempt (see diagnostics.js)
+ * @returns {Promise<{ok: boolean, recordingUrl?: string, id?: string, message: string, errorCode?: string,
+ *   uploadStats?: Object, metadataResult?: Object}>}
+ *   Failing to finalize a fully transferred file is a COMPLETION_TIMEOUT: Grain may have the recording
+ */
+async function uploadFileDirect(filePath, options = {}) {
+  const headless = options.headless !== undefined ? options.headless : true;
+  const account = options.account || {
+    email: config.GRAIN_EMAIL,
+    password: config.GRAIN_PASSWORD,
+    totpSecret: config.GRAIN_TOTP_SECRET
+  };
+  const fileName = path.basename(filePath);
+  const diagnostics = options.diagnostics || DISABLED_DIAGNOSTICS;
+
+  let page = null;
+  let progressTimer = null;
+
+  try {
+    logger.log('Starting direct Grain upload...');
+    logger.log(`File: ${filePath}`);
+
+    if (!fs.existsSync(filePath)) {
+      return {
+        ok: false,
+        message: `File does not exist: ${filePath}`,
+        errorCode: ERROR_CODES.FILE_MISSING
+      };
+    }
+
+    const credentialProblem = checkCredentials(account);
+    if (credentialProblem) {
+      return {
+        ok: false,
+        message: credentialProblem,
+        errorCode: ERROR_CODES.LOGIN_FAILED
+      };
+    }
+
+    // The browser is only needed for the Grain session: login, ticket and finalizing
+    page = await acquirePage({ headless });
+    diagnostics.watchPage(page);
+    await ensureLoggedIn(page, account, { headless, diagnostics });
+    await diagnostics.screenshot(page, 'logged-in');
+    const graphqlUrl = await discoverGraphqlUrl(page);
+
+    const stats = fs.statSync(filePath);
+    let ticket = options.ticket;
+    if (ticket && (ticket.size !== stats.size || ticket.mtimeMs !== stats.mtimeMs)) {
+      // The file changed since the earlier attempt - its partial upload is of no use
+      ticket = null;
+    }
+    if (!ticket) {
+      ticket = await requestTicket(page, graphqlUrl, fileName, stats);
+      logger.log(`Upload UUID: ${ticket.uuid}`);
+    } else {
+      logger.log(`Resuming earlier upload ${ticket.uuid}`);
+    }
+
+    if (ticket.maxUploadBytes && stats.size > ticket.maxUploadBytes) {
+      throw new Error(`File is ${formatBytes(stats.size)}, Grain accepts at most ${formatBytes(ticket.maxUploadBytes)}`);
+    }
+    if (options.onTicket) {
+      options.onTicket(ticket);
+    }
+
+    // Stream the file, reporting progress like the browser upload does
+    const tracker = createProgressTracker(stats.size);
+    progressTimer = setInterval(() => {
+      const progress = tracker.snapshot();
+      logger.log(`Upload progress: ${formatProgress(progress)}`);
+      if (options.onProgress) {
+        options.onProgress(progress);
+      }
+    }, PROGRESS_INTERVAL_MS);
+
+    // Chunks are retried on their own, so only a stall needs a timeout here
+    const { stallMs } = getUploadTimeouts(stats.size);
+    const transfer = {
+      size: stats.size,
+      chunkBytes: config.UPLOAD_CHUNK_MB * 1024 * 1024,
+      contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      onBytes: bytes => tracker.update(bytes),
+      stallMs
+    };
+
+    /**
+     * Streams the file to an upload URL; a stalled transfer fails the attempt with UPLOAD_STALLED
+     */
+    const send = uploadUrl => uploadResumable(uploadUrl, filePath, transfer).catch((error) => {
+      throw error.stalled ? createError(ERROR_CODES.UPLOAD_STALLED, `Upload stalled: ${error.message}`) : error;
+    });
+
+    let resumedFrom;
+    try {
+      ({ resumedFrom } = await send(ticket.uploadUrl));
+    } catch (transferError) {
+      if (!transferError.sessionExpired || !options.ticket) {
+        throw transferError;
+      }
+      // The resumed upload URL has expired - start over with a new ticket
+      logger.log('Earlier upload has expired, starting a new one...');
+      ticket = await requestTicket(page, graphqlUrl, fileName, stats);
+      if (options.onTicket) {
+        options.onTicket(ticket);
+      }
+      ({ resumedFrom } = await send(ticket.uploadUrl));
+    }
+    clearInterval(progressTimer);
+    progressTimer = null;
+
+    if (resumedFrom > 0) {
+      logger.log(`Resumed at ${formatBytes(resumedFrom)} of ${formatBytes(stats.size)}`);
+    }
+
+    const finalProgress = tracker.snapshot();
+    const sentBytes = stats.size - resumedFrom;
+    const uploadStats = {
+      bytes: stats.size,
+      seconds: finalProgress.elapsedSeconds,
+      bytesPerSecond: finalProgress.elapsedSeconds > 0
+        ? Math.round(sentBytes / finalProgress.elapsedSeconds)
+        : sentBytes
+    };
+    logger.log(`Transferred ${formatBytes(sentBytes)} in ${formatDuration(uploadStats.seconds)} ` +
+               `(${formatBytes(uploadStats.bytesPerSecond)}/s)`);
+
+    // Turn the upload into a recording
+    let recording;
+    try {
+      recording = firstField(await runOperation(page, graphqlUrl, 'finalizeUpload', {
+        uuid: ticket.uuid,
+        filename: fileName
+      }));
+      if (!recording || !recording.id || !recording.recordingUrl) {
+        throw createMismatchError('graphql.operations.finalizeUpload', 'returned no recording id and URL');
+      }
+    } catch (finalizeError) {
+      // The file is with Grain, and the recording may exist - never upload it again automatically
+      throw createError(
+        ERROR_CODES.COMPLETION_TIMEOUT,
+        `File was transferred (upload ${ticket.uuid}) but finalizing the recording failed: ${finalizeError.message}`
+      );
+    }
+
+    logger.log('✓ File uploaded successfully to Grain!');
+    logger.log(`Recording ID: ${recording.id}`);
+    logger.log(`Recording URL: ${recording.recordingUrl}`);
+
+    let metadataResult;
+    if (options.metadata) {
+      logger.log('Applying recording metadata...');
+      metadataResult = await applyMetadata(page, graphqlUrl, recording.id, options.metadata);
+    }
+
+    await persistSession(page, account.email);
+
+    return {
+      ok: true,
+      recordingUrl: recording.recordingUrl,
+      id: recording.id,
+      message: `Successfully uploaded file (direct). Recording ID: ${recording.id}`,
+      uploadStats,
+      metadataResult
+    };
+
+  } catch (error) {
+    logger.error(`Direct upload error: ${error.message}`);
+    if (page) {
+      await diagnostics.capture(page, 'direct-error');
+    }
+
+    return {
+      ok: false,
+      message: `Direct upload failed: ${error.message}`,
+      errorCode: getErrorCode(error)
+    };
+
+  } finally {
+    if (progressTimer) {
+      clearInterval(progressTimer);
+    }
+    if (page) {
+      await releasePage(page);
+    }
+  }
+}
+
+module.exports = {
+  uploadFileDirect
+};
@@ -0,0 +1,84 @@
+/**
+ * Dry-run module
+ * With DRY_RUN=true (or --dry-run) files go through detection, the stability check, dedup,
+ * sidecar and filename parsing and routing as usual, but the pipeline stops where it would
+ * upload and logs what it would do instead. Nothing is uploaded, moved, deleted or emailed,
+ * and the job journal is not written. What happened to each file is collected here and
+ * summarized when the run ends.
+ */
+
+const logger = require('./utils/logger');
+
+/**
+ * What a dry run found for a file
+ * - upload: would be uploaded
+ * - finish: was uploaded in an earlier (real) run, only the post-upload action is left
+ * - duplicate: content already uploaded, would be skipped
+ * - failed: would fail (e.g. a required sidecar is missing)
+ * - ignored: in a watch folder, but its extension isn't one of the target's
+ */
+const DRY_RUN_OUTCOMES = {
+  UPLOAD: 'upload',
+  FINISH: 'finish',
+  DUPLICATE: 'duplicate',
+  FAILED: 'failed',
+  IGNORED: 'ignored'
+};
+
+// Summary headings, in the order they are printed
+const SECTIONS = [
+  [DRY_RUN_OUTCOMES.UPLOAD, 'Would upload'],
+  [DRY_RUN_OUTCOMES.FINISH, 'Already uploaded, would finish'],
+  [DRY_RUN_OUTCOMES.DUPLICATE, 'Duplicates, would skip'],
+  [DRY_RUN_OUTCOMES.FAILED, 'Would fail'],
+  [DRY_RUN_OUTCOMES.IGNORED, 'Ignored (extension not watched)']
+];
+
+// Outcomes of this run, in the order they happened
+const outcomes = [];
+
+/**
+ * Records what a dry run found for a file
+ * @param {Object} outcome - The outcome
+ * @param {string} outcome.kind - One of DRY_RUN_OUTCOMES
+ * @param {string} outcome.fileName - The file
+ * @param {string} outcome.target - Name of its watch target
+ * @param {string} outcome.detail - One line describing what would happen
+ */
+function recordDryRun(outcome) {
+  outcomes.push(outcome);
+}
+
+/**
+ * Logs the summary of the dry run: counts, then one line per file
+ */
+function logDryRunSummary() {
+  logger.log('==========================================');
+  logger.log('   Dry Run Summary');
+  logger.log('==========================================');
+
+  if (outcomes.length === 0) {
+    logger.log('No files were found.');
+    return;
+  }
+
+  for (const [kind, heading] of SECTIONS) {
+    const matching = outcomes.filter(outcome => outcome.kind === kind);
+    if (matching.length === 0) {
+      continue;
+    }
+
+    logger.log(`${heading}: ${matching.length}`);
+    for (const outcome of matching) {
+      logger.log(`  - ${outcome.fileName} (${outcome.target}): ${outcome.detail}`);
+    }
+  }
+
+  logger.log('Nothing was uploaded, moved or emailed.');
+}
+
+module.exports = {
+  DRY_RUN_OUTCOMES,
+  recordDryRun,
+  logDryRunSummary
+};
@@ -0,0 +1,51 @@
+/**
+ * Grain GraphQL module
+ * Runs the GraphQL operations of the site profile (see siteProfile.js) through a logged-in
+ * page, so requests carry the page's Grain session exactly like the web app's own
+ */
+
+const { getOperation, createMismatchError } = require('./siteProfile');
+
+/**
+ * Runs a GraphQL operation through the page, using its Grain session
+ * @param {Page} page - Logged-in Puppeteer page on grain.com
+ * @param {string} graphqlUrl - Grain's GraphQL endpoint (as used by the page itself)
+ * @param {string} key - Operation in the site profile's graphql.operations
+ * @param {Object} variables - Operation variables
+ * @returns {Promise<Object>} The response data
+ * @throws {Error} SITE_PROFILE_MISMATCH error naming the operation if the request fails or Grain returns errors
+ */
+async function runOperation(page, graphqlUrl, key, variables) {
+  const { name, query } = getOperation(key);
+  const entry = `graphql.operations.${key}`;
+
+  const response = await page.evaluate(async (url, body) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, text: await res.text() };
+  }, graphqlUrl, { operationName: name, query, variables });
+
+  let json;
+  try {
+    json = JSON.parse(response.text);
+  } catch (parseError) {
+    throw createMismatchError(entry, `failed (HTTP ${response.status})`);
+  }
+
+  if (Array.isArray(json.errors) && json.errors.length > 0) {
+    throw createMismatchError(entry, `failed: ${json.errors.map(error => error.message).join('; ')}`);
+  }
+  if (response.status >= 400 || !json.data) {
+    throw createMismatchError(entry, `failed (HTTP ${response.status})`);
+  }
+
+  return json.data;
+}
+
+module.exports = {
+  runOperation
+};
@@ -7,6 +7,10 @@
 const logger = require('./utils/logger');
 const config = require('./config');
 const { startWatcher } = require('./watcher');
+const siteProfile = require('./siteProfile');
+const { pruneDiagnostics } = require('./diagnostics');
+const { installShutdownHandlers } = require('./shutdown');
+const { checkFfmpeg } = require('./transcoder');
 
 // Display startup banner
 logger.log('==========================================');
@@ -16,40 +20,59 @@ logger.log('');
 
 // Display configuration
 logger.log('Configuration:');
-logger.log(`  Watch Folder: ${config.WATCH_FOLDER}`);
-logger.log(`  Processed Folder: ${config.PROCESSED_FOLDER}`);
-logger.log(`  Supported Extensions: ${config.SUPPORTED_EXTENSIONS.join(', ')}`);
+if (config.WATCH_CONFIG) {
+  logger.log(`  Watch Config: ${config.WATCH_CONFIG}`);
+}
+for (const target of config.WATCH_TARGETS) {
+  logger.log(`  Watch Target: ${target.name}`);
+  logger.log(`    Watch Folder: ${target.watchFolder}`);
+  logger.log(`    Processed Folder: ${target.processedFolder}`);
+  logger.log(`    Failed Folder: ${target.failedFolder}`);
+  logger.log(`    Supported Extensions: ${target.extensions.join(', ')}`);
+  logger.log(`    Destinations: ${target.destinations.map(d => (d.type === 'grain' ? d.name : `${d.name} (${d.type})`)).join(', ')}`);
+  logger.log(`    Grain Account: ${target.account.email || 'Not configured'}`);
+  logger.log(`    Notify: ${target.notify.length > 0 ? target.notify.join(', ') : 'Nobody'}`);
+  logger.log(`    After Upload: ${target.postUploadAction}`);
+  logger.log(`    Sidecar Files: ${target.sidecar}`);
+  logger.log(`    Filename Templates: ${target.filenameTemplates.length > 0 ? target.filenameTemplates.map(t => t.source).join(' ; ') : 'None'}`);
+  logger.log(`    Subfolders: ${target.recursive ? `Yes (depth: ${target.depth === undefined ? 'unlimited' : target.depth})` : 'No'}`);
+}
+logger.log(`  Data Folder: ${config.DATA_DIR}`);
+logger.log(`  Startup Scan: ${config.STARTUP_SCAN}`);
+logger.log(`  Duplicate Policy: ${config.DUPLICATE_POLICY}`);
+logger.log(`  Upload Attempts: ${config.MAX_UPLOAD_ATTEMPTS}`);
+logger.log(`  Upload Timeouts: ${config.UPLOAD_INITIATION_TIMEOUT_SECONDS}s to start, ` +
+           `${config.UPLOAD_TIMEOUT_MIN_MINUTES}-${config.UPLOAD_TIMEOUT_MAX_MINUTES} min to finish at ${config.UPLOAD_MIN_THROUGHPUT_KBPS} KB/s, ` +
+           `stalled after ${config.UPLOAD_STALL_SECONDS}s`);
+logger.log(`  Media Validation: ${config.VALIDATE_MEDIA ? `Enabled (at least ${config.MEDIA_MIN_DURATION_SECONDS}s, up to ${config.MAX_UPLOAD_SIZE_GB} GB for Grain)` : 'Disabled'}`);
+logger.log(`  Transcoding: ${config.TRANSCODE_EXTENSIONS.length > 0 ? `${config.TRANSCODE_EXTENSIONS.join(', ')} to ${config.TRANSCODE_AUDIO_FORMAT} (audio) / ${config.TRANSCODE_VIDEO_FORMAT} (video) with ${config.FFMPEG_PATH}` : 'Disabled'}`);
+logger.log(`  Upload Backend: ${config.UPLOAD_BACKEND === 'direct' ? `direct (${config.UPLOAD_CHUNK_MB} MB chunks, browser fallback)` : 'browser'}`);
+logger.log(`  Site Profile: ${siteProfile.profile.name} ${siteProfile.profile.version}` +
+           (siteProfile.overridePath ? ` (overrides: ${siteProfile.overridePath})` : '') +
+           (siteProfile.baseUrl ? ` at ${siteProfile.baseUrl}` : ''));
 logger.log(`  Headless Mode: ${config.HEADLESS_MODE ? 'Enabled' : 'Disabled'}`);
+logger.log(`  Browser Recycle: every ${config.BROWSER_RECYCLE_AFTER} upload(s) or below ${config.BROWSER_MIN_FREE_MEMORY_MB} MB free memory`);
+logger.log(`  Track Processing: ${config.TRACK_PROCESSING ? `Enabled (up to ${config.PROCESSING_TIMEOUT_MINUTES} min)` : 'Disabled'}`);
+logger.log(`  Diagnostics: ${config.DIAGNOSTICS === 'off' ? 'Disabled' : `${config.DIAGNOSTICS} (${config.DIAGNOSTICS_DIR}, kept ${config.DIAGNOSTICS_RETENTION_DAYS} days)`}`);
+logger.log(`  Shutdown Timeout: ${config.SHUTDOWN_TIMEOUT_SECONDS}s for the current upload`);
 logger.log(`  Email Notifications: ${config.EMAIL_USER ? 'Enabled' : 'Disabled'}`);
 logger.log('');
 
-// Start the folder watcher
-const watcher = startWatcher();
-
-// Graceful shutdown on Ctrl+C
-process.on('SIGINT', () => {
+if (config.DRY_RUN) {
+  logger.log('DRY RUN: nothing will be uploaded, moved or emailed. Press Ctrl+C for the summary.');
   logger.log('');
-  logger.log('==========================================');
-  logger.log('Shutting down gracefully...');
-  logger.log('==========================================');
-
-  if (watcher) {
-    watcher.close();
-    logger.log('Watcher closed');
-  }
+}
 
-  logger.log('Goodbye!');
-  process.exit(0);
-});
+// Delete diagnostics bundles past their retention period
+pruneDiagnostics();
 
-// Handle other termination signals
-process.on('SIGTERM', () => {
-  logger.log('');
-  logger.log('Received SIGTERM signal, shutting down...');
+// Warn right away if files are to be converted but ffmpeg is missing
+if (config.TRANSCODE_EXTENSIONS.length > 0) {
+  checkFfmpeg();
+}
 
-  if (watcher) {
-    watcher.close();
-  }
+// Start the folder watchers (one per watch target)
+const watchers = startWatcher();
 
-  process.exit(0);
-});
+// Graceful shutdown on Ctrl+C or SIGTERM: the current upload gets a chance to finish
+installShutdownHandlers(watchers);
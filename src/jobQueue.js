@@ -0,0 +1,448 @@
+/**
+ * Persistent job queue module
+ * Journals every job state change to disk so queued files survive restarts and crashes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+// Journal file (one JSON snapshot of a job per line, last line for an id wins)
+const JOURNAL_FILE = path.join(config.DATA_DIR, 'jobs.jsonl');
+
+/**
+ * Job lifecycle states
+ * - queued: waiting in the queue
+ * - stabilizing: waiting for the file to finish writing
+ * - uploading: upload to Grain in progress
+ * - retrying: an attempt failed, waiting for the backoff delay before the next one
+ * - uploaded: upload confirmed, file not yet moved
+ * - moved: upload confirmed and file moved to Processed (terminal)
+ * - skipped: duplicate of an earlier upload, not uploaded again (terminal)
+ * - failed: processing failed for good, file quarantined in Failed (terminal)
+ * - reconcile: process died mid-upload, needs a human to check Grain (terminal)
+ */
+const JOB_STATES = {
+  QUEUED: 'queued',
+  STABILIZING: 'stabilizing',
+  UPLOADING: 'uploading',
+  RETRYING: 'retrying',
+  UPLOADED: 'uploaded',
+  MOVED: 'moved',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+  RECONCILE: 'reconcile'
+};
+
+// States in which a job still has work left to do
+const ACTIVE_STATES = [
+  JOB_STATES.QUEUED,
+  JOB_STATES.STABILIZING,
+  JOB_STATES.UPLOADING,
+  JOB_STATES.RETRYING,
+  JOB_STATES.UPLOADED
+];
+
+// Upload progress is journaled at most this often per job (it is kept in memory on every update)
+const PROGRESS_PERSIST_INTERVAL_MS = 30000;
+
+// All known jobs by id, and the ids waiting to be processed (in order)
+const jobs = new Map();
+const pendingIds = [];
+
+/**
+ * Ensures the data directory holding the journal exists
+ */
+function ensureDataDir() {
+  if (!fs.existsSync(config.DATA_DIR)) {
+    fs.mkdirSync(config.DATA_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Appends a job snapshot to the journal (not in a dry run)
+ * @param {Object} job - The job to persist
+ */
+function persistJob(job) {
+  // A dry run keeps its jobs in memory only, so a real run later starts from the real journal
+  if (config.DRY_RUN) {
+    return;
+  }
+  ensureDataDir();
+  fs.appendFileSync(JOURNAL_FILE, JSON.stringify(job) + '\n');
+}
+
+/**
+ * Reads the journal and returns the latest snapshot of every job
+ * Corrupt lines (e.g. a partial write during a crash) are skipped
+ * @returns {Map<string, Object>} Jobs by id
+ */
+function readJournal() {
+  const result = new Map();
+
+  if (!fs.existsSync(JOURNAL_FILE)) {
+    return result;
+  }
+
+  const lines = fs.readFileSync(JOURNAL_FILE, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      const job = JSON.parse(line);
+      if (job && job.id) {
+        result.set(job.id, job);
+      }
+    } catch (parseError) {
+      logger.error(`[QUEUE] Skipping corrupt journal line: ${line.slice(0, 80)}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rewrites the journal with a single line per job
+ * Written to a temp file first so a crash never leaves a half-written journal (not in a dry run)
+ */
+function compactJournal() {
+  if (config.DRY_RUN) {
+    return;
+  }
+  ensureDataDir();
+  const tempFile = `${JOURNAL_FILE}.tmp`;
+  const content = Array.from(jobs.values())
+    .map(job => JSON.stringify(job))
+    .join('\n');
+
+  fs.writeFileSync(tempFile, content.length > 0 ? content + '\n' : '');
+  fs.renameSync(tempFile, JOURNAL_FILE);
+}
+
+/**
+ * Loads the journal and decides what to do with unfinished jobs
+ * - queued/stabilizing jobs are queued again
+ * - retrying jobs are queued again, keeping their scheduled retry time
+ * - uploaded jobs are queued again so they can be moved (no re-upload)
+ * - uploading jobs are flagged for reconciliation and NOT retried
+ *
+ * @returns {{resumed: Object[], reconcile: Object[]}} Jobs resumed and jobs needing reconciliation
+ */
+function recoverJobs() {
+  jobs.clear();
+  pendingIds.length = 0;
+
+  const stored = readJournal();
+  const resumed = [];
+  const reconcile = [];
+
+  // Resume in the order the jobs were originally queued
+  const ordered = Array.from(stored.values())
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of ordered) {
+    jobs.set(job.id, job);
+
+    if (job.state === JOB_STATES.QUEUED || job.state === JOB_STATES.STABILIZING) {
+      job.state = JOB_STATES.QUEUED;
+      job.updatedAt = new Date().toISOString();
+      pendingIds.push(job.id);
+      resumed.push(job);
+    } else if (job.state === JOB_STATES.RETRYING || job.state === JOB_STATES.UPLOADED) {
+      pendingIds.push(job.id);
+      resumed.push(job);
+    } else if (job.state === JOB_STATES.UPLOADING) {
+      job.state = JOB_STATES.RECONCILE;
+      job.updatedAt = new Date().toISOString();
+      const lastProgress = job.progress
+        ? ` It was ${job.progress.percent.toFixed(1)}% uploaded at ${job.progress.reportedAt}.`
+        : '';
+      job.message = 'Uploader stopped while this file was uploading.' + lastProgress +
+                    ' Check Grain for a partial or duplicate recording before re-adding the file.';
+      reconcile.push(job);
+    }
+  }
+
+  compactJournal();
+
+  return { resumed, reconcile };
+}
+
+/**
+ * Finds the unfinished job for a file, if any
+ * @param {string} filePath - The full path to the file
+ * @returns {Object|undefined} The active job for this file
+ */
+function findActiveJob(filePath) {
+  for (const job of jobs.values()) {
+    if (job.filePath === filePath && ACTIVE_STATES.includes(job.state)) {
+      return job;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Finds the most recent job for a file, whatever its state
+ * @param {string} filePath - The full path to the file
+ * @returns {Object|undefined} The latest job for this file
+ */
+function findLatestJob(filePath) {
+  let latest;
+  for (const job of jobs.values()) {
+    if (job.filePath === filePath && (!latest || job.createdAt >= latest.createdAt)) {
+      latest = job;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Checks the upload history for a completed upload of this exact file
+ * A file counts as the same if its path, size and modification time all match
+ * @param {string} filePath - The full path to the file
+ * @param {fs.Stats} stats - Current stats of the file
+ * @returns {Object|undefined} The job that uploaded this file, if any
+ */
+function findUploadedJob(filePath, stats) {
+  for (const job of jobs.values()) {
+    if (job.filePath === filePath &&
+        (job.state === JOB_STATES.UPLOADED || job.state === JOB_STATES.MOVED) &&
+        job.size === stats.size &&
+        job.mtimeMs === stats.mtimeMs) {
+      return job;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Finds uploaded jobs whose recording is still being followed until Grain finishes processing it
+ * @returns {Object[]} Jobs with a waiting processing record (see processingTracker.js)
+ */
+function findJobsAwaitingProcessing() {
+  return Array.from(jobs.values())
+    .filter(job => job.processing && job.processing.status === 'waiting');
+}
+
+/**
+ * Adds a file to the queue and persists the new job
+ * @param {string} filePath - The full path to the file
+ * @param {string} targetName - Name of the watch target the file was found in
+ * @returns {Object|null} The new job, or null if the file already has an active job
+ */
+function enqueueJob(filePath, targetName) {
+  if (findActiveJob(filePath)) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    filePath,
+    target: targetName,
+    state: JOB_STATES.QUEUED,
+    attempts: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Remember size and modification time for the upload history
+  // (the file may still be growing; these are refreshed once it is stable)
+  try {
+    const stats = fs.statSync(filePath);
+    job.size = stats.size;
+    job.mtimeMs = stats.mtimeMs;
+  } catch (statError) {
+    // File may have vanished already; the stability check will report it
+  }
+
+  jobs.set(job.id, job);
+  pendingIds.push(job.id);
+  persistJob(job);
+
+  return job;
+}
+
+/**
+ * Checks whether a pending job can be processed now
+ * Jobs waiting for a retry are not ready until their scheduled time
+ * @param {Object} job - The job to check
+ * @returns {boolean} True if the job is ready
+ */
+function isReady(job) {
+  return !job.nextAttemptAt || Date.parse(job.nextAttemptAt) <= Date.now();
+}
+
+/**
+ * Takes the next ready job off the queue
+ * @returns {Object|undefined} The next job, or undefined if no job is ready
+ */
+function nextJob() {
+  const index = pendingIds.findIndex(id => isReady(jobs.get(id)));
+  if (index === -1) {
+    return undefined;
+  }
+
+  const [id] = pendingIds.splice(index, 1);
+  return jobs.get(id);
+}
+
+/**
+ * Returns how long until the next pending job becomes ready
+ * @returns {number|null} Milliseconds (0 if a job is ready now), or null if the queue is empty
+ */
+function msUntilNextJob() {
+  if (pendingIds.length === 0) {
+    return null;
+  }
+
+  const now = Date.now();
+  return Math.min(...pendingIds.map(id => {
+    const job = jobs.get(id);
+    return job.nextAttemptAt ? Math.max(0, Date.parse(job.nextAttemptAt) - now) : 0;
+  }));
+}
+
+/**
+ * Puts a failed job back on the queue for another attempt after a delay
+ * @param {string} id - The job id
+ * @param {number} delayMs - How long to wait before the next attempt
+ * @param {Object} [fields] - Extra fields to store on the job
+ * @returns {Object} The updated job
+ */
+function scheduleRetry(id, delayMs, fields = {}) {
+  const job = updateJob(id, JOB_STATES.RETRYING, {
+    ...fields,
+    nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+  });
+  pendingIds.push(id);
+
+  return job;
+}
+
+/**
+ * Updates a job's state (and any extra fields) and persists it
+ * @param {string} id - The job id
+ * @param {string} state - The new state (one of JOB_STATES)
+ * @param {Object} [fields] - Extra fields to store on the job (e.g. recordingUrl, message)
+ * @returns {Object} The updated job
+ */
+function updateJob(id, state, fields = {}) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new Error(`Unknown job: ${id}`);
+  }
+
+  Object.assign(job, fields, {
+    state,
+    updatedAt: new Date().toISOString()
+  });
+  persistJob(job);
+
+  return job;
+}
+
+/**
+ * Records upload progress on a job
+ * The job object always has the latest progress; the journal gets a snapshot every
+ * PROGRESS_PERSIST_INTERVAL_MS so a crash leaves a recent reading behind
+ *
+ * @param {string} id - The job id
+ * @param {Object} progress - Progress snapshot (see utils/progress.js)
+ * @returns {Object|undefined} The updated job
+ */
+function recordProgress(id, progress) {
+  const job = jobs.get(id);
+  if (!job) {
+    return undefined;
+  }
+
+  job.progress = { ...progress, reportedAt: new Date().toISOString() };
+
+  const lastPersisted = job.progressPersistedAt ? Date.parse(job.progressPersistedAt) : 0;
+  if (Date.now() - lastPersisted >= PROGRESS_PERSIST_INTERVAL_MS) {
+    job.progressPersistedAt = job.progress.reportedAt;
+    persistJob(job);
+  }
+
+  return job;
+}
+
+/**
+ * Records that a job was cut off by a shutdown, and decides how the next run picks it up
+ * - uploading jobs that hadn't sent the whole file are queued again: Grain only creates the
+ *   recording once the file is complete (a direct upload resumes from its ticket)
+ * - uploading jobs that had sent everything, or never reported progress, stay in the uploading
+ *   state, so the next start flags them for reconciliation (Grain may have the recording)
+ * - jobs interrupted before or after the upload are queued again / finished as usual
+ *
+ * @param {string} id - The job id
+ * @returns {{requeued: boolean, job: Object}} Whether the job will simply run again, and the job
+ */
+function interruptJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new Error(`Unknown job: ${id}`);
+  }
+
+  const now = new Date().toISOString();
+  const progress = job.progress ? ` at ${job.progress.percent.toFixed(1)}%` : '';
+  job.interruptedAt = now;
+
+  if (job.state === JOB_STATES.UPLOADING && !(job.progress && job.progress.percent < 100)) {
+    job.updatedAt = now;
+    persistJob(job);
+    return { requeued: false, job };
+  }
+
+  if (job.state === JOB_STATES.UPLOADING || job.state === JOB_STATES.STABILIZING) {
+    job.state = JOB_STATES.QUEUED;
+    job.message = `Interrupted by shutdown${progress}, will be uploaded again`;
+  }
+  job.updatedAt = now;
+  if (ACTIVE_STATES.includes(job.state) && !pendingIds.includes(id)) {
+    pendingIds.unshift(id);
+  }
+  persistJob(job);
+
+  return { requeued: true, job };
+}
+
+/**
+ * Rewrites the journal so it holds the latest state of every job
+ * (including upload progress that hasn't been journaled yet); used on shutdown
+ */
+function flushJournal() {
+  compactJournal();
+}
+
+/**
+ * Returns the number of jobs waiting to be processed
+ * @returns {number} Pending job count
+ */
+function pendingCount() {
+  return pendingIds.length;
+}
+
+module.exports = {
+  JOB_STATES,
+  recoverJobs,
+  enqueueJob,
+  nextJob,
+  msUntilNextJob,
+  scheduleRetry,
+  updateJob,
+  recordProgress,
+  interruptJob,
+  flushJournal,
+  findActiveJob,
+  findLatestJob,
+  findUploadedJob,
+  findJobsAwaitingProcessing,
+  pendingCount
+};
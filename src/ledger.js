@@ -0,0 +1,137 @@
+/**
+ * Upload ledger module
+ * Keeps a SHA-256 record of every uploaded file so the same recording is never uploaded twice
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+// Ledger file (one JSON entry per line, appended on every upload)
+const LEDGER_FILE = path.join(config.DATA_DIR, 'upload-ledger.jsonl');
+
+/**
+ * Ledger entry statuses
+ * - uploaded: Grain confirmed the upload
+ * - unconfirmed: the upload timed out after it started, so Grain may or may not have the file
+ */
+const LEDGER_STATUS = {
+  UPLOADED: 'uploaded',
+  UNCONFIRMED: 'unconfirmed'
+};
+
+// Latest ledger entry by account and hash (loaded lazily)
+let entries = null;
+
+/**
+ * Builds the lookup key for a ledger entry
+ * The same content may legitimately be uploaded once to each Grain account
+ * @param {string} hash - SHA-256 hex digest
+ * @param {string} [account] - Grain account email
+ * @returns {string} Lookup key
+ */
+function entryKey(hash, account) {
+  return `${account || ''}:${hash}`;
+}
+
+/**
+ * Loads the ledger from disk on first use
+ * @returns {Map<string, Object>} Entries by account and hash
+ */
+function loadLedger() {
+  if (entries) {
+    return entries;
+  }
+
+  entries = new Map();
+
+  if (!fs.existsSync(LEDGER_FILE)) {
+    return entries;
+  }
+
+  const lines = fs.readFileSync(LEDGER_FILE, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      const entry = JSON.parse(line);
+      if (entry && entry.hash) {
+        entries.set(entryKey(entry.hash, entry.account), entry);
+      }
+    } catch (parseError) {
+      logger.error(`[LEDGER] Skipping corrupt ledger line: ${line.slice(0, 80)}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Calculates the SHA-256 hash of a file by streaming it
+ * @param {string} filePath - The file to hash
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Looks up a file hash in the ledger
+ * Entries recorded without an account match any account
+ * @param {string} hash - SHA-256 hex digest
+ * @param {string} [account] - Grain account email the file would be uploaded to
+ * @returns {Object|undefined} The ledger entry for this content, if any
+ */
+function findByHash(hash, account) {
+  const ledger = loadLedger();
+  return ledger.get(entryKey(hash, account)) || ledger.get(entryKey(hash));
+}
+
+/**
+ * Records an upload in the ledger
+ * @param {Object} entry - Ledger entry
+ * @param {string} entry.hash - SHA-256 hex digest of the file
+ * @param {string} entry.filename - Name of the uploaded file
+ * @param {number} entry.size - File size in bytes
+ * @param {string} entry.status - One of LEDGER_STATUS
+ * @param {string} [entry.account] - Grain account email the file was uploaded to
+ * @param {string} [entry.recordingId] - Grain recording ID
+ * @param {string} [entry.recordingUrl] - Grain recording URL
+ * @param {string[]} [entry.destinations] - Names of the destinations the file was uploaded to
+ * @param {string} [entry.title] - Meeting title (from the file name or sidecar)
+ * @param {string} [entry.client] - Client (from the file name)
+ * @param {string} [entry.meetingDate] - Meeting date, with the time if known (e.g. "2026-10-19 14:00")
+ * @returns {Object} The stored entry
+ */
+function recordUpload(entry) {
+  const stored = {
+    ...entry,
+    recordedAt: new Date().toISOString()
+  };
+
+  if (!fs.existsSync(config.DATA_DIR)) {
+    fs.mkdirSync(config.DATA_DIR, { recursive: true });
+  }
+  fs.appendFileSync(LEDGER_FILE, JSON.stringify(stored) + '\n');
+  loadLedger().set(entryKey(stored.hash, stored.account), stored);
+
+  return stored;
+}
+
+module.exports = {
+  LEDGER_STATUS,
+  hashFile,
+  findByHash,
+  recordUpload
+};
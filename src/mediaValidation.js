@@ -0,0 +1,74 @@
+/**
+ * Media validation module
+ * Checks a recording before it is uploaded, so an empty, corrupt or cut-off file, one too
+ * short to be a real recording, or one over Grain's size limit fails right away with the
+ * reason, instead of after the login and upload. See utils/mediaInfo.js for what is read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { ERROR_CODES, getErrorCode } = require('./utils/errors');
+const { formatBytes, formatDuration } = require('./utils/progress');
+const { readMediaInfo, describeMedia } = require('./utils/mediaInfo');
+
+/**
+ * Creates the result for a rejected file
+ * @param {string} message - Why the file was rejected
+ * @param {Object|null} [media] - The file's media info, if it could be read
+ * @returns {{ok: false, message: string, errorCode: string, media: Object|null}} The result
+ */
+function reject(message, media = null) {
+  return { ok: false, message, errorCode: ERROR_CODES.MEDIA_REJECTED, media };
+}
+
+/**
+ * Inspects a recording and checks it can be uploaded
+ * @param {string} filePath - The recording
+ * @param {Object} target - Its watch target (the size limit only applies when it uploads to Grain)
+ * @returns {Promise<{ok: boolean, media: Object|null, message?: string, errorCode?: string}>}
+ *   The file's media info (null if it has an extension that can't be inspected, or validation
+ *   is off), and why it was rejected
+ */
+async function validateMedia(filePath, target) {
+  if (!config.VALIDATE_MEDIA) {
+    return { ok: true, media: null };
+  }
+
+  const fileName = path.basename(filePath);
+  let media;
+  try {
+    media = await readMediaInfo(filePath);
+  } catch (error) {
+    if (getErrorCode(error) === ERROR_CODES.MEDIA_REJECTED) {
+      return reject(error.message);
+    }
+    throw error;
+  }
+
+  if (!media) {
+    logger.log(`[MEDIA] ${fileName}: ${path.extname(filePath)} files can't be inspected, skipping validation`);
+  } else {
+    logger.log(`[MEDIA] ${fileName}: ${describeMedia(media)}` +
+               (media.createdAt ? `, recorded ${media.createdAt}` : ''));
+
+    if (media.duration !== null && media.duration < config.MEDIA_MIN_DURATION_SECONDS) {
+      return reject(`Recording is too short (${media.duration.toFixed(1)}s, ` +
+                    `minimum ${formatDuration(config.MEDIA_MIN_DURATION_SECONDS)})`, media);
+    }
+  }
+
+  const maxBytes = config.MAX_UPLOAD_SIZE_GB * 1024 * 1024 * 1024;
+  const toGrain = target.destinations.some(destination => destination.type === 'grain');
+  const { size } = fs.statSync(filePath);
+  if (toGrain && size > maxBytes) {
+    return reject(`File is too large for Grain (${formatBytes(size)}, limit ${formatBytes(maxBytes)})`, media);
+  }
+
+  return { ok: true, media };
+}
+
+module.exports = {
+  validateMedia
+};
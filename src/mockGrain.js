@@ -0,0 +1,649 @@
+/**
+ * Mock Grain server
+ * A local stand-in for grain.com, so the whole pipeline (watcher, uploader, move, notify)
+ * can run offline. Point GRAIN_BASE_URL at it and the site profile's URLs follow.
+ *
+ * It serves what the site profile expects: the login pages (password, Google-style and
+ * magic-link flows), the dashboard, the upload page with input#recording-meeting-file,
+ * recording pages, the GraphQL operations (recordingUploadInfo, recording, the metadata
+ * operations and the direct upload ones), a resumable upload endpoint and the
+ * transcript/summary API. Any email and password are accepted.
+ *
+ * A scenario switches how it misbehaves (see SCENARIOS). It is picked at start and can be
+ * changed while running with POST /__mock/scenario?name=<scenario>.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+
+// Failure scenarios the server can play, with what each one does
+const SCENARIOS = {
+  ok: 'everything works',
+  'slow-start': 'upload info is answered only after the start delay, so uploads don\'t start in time',
+  'never-completes': 'files are received but never become recordings',
+  'login-error': 'every login is rejected with "Incorrect email or password"',
+  'server-error': 'GraphQL and upload requests fail with HTTP 500'
+};
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_START_DELAY_SECONDS = 90;
+const DEFAULT_PROCESSING_SECONDS = 30;
+const DEFAULT_COLLECTIONS = ['Team syncs', 'Client calls', 'Interviews'];
+
+// Largest upload the mock hands out upload info for
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024 * 1024;
+
+const SESSION_COOKIE = 'grain_mock_session';
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Wraps page content in an HTML document
+ * @param {string} title - Page title
+ * @param {string} body - Body HTML
+ * @param {string} [script] - Inline script run at the end of the body
+ * @returns {string} The document
+ */
+function renderPage(title, body, script = '') {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - Grain (mock)</title>
+<style>
+  body { font-family: sans-serif; max-width: 40rem; margin: 3rem auto; }
+  input, button { display: block; margin: .5rem 0; padding: .4rem; }
+  [role="alert"] { color: #b00020; }
+  .mock-banner { background: #fff3cd; padding: .4rem; font-size: .8rem; }
+</style>
+</head>
+<body>
+<div class="mock-banner">Mock Grain server - nothing here is real</div>
+<h1>${escapeHtml(title)}</h1>
+${body}
+${script ? `<script>${script}</script>` : ''}
+</body>
+</html>`;
+}
+
+/**
+ * Browser-side helper the app pages share: runs a GraphQL operation against /graphql
+ */
+const GRAPHQL_CLIENT = `
+async function gql(operationName, query, variables) {
+  const res = await fetch('/graphql', {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ operationName, query, variables })
+  });
+  const json = await res.json();
+  if (!res.ok || json.errors) {
+    throw new Error(json.errors ? json.errors.map(e => e.message).join('; ') : 'HTTP ' + res.status);
+  }
+  return json.data;
+}
+gql('viewer', 'query viewer { viewer { id email } }', {}).catch(() => {});
+`;
+
+/**
+ * Browser-side script of the upload page: the same steps as Grain's own upload page
+ * (ask for upload info, PUT the file, turn it into a recording, ask for the recording)
+ */
+const UPLOAD_SCRIPT = `${GRAPHQL_CLIENT}
+const input = document.getElementById('recording-meeting-file');
+const status = document.getElementById('status');
+const bar = document.getElementById('progress');
+
+function putFile(url, file) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('PUT', url);
+    xhr.upload.addEventListener('progress', event => {
+      if (event.lengthComputable) {
+        bar.setAttribute('aria-valuenow', String(Math.round(event.loaded / event.total * 100)));
+      }
+    });
+    xhr.onload = () => (xhr.status < 300 ? resolve() : reject(new Error('Upload failed (HTTP ' + xhr.status + ')')));
+    xhr.onerror = () => reject(new Error('Upload failed'));
+    xhr.send(file);
+  });
+}
+
+input.addEventListener('change', async () => {
+  const file = input.files[0];
+  try {
+    status.textContent = 'Preparing upload...';
+    const info = (await gql('recordingUploadInfo',
+      'query recordingUploadInfo($filename: String!, $size: Float!) { recordingUploadInfo(filename: $filename, size: $size) { maxUploadBytes url { uuid url } } }',
+      { filename: file.name, size: file.size })).recordingUploadInfo;
+
+    status.textContent = 'Uploading ' + file.name + '...';
+    bar.hidden = false;
+    await putFile(info.url.url, file);
+
+    status.textContent = 'Creating recording...';
+    const created = (await gql('createRecordingFromUpload',
+      'mutation createRecordingFromUpload($uuid: ID!, $filename: String!) { createRecordingFromUpload(uuid: $uuid, filename: $filename) { id recordingUrl state } }',
+      { uuid: info.url.uuid, filename: file.name })).createRecordingFromUpload;
+
+    const recording = (await gql('recording',
+      'query recording($id: ID!) { recording(id: $id) { id recordingUrl state } }',
+      { id: created.id })).recording;
+    status.innerHTML = 'Uploaded: <a href="' + recording.recordingUrl + '">' + recording.id + '</a> (' + recording.state + ')';
+  } catch (error) {
+    status.textContent = 'Upload error: ' + error.message;
+  }
+});
+`;
+
+/**
+ * Browser-side script of a recording page: asks for the recording's state
+ * @param {string} recordingId - Recording ID
+ * @returns {string} The script
+ */
+function getRecordingScript(recordingId) {
+  return `${GRAPHQL_CLIENT}
+gql('recording', 'query recording($id: ID!) { recording(id: $id) { id recordingUrl state } }', { id: ${JSON.stringify(recordingId)} })
+  .then(data => { document.getElementById('state').textContent = data.recording.state; })
+  .catch(error => { document.getElementById('state').textContent = error.message; });
+`;
+}
+
+/**
+ * Reads a request body
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<string>} The body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Starts a mock Grain server
+ *
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port=4010] - Port to listen on (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1'] - Address to listen on
+ * @param {string} [options.scenario='ok'] - One of SCENARIOS
+ * @param {number} [options.startDelaySeconds=90] - How long 'slow-start' holds back upload info
+ * @param {number} [options.processingSeconds=30] - How long a recording stays PROCESSING before it is READY
+ * @param {string[]} [options.collections] - Collections that exist in the mock account
+ * @returns {Promise<{url: string, getScenario: function(): string, setScenario: function(string): void,
+ *   close: function(): Promise<void>}>} The running server
+ * @throws {Error} If the scenario is unknown or the port can't be used
+ */
+async function startMockGrain(options = {}) {
+  const host = options.host || '127.0.0.1';
+  const startDelaySeconds = options.startDelaySeconds !== undefined
+    ? options.startDelaySeconds
+    : DEFAULT_START_DELAY_SECONDS;
+  const processingSeconds = options.processingSeconds !== undefined
+    ? options.processingSeconds
+    : DEFAULT_PROCESSING_SECONDS;
+  const collections = (options.collections || DEFAULT_COLLECTIONS)
+    .map((title, index) => ({ id: `collection-${index + 1}`, title }));
+
+  let scenario = 'ok';
+
+  /**
+   * Switches the failure scenario
+   * @param {string} name - One of SCENARIOS
+   * @throws {Error} If there is no such scenario
+   */
+  const setScenario = (name) => {
+    if (!Object.prototype.hasOwnProperty.call(SCENARIOS, name)) {
+      throw new Error(`Unknown mock scenario "${name}" (expected ${Object.keys(SCENARIOS).join(', ')})`);
+    }
+    scenario = name;
+    logger.log(`[MOCK] Scenario: ${name} (${SCENARIOS[name]})`);
+  };
+  setScenario(options.scenario || 'ok');
+
+  // Signed-in sessions (token -> email), pending magic links, uploads and recordings
+  const sessions = new Map();
+  const magicLinks = new Map();
+  const uploads = new Map();
+  const recordings = new Map();
+  const delayTimers = new Set();
+
+  /**
+   * Returns the base URL links should point at (the host the client used)
+   * @param {http.IncomingMessage} req - The request
+   * @returns {string} Base URL
+   */
+  const baseUrlOf = req => `http://${req.headers.host}`;
+
+  /**
+   * Returns the email of the request's session
+   * @param {http.IncomingMessage} req - The request
+   * @returns {string|null} Email, or null when not signed in
+   */
+  const sessionOf = (req) => {
+    const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+    const cookie = cookies.find(c => c.startsWith(`${SESSION_COOKIE}=`));
+    return cookie ? sessions.get(cookie.slice(SESSION_COOKIE.length + 1)) || null : null;
+  };
+
+  /**
+   * Returns a recording's state: PROCESSING for a while after it is created, then READY
+   * @param {Object} recording - The recording
+   * @returns {string} The state
+   */
+  const stateOf = recording => (Date.now() - recording.createdAt < processingSeconds * 1000 ? 'PROCESSING' : 'READY');
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(body);
+  };
+  const sendJson = (res, status, body) => send(res, status, JSON.stringify(body), { 'Content-Type': 'application/json' });
+  const redirect = (res, location, headers = {}) => send(res, 302, '', { Location: location, ...headers });
+
+  /**
+   * Signs an email in and sends the browser to the dashboard
+   */
+  const signIn = (res, email) => {
+    const token = crypto.randomBytes(16).toString('hex');
+    sessions.set(token, email);
+    logger.log(`[MOCK] Signed in ${email}`);
+    redirect(res, '/share', { 'Set-Cookie': `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax` });
+  };
+
+  const loginPage = (error = '') => renderPage('Log in to Grain', `
+${error ? `<div role="alert">${escapeHtml(error)}</div>` : ''}
+<form method="post" action="/login">
+  <input type="email" name="email" placeholder="Email">
+  <input type="password" name="password" placeholder="Password">
+  <button type="submit">Log in</button>
+  <button type="submit" formaction="/login/magic-link">Email me a sign-in link</button>
+</form>
+<a href="/oauth/google">Sign in with Google</a>`);
+
+  const googlePage = (email, error = '') => renderPage('Sign in with Google', `
+${error ? `<div role="alert">${escapeHtml(error)}</div>` : ''}
+<form method="post" action="/oauth/google">
+  ${email
+    ? `<input type="hidden" name="email" value="${escapeHtml(email)}">
+  <input type="password" name="password" placeholder="Enter your password">
+  <button type="submit" id="passwordNext">Next</button>`
+    : `<input type="email" name="email" placeholder="Email or phone">
+  <button type="submit" id="identifierNext">Next</button>`}
+</form>`);
+
+  /**
+   * Handles the login form, the Google-style login and the magic link
+   */
+  const handleLogin = async (req, res, url) => {
+    if (req.method === 'GET' && url.pathname === '/login') {
+      return send(res, 200, loginPage());
+    }
+    if (req.method === 'GET' && url.pathname === '/oauth/google') {
+      return send(res, 200, googlePage(''));
+    }
+    if (req.method === 'GET' && url.pathname === '/login/magic') {
+      const email = magicLinks.get(url.searchParams.get('token'));
+      magicLinks.delete(url.searchParams.get('token'));
+      if (!email) {
+        return send(res, 200, loginPage('This sign-in link has expired'));
+      }
+      if (scenario === 'login-error') {
+        return send(res, 200, loginPage('Incorrect email or password'));
+      }
+      return signIn(res, email);
+    }
+
+    const form = new URLSearchParams(await readBody(req));
+    const email = (form.get('email') || '').trim();
+    const password = form.get('password') || '';
+
+    if (url.pathname === '/login/magic-link') {
+      if (!email) {
+        return send(res, 200, loginPage('Enter your email'));
+      }
+      const token = crypto.randomBytes(16).toString('hex');
+      magicLinks.set(token, email);
+      logger.log(`[MOCK] Sign-in link for ${email}: ${baseUrlOf(req)}/login/magic?token=${token}`);
+      return send(res, 200, renderPage('Check your email', `<p>We sent a sign-in link to ${escapeHtml(email)}.</p>`));
+    }
+
+    if (url.pathname === '/oauth/google' && !password) {
+      return send(res, 200, email ? googlePage(email) : googlePage('', 'Enter an email'));
+    }
+
+    const page = url.pathname === '/oauth/google'
+      ? error => googlePage(email, error)
+      : error => loginPage(error);
+    if (!email || !password) {
+      return send(res, 200, page('Enter your email and password'));
+    }
+    if (scenario === 'login-error') {
+      logger.log(`[MOCK] Rejected login for ${email} (login-error scenario)`);
+      return send(res, 200, page('Incorrect email or password'));
+    }
+    return signIn(res, email);
+  };
+
+  /**
+   * Answers one GraphQL operation
+   * @param {string} operationName - Operation name
+   * @param {Object} variables - Operation variables
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Object} {data} or {errors}
+   */
+  const runOperation = (operationName, variables, req) => {
+    const findRecording = id => recordings.get(id) || null;
+    const notFound = id => ({ errors: [{ message: `Recording ${id} not found` }] });
+    const present = recording => ({ id: recording.id, recordingUrl: recording.recordingUrl, state: stateOf(recording) });
+
+    switch (operationName) {
+      case 'viewer':
+        return { data: { viewer: { id: 'mock-user', email: sessionOf(req) } } };
+
+      case 'recordingUploadInfo': {
+        const uuid = crypto.randomUUID();
+        uploads.set(uuid, { filename: variables.filename, size: Number(variables.size), received: 0 });
+        logger.log(`[MOCK] Upload ${uuid} opened for ${variables.filename} (${variables.size} bytes)`);
+        return {
+          data: {
+            recordingUploadInfo: {
+              maxUploadBytes: MAX_UPLOAD_BYTES,
+              url: { uuid, url: `${baseUrlOf(req)}/upload/${uuid}` }
+            }
+          }
+        };
+      }
+
+      case 'createRecordingFromUpload': {
+        const upload = uploads.get(variables.uuid);
+        if (!upload) {
+          return { errors: [{ message: `Upload ${variables.uuid} not found` }] };
+        }
+        if (upload.received < upload.size) {
+          return { errors: [{ message: `Upload ${variables.uuid} has ${upload.received} of ${upload.size} bytes` }] };
+        }
+        if (scenario === 'never-completes') {
+          logger.log(`[MOCK] Holding back the recording for upload ${variables.uuid} (never-completes scenario)`);
+          return { errors: [{ message: 'Recording is still being created, try again later' }] };
+        }
+        const id = crypto.randomUUID();
+        const recording = {
+          id,
+          title: variables.filename || upload.filename,
+          filename: upload.filename,
+          recordingUrl: `${baseUrlOf(req)}/share/recording/${id}`,
+          createdAt: Date.now(),
+          tags: [],
+          collections: [],
+          sharedWith: []
+        };
+        recordings.set(id, recording);
+        logger.log(`[MOCK] Recording ${id} created from ${upload.filename}`);
+        return { data: { createRecordingFromUpload: present(recording) } };
+      }
+
+      case 'recording': {
+        const recording = findRecording(variables.id);
+        return recording ? { data: { recording: present(recording) } } : notFound(variables.id);
+      }
+
+      case 'updateRecording': {
+        const recording = findRecording(variables.id);
+        if (!recording) {
+          return notFound(variables.id);
+        }
+        if (variables.title !== undefined) {
+          recording.title = variables.title;
+        }
+        if (variables.description !== undefined) {
+          recording.description = variables.description;
+        }
+        return { data: { updateRecording: { id: recording.id, title: recording.title } } };
+      }
+
+      case 'addRecordingTags': {
+        const recording = findRecording(variables.recordingId);
+        if (!recording) {
+          return notFound(variables.recordingId);
+        }
+        recording.tags.push(...(variables.tags || []));
+        return { data: { addRecordingTags: { id: recording.id } } };
+      }
+
+      case 'collections':
+        return { data: { collections } };
+
+      case 'addRecordingToCollection': {
+        const recording = findRecording(variables.recordingId);
+        if (!recording) {
+          return notFound(variables.recordingId);
+        }
+        if (!collections.some(collection => collection.id === variables.collectionId)) {
+          return { errors: [{ message: `Collection ${variables.collectionId} not found` }] };
+        }
+        recording.collections.push(variables.collectionId);
+        return { data: { addRecordingToCollection: { id: variables.collectionId } } };
+      }
+
+      case 'shareRecording': {
+        const recording = findRecording(variables.recordingId);
+        if (!recording) {
+          return notFound(variables.recordingId);
+        }
+        recording.sharedWith.push(...(variables.emails || []));
+        return { data: { shareRecording: { id: recording.id } } };
+      }
+
+      default:
+        return { errors: [{ message: `Unknown operation "${operationName}"` }] };
+    }
+  };
+
+  /**
+   * Handles POST /graphql
+   */
+  const handleGraphql = async (req, res) => {
+    const body = await readBody(req);
+    if (!sessionOf(req)) {
+      return sendJson(res, 401, { errors: [{ message: 'Not signed in' }] });
+    }
+    if (scenario === 'server-error') {
+      return sendJson(res, 500, { errors: [{ message: 'Internal server error (server-error scenario)' }] });
+    }
+
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (error) {
+      return sendJson(res, 400, { errors: [{ message: 'Request body is not JSON' }] });
+    }
+
+    const result = runOperation(request.operationName, request.variables || {}, req);
+
+    // slow-start: hold the upload info back, like a Grain that takes too long to start an upload
+    if (request.operationName === 'recordingUploadInfo' && scenario === 'slow-start') {
+      logger.log(`[MOCK] Holding back upload info for ${startDelaySeconds}s (slow-start scenario)`);
+      const timer = setTimeout(() => {
+        delayTimers.delete(timer);
+        sendJson(res, 200, result);
+      }, startDelaySeconds * 1000);
+      delayTimers.add(timer);
+      return;
+    }
+
+    return sendJson(res, 200, result);
+  };
+
+  /**
+   * Handles PUT /upload/<uuid>: the resumable upload protocol (Content-Range chunks,
+   * 308 + Range to continue, "bytes * /size" status queries), or the whole file at once.
+   * The bytes are counted, not stored.
+   */
+  const handleUpload = async (req, res, uuid) => {
+    const upload = uploads.get(uuid);
+    if (!upload) {
+      req.resume();
+      return send(res, 404, 'No such upload');
+    }
+    if (scenario === 'server-error') {
+      req.resume();
+      return send(res, 500, 'Internal server error (server-error scenario)');
+    }
+
+    const range = req.headers['content-range'] || '';
+    const chunk = range.match(/^bytes (\d+)-(\d+)\/(\d+)$/);
+    const start = chunk ? Number(chunk[1]) : 0;
+    const isStatusQuery = /^bytes \*\/\d+$/.test(range);
+
+    let bytes = 0;
+    req.on('data', data => { bytes += data.length; });
+    await new Promise(resolve => req.on('end', resolve));
+
+    // Only a chunk that continues exactly where the upload is counts
+    if (!isStatusQuery && start === upload.received) {
+      upload.received = Math.min(upload.size, upload.received + bytes);
+    }
+
+    if (upload.received >= upload.size) {
+      if (!upload.complete) {
+        upload.complete = true;
+        logger.log(`[MOCK] Upload ${uuid} complete (${upload.size} bytes)`);
+      }
+      return sendJson(res, 200, { uuid, size: upload.size });
+    }
+    const headers = upload.received > 0 ? { Range: `bytes=0-${upload.received - 1}` } : {};
+    return send(res, 308, '', headers);
+  };
+
+  /**
+   * Handles the transcript/summary API (urls.recordingsApi)
+   */
+  const handleRecordingsApi = (req, res, recordingId, transcript) => {
+    const recording = recordings.get(recordingId);
+    if (!recording) {
+      return sendJson(res, 404, { error: 'Recording not found' });
+    }
+    if (stateOf(recording) !== 'READY') {
+      return sendJson(res, 404, { error: 'Recording is still processing' });
+    }
+    if (transcript) {
+      return send(res, 200, `Speaker 1: This is the mock transcript of ${recording.filename}.\n`,
+                  { 'Content-Type': 'text/plain; charset=utf-8' });
+    }
+    return sendJson(res, 200, {
+      id: recording.id,
+      title: recording.title,
+      intelligence_notes_md: `## Summary\n\n- Mock summary of ${recording.filename}\n`
+    });
+  };
+
+  /**
+   * Routes a request
+   */
+  const handle = async (req, res) => {
+    const url = new URL(req.url, baseUrlOf(req));
+    const { pathname } = url;
+
+    if (pathname === '/__mock/scenario') {
+      if (req.method === 'POST') {
+        try {
+          setScenario(url.searchParams.get('name') || (await readBody(req)).trim());
+        } catch (error) {
+          return sendJson(res, 400, { error: error.message });
+        }
+      }
+      return sendJson(res, 200, { scenario, scenarios: SCENARIOS });
+    }
+
+    if (pathname === '/login' || pathname === '/login/magic-link' || pathname === '/login/magic' ||
+        pathname === '/oauth/google') {
+      return handleLogin(req, res, url);
+    }
+    if (pathname === '/graphql' && req.method === 'POST') {
+      return handleGraphql(req, res);
+    }
+
+    const uploadMatch = pathname.match(/^\/upload\/([\w-]+)$/);
+    if (uploadMatch && req.method === 'PUT') {
+      return handleUpload(req, res, uploadMatch[1]);
+    }
+
+    // Everything below needs a signed-in session
+    const apiMatch = pathname.match(/^\/_\/public-api\/recordings\/([\w-]+)(\/transcript\.txt)?$/);
+    if (!sessionOf(req)) {
+      return apiMatch ? sendJson(res, 401, { error: 'Not signed in' }) : redirect(res, '/login');
+    }
+
+    if (apiMatch) {
+      return handleRecordingsApi(req, res, apiMatch[1], Boolean(apiMatch[2]));
+    }
+    if (pathname === '/' || pathname === '/share') {
+      const list = Array.from(recordings.values())
+        .map(recording => `<li><a href="${recording.recordingUrl}">${escapeHtml(recording.title)}</a> (${stateOf(recording)})</li>`)
+        .join('');
+      return send(res, 200, renderPage('Recordings', `<a href="/app/upload-recording">Upload recording</a><ul>${list}</ul>`,
+                                       GRAPHQL_CLIENT));
+    }
+    if (pathname === '/app/upload-recording') {
+      return send(res, 200, renderPage('Upload recording', `
+<input type="file" id="recording-meeting-file">
+<div id="progress" role="progressbar" aria-valuenow="0" aria-valuemax="100" hidden></div>
+<p id="status"></p>`, UPLOAD_SCRIPT));
+    }
+
+    const recordingMatch = pathname.match(/^\/share\/recording\/([\w-]+)$/);
+    if (recordingMatch && recordings.has(recordingMatch[1])) {
+      const recording = recordings.get(recordingMatch[1]);
+      return send(res, 200, renderPage(recording.title, '<p>State: <span id="state">loading</span></p>',
+                                       getRecordingScript(recording.id)));
+    }
+
+    return send(res, 404, renderPage('Not found', `<p>${escapeHtml(pathname)}</p>`));
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      logger.error(`[MOCK] ${req.method} ${req.url} failed: ${error.message}`);
+      if (!res.headersSent) {
+        send(res, 500, 'Mock server error');
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port !== undefined ? options.port : DEFAULT_PORT, host, resolve);
+  });
+
+  const url = `http://${host}:${server.address().port}`;
+  logger.log(`[MOCK] Mock Grain server listening on ${url}`);
+
+  return {
+    url,
+    getScenario: () => scenario,
+    setScenario,
+    close: () => new Promise((resolve) => {
+      delayTimers.forEach(timer => clearTimeout(timer));
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = {
+  SCENARIOS,
+  DEFAULT_PORT,
+  startMockGrain
+};
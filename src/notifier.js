@@ -5,6 +5,8 @@
 
 const nodemailer = require('nodemailer');
 const config = require('./config');
+const { formatBytes, formatDuration } = require('./utils/progress');
+const { describeMedia } = require('./utils/mediaInfo');
 const logger = require('./utils/logger');
 
 /**
@@ -32,6 +34,152 @@ function createTransporter() {
   }
 }
 
+/**
+ * Resolves the recipients of a notification
+ * @param {string[]} [to] - Per-folder recipients
+ * @returns {string} Comma-separated recipients (falls back to EMAIL_TO, then EMAIL_USER)
+ */
+function getRecipients(to) {
+  if (to && to.length > 0) {
+    return to.join(', ');
+  }
+  return config.EMAIL_TO || config.EMAIL_USER;
+}
+
+/**
+ * Names a file in email subjects: by its meeting when known, e.g. "Acme Weekly (2026-10-19)"
+ * @param {string} filename - The file name
+ * @param {Object} [meeting] - The recording's meeting (see recordingMetadata.describeMeeting)
+ * @returns {string} Text for the subject line
+ */
+function getSubjectName(filename, meeting) {
+  if (!meeting || !meeting.title) {
+    return filename;
+  }
+  const details = [meeting.client, meeting.date].filter(Boolean).join(', ');
+  return details ? `${meeting.title} (${details})` : meeting.title;
+}
+
+/**
+ * Lists the meeting details shown in an email
+ * @param {Object} [meeting] - The recording's meeting (see recordingMetadata.describeMeeting)
+ * @returns {Array<[string, string]>} Label/value pairs
+ */
+function getMeetingLines(meeting) {
+  const lines = [];
+  if (!meeting) {
+    return lines;
+  }
+  if (meeting.title) {
+    lines.push(['Title', meeting.title]);
+  }
+  if (meeting.client) {
+    lines.push(['Client', meeting.client]);
+  }
+  if (meeting.date) {
+    lines.push(['Meeting Date', meeting.time ? `${meeting.date} ${meeting.time}` : meeting.date]);
+  }
+  if (meeting.participants.length > 0) {
+    lines.push(['Participants', meeting.participants.join(', ')]);
+  }
+  return lines;
+}
+
+/**
+ * Lists the media details shown in an email
+ * @param {Object} [media] - The file's media info (see utils/mediaInfo.js)
+ * @returns {Array<[string, string]>} Label/value pairs
+ */
+function getMediaLines(media) {
+  if (!media) {
+    return [];
+  }
+  const lines = [['Media', describeMedia(media)]];
+  if (media.createdAt) {
+    lines.push(['Recorded', new Date(media.createdAt).toLocaleString()]);
+  }
+  return lines;
+}
+
+/**
+ * Lists each destination's outcome for an email
+ * Left out when the file only went to Grain, where the recording link says it all.
+ *
+ * @param {Object[]} [destinations] - Destination outcomes (see destinations/index.js)
+ * @returns {string[]} One line per destination, e.g. "✓ nas: /Volumes/NAS/standup.mp4"
+ */
+function getDestinationLines(destinations) {
+  if (!destinations || (destinations.length === 1 && destinations[0].type === 'grain')) {
+    return [];
+  }
+  return destinations.map(outcome => outcome.ok
+    ? `✓ ${outcome.name}: ${outcome.location}`
+    : `✗ ${outcome.name}: ${outcome.message}`);
+}
+
+/**
+ * Formats the destination lines as a text section and an HTML block
+ * @param {string[]} lines - Lines from getDestinationLines
+ * @returns {{text: string, html: string}} Empty strings when there are no lines
+ */
+function formatDestinations(lines) {
+  if (lines.length === 0) {
+    return { text: '', html: '' };
+  }
+  return {
+    text: `\n\nDestinations:\n${lines.map(line => `- ${line}`).join('\n')}`,
+    html: `
+      <div class="file-details">
+        <p><strong>Destinations:</strong></p>
+        <ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>
+      </div>`
+  };
+}
+
+/**
+ * Formats the diagnostics bundle folders of a failed job as a text section and an HTML block
+ * @param {string[]} [paths] - Bundle folders, oldest attempt first (see diagnostics.js)
+ * @returns {{text: string, html: string}} Empty strings when there are none
+ */
+function formatDiagnostics(paths) {
+  if (!paths || paths.length === 0) {
+    return { text: '', html: '' };
+  }
+  return {
+    text: `\n\nDiagnostics (screenshots, network and console logs):\n${paths.map(p => `- ${p}`).join('\n')}`,
+    html: `
+      <div class="file-details">
+        <p><strong>Diagnostics</strong> (screenshots, network and console logs):</p>
+        <ul>${paths.map(p => `<li>${p}</li>`).join('')}</ul>
+      </div>`
+  };
+}
+
+/**
+ * Sends an email, or only logs it in a dry run (see dryRun.js)
+ * @param {object} transporter - Nodemailer transporter
+ * @param {Object} mailOptions - The email
+ * @param {string} kind - 'success', 'error' or 'duplicate' (for log messages)
+ * @param {string} filename - The file the email is about (for log messages)
+ * @returns {Promise<boolean>} True if email sent successfully (or logged in a dry run), false otherwise
+ */
+async function deliver(transporter, mailOptions, kind, filename) {
+  if (config.DRY_RUN) {
+    logger.log(`[DRY RUN] Would send ${kind} email to ${mailOptions.to}: ${mailOptions.subject}`);
+    return true;
+  }
+
+  try {
+    await transporter.sendMail(mailOptions);
+    logger.log(`${kind.charAt(0).toUpperCase()}${kind.slice(1)} email sent for: ${filename}`);
+    return true;
+  } catch (error) {
+    // Log warning but don't crash - email is non-critical
+    logger.error(`Failed to send ${kind} email for ${filename}: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Sends a success notification email
  * @param {Object} params - Email parameters
@@ -39,36 +187,62 @@ function createTransporter() {
  * @param {string} params.timestamp - ISO timestamp of when processing completed
  * @param {string} params.details - Additional success details
  * @param {string} [params.recordingUrl] - Optional Grain recording URL
+ * @param {string} [params.status] - What happened to the file (default: moved to Processed folder)
+ * @param {{bytes: number, seconds: number, bytesPerSecond: number}} [params.uploadStats] - Upload size and speed
+ * @param {boolean} [params.ready] - Grain has finished processing the recording (not just received it)
+ * @param {Object[]} [params.attachments] - Files to attach, as nodemailer attachments ({filename, path})
+ * @param {string[]} [params.warnings] - Follow-up steps that failed (makes this a partial success)
+ * @param {Object} [params.meeting] - The recording's meeting (title, client, date, participants)
+ * @param {Object} [params.media] - The file's media info (format, duration, codecs, recording time)
+ * @param {Object[]} [params.destinations] - Outcome per upload destination (listed when there are several)
+ * @param {string[]} [params.to] - Recipients (default: EMAIL_TO)
  * @returns {Promise<boolean>} True if email was sent successfully, false otherwise
  */
-async function sendSuccessEmail({ filename, timestamp, details, recordingUrl }) {
+async function sendSuccessEmail({ filename, timestamp, details, recordingUrl, status, uploadStats, ready, attachments, warnings, meeting, media, destinations, to }) {
   const transporter = createTransporter();
 
   if (!transporter) {
     return false;
   }
 
-  const emailTo = config.EMAIL_TO || config.EMAIL_USER;
+  const emailTo = getRecipients(to);
 
   const recordingUrlText = recordingUrl ? `\n\nView your recording:\n${recordingUrl}` : '';
+  const fileStatus = status || 'Successfully processed and moved to Processed folder';
+  const uploadSummary = uploadStats
+    ? `${formatBytes(uploadStats.bytes)} in ${formatDuration(uploadStats.seconds)} ` +
+      `(${formatBytes(uploadStats.bytesPerSecond)}/s)`
+    : null;
+  const detailLines = [...getMeetingLines(meeting), ...getMediaLines(media)];
+  const destinationsSection = formatDestinations(getDestinationLines(destinations));
+
+  const headline = ready
+    ? 'Your recording has been uploaded and is ready in Grain!'
+    : 'Your file has been successfully processed and uploaded!';
+  const partial = warnings && warnings.length > 0;
+  const subjectLabel = partial ? 'Partial success' : (ready ? 'Ready' : 'Success');
+  const warningsText = partial
+    ? `\n\nSome follow-up steps failed (fix them in Grain by hand):\n${warnings.map(w => `- ${w}`).join('\n')}`
+    : '';
 
   const mailOptions = {
     from: config.EMAIL_USER,
     to: emailTo,
-    subject: `[Grain Uploader] Success: ${filename}`,
+    subject: `[Grain Uploader] ${subjectLabel}: ${getSubjectName(filename, meeting)}`,
+    attachments: attachments || [],
     text: `
 Grain Auto-Uploader - Success Notification
 ==========================================
 
-Your file has been successfully processed and uploaded!
+${headline}
 
 File Details:
 -------------
 Filename: ${filename}
 Completed: ${timestamp}
-Status: Successfully processed and moved to Processed folder
+Status: ${fileStatus}${uploadSummary ? `\nUpload: ${uploadSummary}` : ''}${detailLines.map(([label, value]) => `\n${label}: ${value}`).join('')}
 
-${details || 'Processing completed without errors.'}${recordingUrlText}
+${details || 'Processing completed without errors.'}${destinationsSection.text}${warningsText}${recordingUrlText}
 
 ---
 This is an automated message from Grain Auto-Uploader.
@@ -94,15 +268,25 @@ If you did not expect this email, please check your uploader configuration.
       <span class="success-icon">✓</span> Grain Auto-Uploader - Success
     </div>
     <div class="content">
-      <p><strong>Your file has been successfully processed and uploaded!</strong></p>
+      <p><strong>${headline}</strong></p>
 
       <div class="file-details">
         <p><strong>Filename:</strong> ${filename}</p>
         <p><strong>Completed:</strong> ${new Date(timestamp).toLocaleString()}</p>
-        <p><strong>Status:</strong> Successfully processed and moved to Processed folder</p>
+        <p><strong>Status:</strong> ${fileStatus}</p>
+        ${uploadSummary ? `<p><strong>Upload:</strong> ${uploadSummary}</p>` : ''}
+        ${detailLines.map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`).join('\n        ')}
       </div>
 
-      <p>${details || 'Processing completed without errors.'}</p>
+      <p>${String(details || 'Processing completed without errors.').replace(/\n/g, '<br>')}</p>
+${destinationsSection.html}
+
+      ${partial ? `
+      <div style="margin: 20px 0; padding: 15px; background-color: #fff3e0; border: 1px solid #FF9800; border-radius: 3px;">
+        <p><strong>Some follow-up steps failed (fix them in Grain by hand):</strong></p>
+        <ul>${warnings.map(w => `<li>${w}</li>`).join('')}</ul>
+      </div>
+      ` : ''}
 
       ${recordingUrl ? `
       <div style="margin: 20px 0; padding: 15px; background-color: #e8f5e9; border: 1px solid #4CAF50; border-radius: 3px;">
@@ -121,15 +305,7 @@ If you did not expect this email, please check your uploader configuration.
     `.trim()
   };
 
-  try {
-    await transporter.sendMail(mailOptions);
-    logger.log(`Success email sent for: ${filename}`);
-    return true;
-  } catch (error) {
-    // Log warning but don't crash - email is non-critical
-    logger.error(`Failed to send success email for ${filename}: ${error.message}`);
-    return false;
-  }
+  return deliver(transporter, mailOptions, 'success', filename);
 }
 
 /**
@@ -138,21 +314,34 @@ If you did not expect this email, please check your uploader configuration.
  * @param {string} params.filename - The name of the file that failed
  * @param {string} params.timestamp - ISO timestamp of when the error occurred
  * @param {string} params.error - Error message or details
+ * @param {string} [params.note] - Where the file ended up (default: still in the watch folder)
+ * @param {Object} [params.meeting] - The recording's meeting (title, client, date, participants)
+ * @param {Object} [params.media] - The file's media info (format, duration, codecs, recording time)
+ * @param {Object[]} [params.destinations] - Outcome per upload destination (listed when there are several)
+ * @param {string[]} [params.diagnosticsPaths] - Diagnostics bundle folders of the failed attempts
+ * @param {Object[]} [params.attachments] - Files to attach, as nodemailer attachments ({filename, path})
+ * @param {string[]} [params.to] - Recipients (default: EMAIL_TO)
  * @returns {Promise<boolean>} True if email was sent successfully, false otherwise
  */
-async function sendErrorEmail({ filename, timestamp, error }) {
+async function sendErrorEmail({ filename, timestamp, error, note, meeting, media, destinations, diagnosticsPaths, attachments, to }) {
   const transporter = createTransporter();
 
   if (!transporter) {
     return false;
   }
 
-  const emailTo = config.EMAIL_TO || config.EMAIL_USER;
+  const emailTo = getRecipients(to);
+  const fileNote = note ||
+    'The file has NOT been moved to the Processed folder and will remain in the watch folder.';
+  const detailLines = [...getMeetingLines(meeting), ...getMediaLines(media)];
+  const destinationsSection = formatDestinations(getDestinationLines(destinations));
+  const diagnosticsSection = formatDiagnostics(diagnosticsPaths);
 
   const mailOptions = {
     from: config.EMAIL_USER,
     to: emailTo,
-    subject: `[Grain Uploader] Error: ${filename}`,
+    subject: `[Grain Uploader] Error: ${getSubjectName(filename, meeting)}`,
+    attachments: attachments || [],
     text: `
 Grain Auto-Uploader - Error Notification
 =========================================
@@ -163,11 +352,11 @@ File Details:
 -------------
 Filename: ${filename}
 Error Time: ${timestamp}
-Status: Failed to process
+Status: Failed to process${detailLines.map(([label, value]) => `\n${label}: ${value}`).join('')}
 
 Error Details:
 --------------
-${error}
+${error}${destinationsSection.text}${diagnosticsSection.text}
 
 Troubleshooting Tips:
 ---------------------
@@ -177,7 +366,7 @@ Troubleshooting Tips:
 4. Check the application logs for more detailed error messages
 5. Try manually uploading the file to test if it's a file-specific issue
 
-The file has NOT been moved to the Processed folder and will remain in the watch folder.
+${fileNote}
 
 ---
 This is an automated message from Grain Auto-Uploader.
@@ -212,12 +401,14 @@ If you need assistance, check the logs or documentation.
         <p><strong>Filename:</strong> ${filename}</p>
         <p><strong>Error Time:</strong> ${new Date(timestamp).toLocaleString()}</p>
         <p><strong>Status:</strong> Failed to process</p>
+        ${detailLines.map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`).join('\n        ')}
       </div>
 
       <div class="error-box">
         <p><strong>Error Details:</strong></p>
-        <p>${error}</p>
+        <p>${String(error).replace(/\n/g, '<br>')}</p>
       </div>
+${destinationsSection.html}${diagnosticsSection.html}
 
       <div class="tips">
         <p><strong>Troubleshooting Tips:</strong></p>
@@ -230,7 +421,7 @@ If you need assistance, check the logs or documentation.
         </ul>
       </div>
 
-      <p><strong>Note:</strong> The file has NOT been moved to the Processed folder and will remain in the watch folder.</p>
+      <p><strong>Note:</strong> ${fileNote}</p>
     </div>
     <div class="footer">
       <p>This is an automated message from Grain Auto-Uploader.</p>
@@ -242,18 +433,110 @@ If you need assistance, check the logs or documentation.
     `.trim()
   };
 
-  try {
-    await transporter.sendMail(mailOptions);
-    logger.log(`Error email sent for: ${filename}`);
-    return true;
-  } catch (error) {
-    // Log warning but don't crash - email is non-critical
-    logger.error(`Failed to send error email for ${filename}: ${error.message}`);
+  return deliver(transporter, mailOptions, 'error', filename);
+}
+
+/**
+ * Sends a duplicate warning email (file content was already uploaded)
+ * @param {Object} params - Email parameters
+ * @param {string} params.filename - The name of the duplicate file
+ * @param {string} params.timestamp - ISO timestamp of when the duplicate was detected
+ * @param {Object} params.existing - The matching upload ledger entry
+ * @param {string[]} [params.to] - Recipients (default: EMAIL_TO)
+ * @returns {Promise<boolean>} True if email was sent successfully, false otherwise
+ */
+async function sendDuplicateEmail({ filename, timestamp, existing, to }) {
+  const transporter = createTransporter();
+
+  if (!transporter) {
     return false;
   }
+
+  const emailTo = getRecipients(to);
+
+  const previousUpload = existing.status === 'unconfirmed'
+    ? 'A previous upload of this content timed out before Grain confirmed it, so it may already exist in Grain.'
+    : 'This content was already uploaded to Grain.';
+  const recordingUrlText = existing.recordingUrl ? `\nExisting recording: ${existing.recordingUrl}` : '';
+
+  const mailOptions = {
+    from: config.EMAIL_USER,
+    to: emailTo,
+    subject: `[Grain Uploader] Duplicate skipped: ${filename}`,
+    text: `
+Grain Auto-Uploader - Duplicate Warning
+=======================================
+
+${previousUpload}
+
+File Details:
+-------------
+Filename: ${filename}
+Detected: ${timestamp}
+Status: Not uploaded, moved to Processed folder
+
+Previous Upload:
+----------------
+Filename: ${existing.filename}
+Recorded: ${existing.recordedAt}${recordingUrlText}
+
+To upload it anyway, set DUPLICATE_POLICY=force and move the file back into the watch folder.
+
+---
+This is an automated message from Grain Auto-Uploader.
+If you did not expect this email, please check your uploader configuration.
+    `.trim(),
+    html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #FF9800; color: white; padding: 15px; border-radius: 5px 5px 0 0; }
+    .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; border-top: none; }
+    .footer { font-size: 12px; color: #666; margin-top: 20px; padding-top: 20px; border-top: 1px solid #ddd; }
+    .file-details { background-color: white; padding: 15px; border-left: 4px solid #FF9800; margin: 15px 0; }
+    .warning-icon { font-size: 24px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <span class="warning-icon">⚠</span> Grain Auto-Uploader - Duplicate Skipped
+    </div>
+    <div class="content">
+      <p><strong>${previousUpload}</strong></p>
+
+      <div class="file-details">
+        <p><strong>Filename:</strong> ${filename}</p>
+        <p><strong>Detected:</strong> ${new Date(timestamp).toLocaleString()}</p>
+        <p><strong>Status:</strong> Not uploaded, moved to Processed folder</p>
+      </div>
+
+      <div class="file-details">
+        <p><strong>Previous upload:</strong> ${existing.filename}</p>
+        <p><strong>Recorded:</strong> ${new Date(existing.recordedAt).toLocaleString()}</p>
+        ${existing.recordingUrl ? `<p><strong>Existing recording:</strong> <a href="${existing.recordingUrl}">${existing.recordingUrl}</a></p>` : ''}
+      </div>
+
+      <p>To upload it anyway, set <code>DUPLICATE_POLICY=force</code> and move the file back into the watch folder.</p>
+    </div>
+    <div class="footer">
+      <p>This is an automated message from Grain Auto-Uploader.</p>
+      <p>If you did not expect this email, please check your uploader configuration.</p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim()
+  };
+
+  return deliver(transporter, mailOptions, 'duplicate', filename);
 }
 
 module.exports = {
   sendSuccessEmail,
-  sendErrorEmail
+  sendErrorEmail,
+  sendDuplicateEmail
 };
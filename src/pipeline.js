@@ -0,0 +1,796 @@
+/**
+ * Processing pipeline module
+ * Takes jobs off the shared queue one at a time: stabilize, dedupe, upload, then
+ * apply the watch target's post-upload action and notify its recipients
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+const {
+  isPathInside,
+  getRelativeDir,
+  moveToProcessed,
+  moveToFailed,
+  moveCompanionFile,
+  writeFailureReport
+} = require('./utils/fileHandler');
+const { waitForStableFile } = require('./utils/fileReady');
+const { parseFilename } = require('./utils/filenameTemplates');
+const { processFile } = require('./processor');
+const { findSidecar, readSidecar } = require('./sidecar');
+const { describeMeeting, describeMetadataFailures, resolveMetadata } = require('./recordingMetadata');
+const { closeIdleBrowser } = require('./browserManager');
+const { trackProcessing } = require('./processingTracker');
+const { decideRetry } = require('./retryPolicy');
+const { ERROR_CODES, getErrorCode } = require('./utils/errors');
+const { sendSuccessEmail, sendErrorEmail, sendDuplicateEmail } = require('./notifier');
+const { DRY_RUN_OUTCOMES, recordDryRun } = require('./dryRun');
+const { startDiagnostics } = require('./diagnostics');
+const { validateMedia } = require('./mediaValidation');
+const { needsTranscode, planTranscode, transcodeFile } = require('./transcoder');
+const { waitFor } = require('./utils/wait');
+const { LEDGER_STATUS, hashFile, findByHash, recordUpload } = require('./ledger');
+const {
+  JOB_STATES,
+  recoverJobs,
+  nextJob,
+  msUntilNextJob,
+  scheduleRetry,
+  updateJob,
+  recordProgress,
+  findJobsAwaitingProcessing,
+  pendingCount
+} = require('./jobQueue');
+
+// Only one file is processed at a time (uploads share one browser, see browserManager.js)
+// The queue itself lives in the persistent job queue so it survives restarts
+let isProcessing = false;
+
+// The job being processed right now
+let currentJob = null;
+
+// Set on shutdown: no new jobs are started (see shutdown.js)
+let stopped = false;
+
+// Timer that wakes the queue up when the next retry is due
+let wakeUpTimer = null;
+
+/**
+ * Finds the watch target a job belongs to
+ * Falls back to the target whose folder contains the file (e.g. jobs queued before
+ * targets were named, or after a target was renamed)
+ * @param {Object} job - The job
+ * @returns {Object|undefined} The watch target
+ */
+function resolveTarget(job) {
+  const byName = config.WATCH_TARGETS.find(target => target.name === job.target);
+  if (byName) {
+    return byName;
+  }
+
+  return config.WATCH_TARGETS.find(target => isPathInside(job.filePath, target.watchFolder));
+}
+
+/**
+ * Returns the Grain account a job uploads to: the one named in its sidecar, or the target's
+ * @param {Object} job - The job
+ * @param {Object} target - The job's watch target
+ * @returns {Object} The Grain account
+ */
+function getJobAccount(job, target) {
+  if (job.sidecar && job.sidecar.account && config.ACCOUNTS[job.sidecar.account]) {
+    return config.ACCOUNTS[job.sidecar.account];
+  }
+  return target.account;
+}
+
+/**
+ * Returns the sidecar that travels with a file when it is moved or deleted
+ * @param {string} filePath - The recording
+ * @param {Object} target - The watch target
+ * @returns {string|null} Path of the sidecar, or null if there is none (or sidecars are off)
+ */
+function getCompanionSidecar(filePath, target) {
+  return target.sidecar === 'off' ? null : findSidecar(filePath);
+}
+
+/**
+ * Returns the meeting fields kept in the upload history for a job
+ * @param {Object} job - The job
+ * @returns {{title?: string, client?: string, meetingDate?: string}} Fields to add to the ledger entry
+ */
+function getLedgerMeeting(job) {
+  const meeting = describeMeeting(job.filenameInfo, job.sidecar);
+  if (!meeting) {
+    return {};
+  }
+  return {
+    title: meeting.title,
+    client: meeting.client,
+    meetingDate: meeting.time ? `${meeting.date} ${meeting.time}` : meeting.date
+  };
+}
+
+/**
+ * Makes sure processQueue runs again when the next waiting retry becomes due
+ */
+function scheduleWakeUp() {
+  const delay = msUntilNextJob();
+  if (delay === null) {
+    return;
+  }
+
+  if (wakeUpTimer) {
+    clearTimeout(wakeUpTimer);
+  }
+
+  wakeUpTimer = setTimeout(() => {
+    wakeUpTimer = null;
+    processQueue();
+  }, delay);
+}
+
+/**
+ * Formats a job's attempt history for logs and emails
+ * @param {Object[]} attempts - Attempt records
+ * @returns {string} One line per attempt
+ */
+function formatAttempts(attempts) {
+  return attempts
+    .map(a => `Attempt ${a.attempt} (${a.at}) [${a.errorCode}]: ${a.message}`)
+    .join('\n');
+}
+
+/**
+ * Deletes the file converted for a job, and its folder in DATA_DIR/transcoded
+ * @param {string} [convertedPath] - The converted file (see transcoder.js), if the job has one
+ */
+function discardConvertedFile(convertedPath) {
+  if (convertedPath) {
+    fs.rmSync(path.dirname(convertedPath), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Returns the file to upload for a job: the file itself, or for a format Grain doesn't take,
+ * the file converted with ffmpeg (reusing the one converted on an earlier attempt)
+ * A dry run only finds out what the file would be converted to.
+ *
+ * @param {Object} job - The job
+ * @returns {Promise<{ok: boolean, uploadPath?: string, convertTo?: string, message?: string, errorCode?: string}>}
+ *   The file to upload, or why the conversion failed
+ */
+async function prepareUploadFile(job) {
+  const fileName = path.basename(job.filePath);
+  if (!needsTranscode(job.filePath)) {
+    return { ok: true, uploadPath: job.filePath };
+  }
+
+  if (config.DRY_RUN) {
+    const plan = await planTranscode(job.filePath);
+    if (plan.ok) {
+      logger.log(`[DRY RUN] Would convert ${fileName} (${plan.streams}) to ${plan.format}`);
+    }
+    return { ...plan, uploadPath: job.filePath, convertTo: plan.format };
+  }
+
+  if (job.transcodedPath && fs.existsSync(job.transcodedPath)) {
+    logger.log(`[TRANSCODE] Using ${path.basename(job.transcodedPath)}, converted on an earlier attempt`);
+    return { ok: true, uploadPath: job.transcodedPath };
+  }
+
+  const conversion = await transcodeFile(job.filePath, path.join(config.DATA_DIR, 'transcoded', job.id));
+  if (!conversion.ok) {
+    return conversion;
+  }
+  updateJob(job.id, JOB_STATES.STABILIZING, { transcodedPath: conversion.outputPath });
+  return { ok: true, uploadPath: conversion.outputPath };
+}
+
+/**
+ * Applies the watch target's post-upload action to a file (and its sidecar, if any)
+ * - move: move to the target's Processed folder (keeping the file's subfolder path)
+ * - delete: delete the file
+ * - keep: leave the file where it is
+ * A converted copy of the file is moved to Processed with it, and deleted otherwise
+ * (left in the watch folder, it would be picked up as a new recording).
+ *
+ * @param {string} filePath - The uploaded file
+ * @param {Object} target - The watch target
+ * @param {string} [convertedPath] - The file converted from it and uploaded instead (see transcoder.js)
+ * @returns {{destPath: string|null, status: string}} Where the file ended up, and a description
+ * @throws {Error} If moving or deleting fails
+ */
+function applyPostUploadAction(filePath, target, convertedPath) {
+  const sidecarPath = getCompanionSidecar(filePath, target);
+
+  switch (target.postUploadAction) {
+    case 'delete':
+      fs.unlinkSync(filePath);
+      if (sidecarPath) {
+        fs.unlinkSync(sidecarPath);
+      }
+      discardConvertedFile(convertedPath);
+      return { destPath: null, status: 'Deleted from the watch folder' };
+    case 'keep':
+      discardConvertedFile(convertedPath);
+      return { destPath: filePath, status: 'Left in the watch folder' };
+    default: {
+      const relativeDir = getRelativeDir(filePath, target.watchFolder);
+      const destPath = moveToProcessed(filePath, target.processedFolder, relativeDir);
+      if (sidecarPath) {
+        moveCompanionFile(sidecarPath, filePath, destPath);
+      }
+      let convertedNote = '';
+      if (convertedPath && fs.existsSync(convertedPath)) {
+        const convertedDest = moveToProcessed(convertedPath, target.processedFolder, relativeDir);
+        convertedNote = ` (with the converted ${path.basename(convertedDest)})`;
+      }
+      discardConvertedFile(convertedPath);
+      return {
+        destPath,
+        status: `Successfully processed and moved to Processed folder${convertedNote}`
+      };
+    }
+  }
+}
+
+/**
+ * Describes what the watch target's post-upload action would do with a file, for dry runs
+ * @param {string} filePath - The file
+ * @param {Object} target - The watch target
+ * @returns {string} E.g. "move it to /Users/me/Grain Uploads/Processed/standup.mp4"
+ */
+function describePostUploadAction(filePath, target) {
+  switch (target.postUploadAction) {
+    case 'delete':
+      return 'delete it';
+    case 'keep':
+      return 'leave it in the watch folder';
+    default:
+      return `move it to ${path.join(target.processedFolder, getRelativeDir(filePath, target.watchFolder),
+                                     path.basename(filePath))}`;
+  }
+}
+
+/**
+ * Dry run: logs what would be uploaded where, under which title, and what would happen to
+ * the file afterwards, instead of uploading it
+ * @param {Object} job - The job
+ * @param {Object} target - The job's watch target
+ * @param {Object} details - What the pipeline found out about the file
+ * @param {string} details.hash - SHA-256 hash of the file
+ * @param {Object} details.account - Grain account it would go to
+ * @param {Object} [details.sidecar] - The file's sidecar
+ * @param {Object} [details.filenameInfo] - Fields read from the file name
+ * @param {string} [details.convertTo] - Format the file would be converted to first
+ */
+function reportDryRunUpload(job, target, { hash, account, sidecar, filenameInfo, convertTo }) {
+  const fileName = path.basename(job.filePath);
+  const destinations = target.destinations.map(destination => destination.name).join(', ');
+  const metadata = resolveMetadata(job.filePath, target.metadata, sidecar, filenameInfo);
+  // Without a title, Grain names the recording after the file
+  const title = (metadata && metadata.title) || fileName;
+  const afterUpload = describePostUploadAction(job.filePath, target);
+  const toGrain = target.destinations.some(destination => destination.type === 'grain');
+
+  logger.log(`[DRY RUN] Would upload ${fileName} to ${destinations} (target: ${target.name}` +
+             `${toGrain ? `, account: ${account.email}` : ''})`);
+  logger.log(`[DRY RUN]   Title: ${title}`);
+  if (convertTo) {
+    logger.log(`[DRY RUN]   Converted to: ${convertTo}`);
+  }
+  logger.log(`[DRY RUN]   After upload: ${afterUpload}`);
+
+  updateJob(job.id, JOB_STATES.SKIPPED, { hash, dryRun: true });
+  recordDryRun({
+    kind: DRY_RUN_OUTCOMES.UPLOAD,
+    fileName,
+    target: target.name,
+    detail: `${convertTo ? `converted to ${convertTo}, ` : ''}to ${destinations}, title "${title}", then ${afterUpload}`
+  });
+}
+
+/**
+ * Handles a failed upload attempt
+ * Schedules a retry with backoff if the retry policy allows it, otherwise
+ * quarantines the file in the Failed folder with a report and sends an error email
+ *
+ * @param {Object} job - The job that failed
+ * @param {Object} target - The job's watch target
+ * @param {string} errorCode - One of ERROR_CODES
+ * @param {string} message - The error message
+ * @param {{dir: string, attachments: Object[]}|null} [bundle] - The attempt's diagnostics bundle (see diagnostics.js)
+ */
+async function handleFailure(job, target, errorCode, message, bundle) {
+  const fileName = path.basename(job.filePath);
+  const attempts = [...(job.attempts || []), {
+    attempt: (job.attempts || []).length + 1,
+    errorCode,
+    message,
+    at: new Date().toISOString(),
+    ...(bundle ? { diagnostics: bundle.dir } : {})
+  }];
+  const attemptNumber = attempts.length;
+  const decision = decideRetry(errorCode, attemptNumber);
+
+  // Dry run: report the failure, but don't retry, quarantine or email
+  if (config.DRY_RUN) {
+    const outcome = decision.retry
+      ? `would be retried in ${Math.round(decision.delayMs / 1000)}s`
+      : decision.quarantine ? 'would be moved to the Failed folder' : 'would be given up on';
+    logger.error(`[DRY RUN] ${fileName} would fail [${errorCode}]: ${message} (${outcome})`);
+    updateJob(job.id, JOB_STATES.FAILED, { attempts, message, dryRun: true });
+    recordDryRun({
+      kind: DRY_RUN_OUTCOMES.FAILED,
+      fileName,
+      target: target.name,
+      detail: `[${errorCode}] ${message} (${outcome})`
+    });
+    return;
+  }
+
+  // The upload started but was never confirmed - Grain may still have received it,
+  // so remember the content to catch a duplicate if the file is dropped in again
+  if (errorCode === ERROR_CODES.COMPLETION_TIMEOUT && job.hash) {
+    recordUpload({
+      hash: job.hash,
+      filename: fileName,
+      size: job.size,
+      status: LEDGER_STATUS.UNCONFIRMED,
+      account: getJobAccount(job, target).email,
+      ...getLedgerMeeting(job)
+    });
+  }
+
+  if (decision.retry) {
+    scheduleRetry(job.id, decision.delayMs, { attempts, message });
+    logger.error(`[RETRY] Attempt ${attemptNumber}/${config.MAX_UPLOAD_ATTEMPTS} failed for ${fileName} [${errorCode}]: ${message}`);
+    logger.log(`[RETRY] Next attempt in ${Math.round(decision.delayMs / 1000)}s`);
+    return;
+  }
+
+  logger.error(`[ERROR] Giving up on ${fileName} after ${attemptNumber} attempt(s) [${errorCode}]: ${message}`);
+
+  // Quarantine the file with a report of every attempt
+  let failedPath = null;
+  let note;
+  if (decision.quarantine && fs.existsSync(job.filePath)) {
+    try {
+      const sidecarPath = getCompanionSidecar(job.filePath, target);
+      failedPath = moveToFailed(job.filePath, target.failedFolder,
+                                getRelativeDir(job.filePath, target.watchFolder));
+      if (sidecarPath) {
+        moveCompanionFile(sidecarPath, job.filePath, failedPath);
+      }
+      writeFailureReport(failedPath, {
+        filename: fileName,
+        originalPath: job.filePath,
+        target: target.name,
+        failedAt: new Date().toISOString(),
+        attempts
+      });
+      logger.log(`[FAILED] File moved to Failed folder: ${path.basename(failedPath)}`);
+      note = `The file has been moved to the Failed folder (${target.failedFolder}) together with a failure report. ` +
+             'Move it back into the watch folder to try again.';
+    } catch (moveError) {
+      logger.error(`[ERROR] Failed to move file to Failed folder: ${moveError.message}`);
+    }
+  }
+
+  updateJob(job.id, JOB_STATES.FAILED, { attempts, message, failedPath });
+  discardConvertedFile(job.transcodedPath);
+
+  await sendErrorEmail({
+    filename: fileName,
+    timestamp: new Date().toISOString(),
+    error: `Processing failed after ${attemptNumber} attempt(s):\n${formatAttempts(attempts)}`,
+    note,
+    meeting: describeMeeting(job.filenameInfo, job.sidecar),
+    media: job.media,
+    destinations: job.destinations,
+    diagnosticsPaths: attempts.map(a => a.diagnostics).filter(Boolean),
+    attachments: bundle ? bundle.attachments : [],
+    to: target.notify
+  });
+}
+
+/**
+ * Applies the duplicate policy if the file's content is already in the upload ledger
+ * - skip: don't upload, apply the post-upload action
+ * - warn: same as skip, and send a duplicate warning email
+ * - force: upload anyway
+ *
+ * @param {Object} job - The job being processed
+ * @param {Object} target - The job's watch target
+ * @param {string} hash - SHA-256 hash of the file
+ * @returns {Promise<boolean>} True if the job was handled as a duplicate (no upload needed)
+ */
+async function handleDuplicate(job, target, hash) {
+  const existing = findByHash(hash, getJobAccount(job, target).email);
+  if (!existing) {
+    return false;
+  }
+
+  const fileName = path.basename(job.filePath);
+  const description = existing.status === LEDGER_STATUS.UNCONFIRMED
+    ? 'may already be in Grain (earlier upload timed out)'
+    : 'was already uploaded';
+  logger.log(`[DEDUP] Content of ${fileName} ${description} as ${existing.filename}`);
+
+  if (config.DUPLICATE_POLICY === 'force') {
+    logger.log('[DEDUP] Uploading anyway (DUPLICATE_POLICY=force)');
+    return false;
+  }
+
+  if (config.DRY_RUN) {
+    const afterSkip = describePostUploadAction(job.filePath, target);
+    const warning = config.DUPLICATE_POLICY === 'warn' ? ' and send a duplicate warning' : '';
+    logger.log(`[DRY RUN] Would skip ${fileName}, ${afterSkip}${warning}`);
+    updateJob(job.id, JOB_STATES.SKIPPED, { hash, duplicateOf: existing.recordingId || existing.filename, dryRun: true });
+    recordDryRun({
+      kind: DRY_RUN_OUTCOMES.DUPLICATE,
+      fileName,
+      target: target.name,
+      detail: `same content as ${existing.filename}, would ${afterSkip}${warning}`
+    });
+    return true;
+  }
+
+  const { destPath, status } = applyPostUploadAction(job.filePath, target, job.transcodedPath);
+  updateJob(job.id, JOB_STATES.SKIPPED, {
+    hash,
+    destPath,
+    duplicateOf: existing.recordingId || existing.filename,
+    recordingUrl: existing.recordingUrl
+  });
+  logger.log(`[SKIPPED] Duplicate not uploaded: ${fileName} (${status})`);
+
+  if (config.DUPLICATE_POLICY === 'warn') {
+    await sendDuplicateEmail({
+      filename: fileName,
+      timestamp: new Date().toISOString(),
+      existing,
+      to: target.notify
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Processes files from the queue one at a time
+ * Ensures only one Puppeteer instance runs at once
+ * Every step is recorded in the job journal so an interrupted job can be resumed
+ */
+async function processQueue() {
+  // If shutting down, already processing or queue is empty, do nothing
+  if (stopped || isProcessing || pendingCount() === 0) {
+    return;
+  }
+
+  // Get the next job from the queue (jobs waiting for a retry may not be due yet)
+  const job = nextJob();
+  if (!job) {
+    scheduleWakeUp();
+    return;
+  }
+
+  // Mark as processing
+  isProcessing = true;
+  currentJob = job;
+
+  const filePath = job.filePath;
+  const fileName = path.basename(filePath);
+  const target = resolveTarget(job);
+
+  // Screenshots, network traffic and log lines of this attempt, kept if it fails
+  const diagnostics = startDiagnostics(`${fileName}-attempt-${(job.attempts || []).length + 1}`);
+
+  try {
+    if (!target) {
+      // The file's watch folder was removed from the config - nothing sensible to do with it
+      updateJob(job.id, JOB_STATES.FAILED, { message: 'No watch target configured for this file' });
+      logger.error(`[ERROR] No watch target configured for ${fileName}, dropping job`);
+      return;
+    }
+
+    let result;
+
+    if (job.state === JOB_STATES.UPLOADED && config.DRY_RUN) {
+      const afterUpload = describePostUploadAction(filePath, target);
+      logger.log(`[DRY RUN] ${fileName} was already uploaded, would ${afterUpload}`);
+      recordDryRun({ kind: DRY_RUN_OUTCOMES.FINISH, fileName, target: target.name, detail: `would ${afterUpload}` });
+      return;
+    }
+
+    if (job.state === JOB_STATES.UPLOADED) {
+      // Resumed after a restart: upload already confirmed, only the post-upload action is left
+      logger.log(`[RESUME] Upload already confirmed, finishing: ${fileName}`);
+      result = {
+        ok: true,
+        message: job.message,
+        recordingUrl: job.recordingUrl,
+        recordingId: job.recordingId,
+        uploadStats: job.uploadStats,
+        metadataResult: job.metadataResult,
+        destinations: job.destinations
+      };
+    } else {
+      // Step 1: Wait for file to be completely written
+      updateJob(job.id, JOB_STATES.STABILIZING);
+      logger.log(`[STABLE] Waiting for file to stabilize: ${fileName}`);
+      await waitForStableFile(filePath);
+      logger.log(`[STABLE] File stable and ready: ${fileName}`);
+
+      // Read the meeting details from the file name, if it matches one of the target's templates
+      const filenameInfo = parseFilename(path.parse(filePath).name, target.filenameTemplates);
+      if (filenameInfo) {
+        const found = ['date', 'time', 'title', 'client']
+          .filter(field => filenameInfo[field])
+          .map(field => `${field} "${filenameInfo[field]}"`);
+        logger.log(`[FILENAME] ${fileName} matches ${filenameInfo.template}: ${found.join(', ')}`);
+      }
+
+      // Pick up the sidecar metadata file (waits for it if the target requires one)
+      const sidecar = await readSidecar(filePath, {
+        mode: target.sidecar,
+        waitMs: config.SIDECAR_WAIT_SECONDS * 1000,
+        accounts: config.ACCOUNTS
+      });
+      if (sidecar || job.sidecar || filenameInfo || job.filenameInfo) {
+        // Also clears details from an earlier attempt whose sidecar has since been removed
+        updateJob(job.id, JOB_STATES.STABILIZING, { sidecar, filenameInfo });
+      }
+      if (sidecar) {
+        logger.log(`[SIDECAR] Using ${path.basename(sidecar.path)}`);
+      }
+
+      // Convert a format Grain doesn't take; the converted file is checked and uploaded instead
+      const prepared = await prepareUploadFile(job);
+      if (!prepared.ok) {
+        logger.error(`[TRANSCODE] ${prepared.message}`);
+        await handleFailure(job, target, prepared.errorCode, prepared.message, diagnostics.keep());
+        return;
+      }
+      const { uploadPath, convertTo } = prepared;
+
+      // Check the file is a well-formed recording Grain will take, before logging in
+      const validation = await validateMedia(uploadPath, target);
+      if (validation.media || job.media) {
+        updateJob(job.id, JOB_STATES.STABILIZING, { media: validation.media });
+      }
+      if (!validation.ok) {
+        logger.error(`[MEDIA] Rejected ${fileName}: ${validation.message}`);
+        await handleFailure(job, target, validation.errorCode, validation.message, diagnostics.keep());
+        return;
+      }
+
+      const account = getJobAccount(job, target);
+
+      // Step 2: Check the upload ledger so the same content is never uploaded twice
+      logger.log(`[DEDUP] Hashing file: ${fileName}`);
+      const hash = await hashFile(filePath);
+      if (await handleDuplicate(job, target, hash)) {
+        return;
+      }
+
+      // Dry run: stop here and report what would be uploaded
+      if (config.DRY_RUN) {
+        reportDryRunUpload(job, target, { hash, account, sidecar, filenameInfo, convertTo });
+        return;
+      }
+
+      // Step 3: Process the file (upload to each of the target's destinations)
+      // Record the final size/mtime so the upload history matches the uploaded file
+      const stats = fs.statSync(filePath);
+      updateJob(job.id, JOB_STATES.UPLOADING, {
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        hash,
+        progress: null
+      });
+      logger.log(`[UPLOADING] Processing file: ${path.basename(uploadPath)} (target: ${target.name})`);
+      result = await processFile(uploadPath, {
+        destinations: target.destinations,
+        // A retry skips the destinations that already have the file
+        completed: job.destinations,
+        relativeDir: getRelativeDir(filePath, target.watchFolder),
+        account,
+        metadata: target.metadata,
+        sidecar,
+        filenameInfo,
+        onProgress: progress => recordProgress(job.id, progress),
+        // A retry resumes the direct upload's transfer instead of starting it over
+        uploadTicket: job.uploadTicket,
+        onTicket: ticket => updateJob(job.id, JOB_STATES.UPLOADING, { uploadTicket: ticket }),
+        diagnostics
+      });
+
+      if (result.ok) {
+        updateJob(job.id, JOB_STATES.UPLOADED, {
+          message: result.message,
+          recordingUrl: result.recordingUrl,
+          recordingId: result.recordingId,
+          uploadStats: result.uploadStats,
+          metadataResult: result.metadataResult,
+          destinations: result.destinations,
+          uploadTicket: null
+        });
+        recordUpload({
+          hash,
+          filename: fileName,
+          size: stats.size,
+          status: LEDGER_STATUS.UPLOADED,
+          account: account.email,
+          recordingId: result.recordingId,
+          recordingUrl: result.recordingUrl,
+          destinations: result.destinations.map(outcome => outcome.name),
+          ...getLedgerMeeting(job)
+        });
+      } else {
+        updateJob(job.id, JOB_STATES.UPLOADING, { destinations: result.destinations });
+      }
+    }
+
+    // Step 4: Apply the post-upload action if successful
+    if (result.ok) {
+      try {
+        const { destPath, status } = applyPostUploadAction(filePath, target, job.transcodedPath);
+        updateJob(job.id, JOB_STATES.MOVED, { destPath });
+        logger.log(`[MOVED] ${fileName}: ${status}`);
+        if (result.partial) {
+          logger.error(`[PARTIAL] ${fileName} uploaded, but some metadata could not be set`);
+        }
+
+        // Follow the recording until Grain has processed it; the tracker sends the email
+        if (config.TRACK_PROCESSING && result.recordingId && result.recordingUrl) {
+          trackProcessing(job, target, getJobAccount(job, target), status);
+          logger.log(`[PROCESSING] Waiting for Grain to finish processing: ${fileName}`);
+          return;
+        }
+
+        // Send success email notification with recording URL
+        logger.log(`[EMAILED] Sending success notification for: ${fileName}`);
+        const timestamp = new Date().toISOString();
+        await sendSuccessEmail({
+          filename: fileName,
+          timestamp: timestamp,
+          details: result.message || 'File successfully processed and uploaded.',
+          recordingUrl: result.recordingUrl,
+          status,
+          uploadStats: result.uploadStats,
+          warnings: describeMetadataFailures(result.metadataResult),
+          meeting: describeMeeting(job.filenameInfo, job.sidecar),
+          media: job.media,
+          destinations: result.destinations,
+          to: target.notify
+        });
+        logger.log(`[EMAILED] Success notification sent for: ${fileName}`);
+      } catch (moveError) {
+        // Move failed - send error email
+        updateJob(job.id, JOB_STATES.FAILED, {
+          message: `Failed to move file to Processed folder: ${moveError.message}`
+        });
+        logger.error(`[ERROR] Failed to move file to Processed: ${moveError.message}`);
+        const bundle = diagnostics.keep();
+        const timestamp = new Date().toISOString();
+        await sendErrorEmail({
+          filename: fileName,
+          timestamp: timestamp,
+          error: `Failed to move file to Processed folder: ${moveError.message}`,
+          meeting: describeMeeting(job.filenameInfo, job.sidecar),
+          media: job.media,
+          diagnosticsPaths: bundle ? [bundle.dir] : [],
+          attachments: bundle ? bundle.attachments : [],
+          to: target.notify
+        });
+      }
+    } else {
+      // Processing failed - retry or quarantine
+      await handleFailure(job, target, result.errorCode, result.message, diagnostics.keep());
+    }
+  } catch (error) {
+    // General error (stability check, etc.) - retry or quarantine
+    await handleFailure(job, target, getErrorCode(error), `Error during file handling: ${error.message}`,
+                        diagnostics.keep());
+  } finally {
+    // Delete the bundle of an attempt that didn't fail (no-op once it was kept)
+    diagnostics.discard();
+
+    // Mark as not processing
+    isProcessing = false;
+    currentJob = null;
+
+    // Process next file in queue if any (unless shutting down)
+    if (pendingCount() > 0 && !stopped) {
+      if (msUntilNextJob() === 0) {
+        logger.log(`[QUEUE] Processing next file in queue (${pendingCount()} remaining)`);
+      }
+      setImmediate(() => processQueue());
+    }
+
+    // Nothing due right now (queue empty or only waiting retries) - free the browser,
+    // unless a processing check is still using it
+    if (msUntilNextJob() !== 0) {
+      await closeIdleBrowser();
+    }
+  }
+}
+
+/**
+ * Restores the queue from the job journal after a restart
+ * Unfinished jobs are resumed; jobs that were mid-upload are flagged for reconciliation,
+ * and recordings still being processed by Grain are tracked again (not in a dry run)
+ */
+async function resumeQueue() {
+  const { resumed, reconcile } = recoverJobs();
+
+  if (resumed.length > 0) {
+    logger.log(`[QUEUE] Resuming ${resumed.length} unfinished job(s) from previous run`);
+  }
+
+  const awaitingProcessing = config.DRY_RUN ? [] : findJobsAwaitingProcessing();
+  if (awaitingProcessing.length > 0) {
+    logger.log(`[PROCESSING] Resuming tracking of ${awaitingProcessing.length} recording(s) still processing in Grain`);
+  }
+  for (const job of awaitingProcessing) {
+    const target = resolveTarget(job);
+    if (target) {
+      trackProcessing(job, target, getJobAccount(job, target));
+    }
+  }
+
+  for (const job of reconcile) {
+    const fileName = path.basename(job.filePath);
+    const target = resolveTarget(job);
+    logger.error(`[RECONCILE] ${fileName} was mid-upload when the uploader stopped - not retrying`);
+    await sendErrorEmail({
+      filename: fileName,
+      timestamp: job.updatedAt,
+      error: job.message,
+      to: target ? target.notify : undefined
+    });
+  }
+
+  processQueue();
+}
+
+/**
+ * Stops the queue from starting new jobs (the current one carries on)
+ * Queued jobs stay in the job journal and are resumed on the next start
+ */
+function stopQueue() {
+  stopped = true;
+  if (wakeUpTimer) {
+    clearTimeout(wakeUpTimer);
+    wakeUpTimer = null;
+  }
+}
+
+/**
+ * Returns the job being processed right now
+ * @returns {Object|null} The job, or null when the queue is idle
+ */
+function getCurrentJob() {
+  return currentJob;
+}
+
+/**
+ * Waits for the current job to finish
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} True if no job is being processed (any more), false on timeout
+ */
+function waitForIdle(timeoutMs) {
+  return waitFor(() => !isProcessing, { timeoutMs, intervalMs: 500 });
+}
+
+module.exports = {
+  processQueue,
+  resumeQueue,
+  stopQueue,
+  getCurrentJob,
+  waitForIdle
+};
@@ -0,0 +1,343 @@
+/**
+ * Processing tracker module
+ * With TRACK_PROCESSING on, a successful upload isn't reported straight away: the recording
+ * is checked every PROCESSING_POLL_SECONDS until Grain has finished processing it, then the
+ * transcript and AI summary are saved next to the file and the "ready" email is sent.
+ * Tracking runs beside the upload queue, so a slow recording never holds up the next upload.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { getRelativeDir } = require('./utils/fileHandler');
+const { formatDuration } = require('./utils/progress');
+const { checkRecordingStatus } = require('./uploader');
+const { describeMeeting, describeMetadataFailures } = require('./recordingMetadata');
+const { closeIdleBrowser } = require('./browserManager');
+const { sendSuccessEmail, sendErrorEmail } = require('./notifier');
+const { JOB_STATES, updateJob } = require('./jobQueue');
+
+/**
+ * Processing tracking outcomes (stored as job.processing.status)
+ * - waiting: Grain is still processing the recording
+ * - ready: processing finished, transcript/summary saved
+ * - failed: Grain reported that processing failed
+ * - timeout: still processing after PROCESSING_TIMEOUT_MINUTES, tracking stopped
+ */
+const PROCESSING_STATUS = {
+  WAITING: 'waiting',
+  READY: 'ready',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout'
+};
+
+// Jobs being tracked, by id: { job, target, account, nextCheckAt }
+const tracked = new Map();
+
+// Timer for the next due check, and whether a round of checks is running
+let checkTimer = null;
+let isChecking = false;
+
+/**
+ * Works out where the transcript and summary of a job are saved
+ * Next to the file where it ended up; for deleted files, where it would have been moved to
+ * @param {Object} job - The job
+ * @param {Object} target - The job's watch target
+ * @returns {string} Path without extension, e.g. ".../Processed/standup"
+ */
+function getResultsBasePath(job, target) {
+  const filePath = job.destPath ||
+    path.join(target.processedFolder, getRelativeDir(job.filePath, target.watchFolder),
+              path.basename(job.filePath));
+  const parsed = path.parse(filePath);
+  return path.join(parsed.dir, parsed.name);
+}
+
+/**
+ * Saves a recording's transcript and AI summary
+ * @param {Object} job - The job
+ * @param {Object} target - The job's watch target
+ * @param {{transcript: string|null, summary: string|null}} results - Downloaded texts
+ * @returns {{transcriptPath: string|null, summaryPath: string|null}} Files written
+ */
+function saveResults(job, target, results) {
+  const basePath = getResultsBasePath(job, target);
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+
+  let transcriptPath = null;
+  let summaryPath = null;
+
+  if (results.transcript) {
+    transcriptPath = `${basePath}.transcript.txt`;
+    fs.writeFileSync(transcriptPath, results.transcript);
+  }
+  if (results.summary) {
+    summaryPath = `${basePath}.summary.md`;
+    fs.writeFileSync(summaryPath, results.summary);
+  }
+
+  return { transcriptPath, summaryPath };
+}
+
+/**
+ * Finishes tracking a job whose recording is ready: saves the results and sends the "ready" email
+ * @param {Object} job - The job
+ * @param {Object} target - The job's watch target
+ * @param {Object} check - Result of checkRecordingStatus
+ */
+async function finishReady(job, target, check) {
+  const fileName = path.basename(job.filePath);
+  let saved = { transcriptPath: null, summaryPath: null };
+
+  try {
+    saved = saveResults(job, target, check);
+  } catch (saveError) {
+    logger.error(`[PROCESSING] Could not save transcript/summary for ${fileName}: ${saveError.message}`);
+  }
+
+  const waited = (Date.now() - Date.parse(job.processing.startedAt)) / 1000;
+  updateJob(job.id, JOB_STATES.MOVED, {
+    processing: {
+      ...job.processing,
+      status: PROCESSING_STATUS.READY,
+      state: check.state,
+      finishedAt: new Date().toISOString(),
+      ...saved
+    }
+  });
+  logger.log(`[PROCESSING] ${fileName} is ready in Grain (after ${formatDuration(waited)})`);
+  if (saved.transcriptPath) {
+    logger.log(`[PROCESSING] Transcript saved: ${saved.transcriptPath}`);
+  }
+  if (saved.summaryPath) {
+    logger.log(`[PROCESSING] AI summary saved: ${saved.summaryPath}`);
+  }
+
+  const notes = [`Grain finished processing the recording ${formatDuration(waited)} after the upload.`];
+  if (!saved.transcriptPath) {
+    notes.push('No transcript was available for download.');
+  }
+  if (saved.summaryPath) {
+    notes.push(`The AI summary was saved next to the file: ${path.basename(saved.summaryPath)}`);
+  }
+
+  logger.log(`[EMAILED] Sending ready notification for: ${fileName}`);
+  await sendSuccessEmail({
+    filename: fileName,
+    timestamp: new Date().toISOString(),
+    details: `${job.message || 'File successfully uploaded.'}\n${notes.join('\n')}`,
+    recordingUrl: job.recordingUrl,
+    status: job.processing.fileStatus,
+    uploadStats: job.uploadStats,
+    ready: true,
+    warnings: describeMetadataFailures(job.metadataResult),
+    meeting: describeMeeting(job.filenameInfo, job.sidecar),
+    media: job.media,
+    destinations: job.destinations,
+    attachments: saved.transcriptPath
+      ? [{ filename: path.basename(saved.transcriptPath), path: saved.transcriptPath }]
+      : [],
+    to: target.notify
+  });
+}
+
+/**
+ * Finishes tracking a job whose recording Grain failed to process
+ * @param {Object} job - The job
+ * @param {Object} target - The job's watch target
+ * @param {Object} check - Result of checkRecordingStatus
+ */
+async function finishFailed(job, target, check) {
+  const fileName = path.basename(job.filePath);
+
+  updateJob(job.id, JOB_STATES.MOVED, {
+    processing: {
+      ...job.processing,
+      status: PROCESSING_STATUS.FAILED,
+      state: check.state,
+      finishedAt: new Date().toISOString()
+    }
+  });
+  logger.error(`[PROCESSING] Grain could not process ${fileName} (state: ${check.state})`);
+
+  await sendErrorEmail({
+    filename: fileName,
+    timestamp: new Date().toISOString(),
+    error: `The upload succeeded, but Grain reported that processing the recording failed (state: ${check.state}).` +
+           (job.recordingUrl ? `\nRecording: ${job.recordingUrl}` : ''),
+    note: `${job.processing.fileStatus}. Check the recording in Grain, and upload the file again if needed.`,
+    meeting: describeMeeting(job.filenameInfo, job.sidecar),
+    media: job.media,
+    destinations: job.destinations,
+    to: target.notify
+  });
+}
+
+/**
+ * Stops tracking a job that is still processing after PROCESSING_TIMEOUT_MINUTES
+ * Sends the usual success email, saying the recording is still processing
+ * @param {Object} job - The job
+ * @param {Object} target - The job's watch target
+ * @param {string|undefined} state - Last state seen, if any
+ */
+async function finishTimeout(job, target, state) {
+  const fileName = path.basename(job.filePath);
+
+  updateJob(job.id, JOB_STATES.MOVED, {
+    processing: {
+      ...job.processing,
+      status: PROCESSING_STATUS.TIMEOUT,
+      state,
+      finishedAt: new Date().toISOString()
+    }
+  });
+  logger.error(`[PROCESSING] ${fileName} still not ready after ${config.PROCESSING_TIMEOUT_MINUTES} minutes, no longer tracking it`);
+
+  await sendSuccessEmail({
+    filename: fileName,
+    timestamp: new Date().toISOString(),
+    details: `${job.message || 'File successfully uploaded.'}\n` +
+             `Grain was still processing the recording after ${config.PROCESSING_TIMEOUT_MINUTES} minutes, ` +
+             'so the transcript was not downloaded.',
+    recordingUrl: job.recordingUrl,
+    status: job.processing.fileStatus,
+    uploadStats: job.uploadStats,
+    warnings: describeMetadataFailures(job.metadataResult),
+    meeting: describeMeeting(job.filenameInfo, job.sidecar),
+    media: job.media,
+    destinations: job.destinations,
+    to: target.notify
+  });
+}
+
+/**
+ * Checks one tracked job and finishes it or schedules its next check
+ * @param {{job: Object, target: Object, account: Object}} entry - Tracked job
+ */
+async function checkJob(entry) {
+  const { job, target, account } = entry;
+  const fileName = path.basename(job.filePath);
+
+  const check = await checkRecordingStatus(
+    { id: job.recordingId, recordingUrl: job.recordingUrl },
+    { headless: config.HEADLESS_MODE, account }
+  );
+
+  if (check.ok && check.status === 'ready') {
+    tracked.delete(job.id);
+    await finishReady(job, target, check);
+    return;
+  }
+
+  if (check.ok && check.status === 'failed') {
+    tracked.delete(job.id);
+    await finishFailed(job, target, check);
+    return;
+  }
+
+  if (check.ok) {
+    logger.log(`[PROCESSING] ${fileName} still processing in Grain (state: ${check.state})`);
+  } else {
+    // Login trouble or a page that didn't load - try again at the next check
+    logger.error(`[PROCESSING] ${fileName}: ${check.message}`);
+  }
+
+  if (Date.now() >= Date.parse(job.processing.deadline)) {
+    tracked.delete(job.id);
+    await finishTimeout(job, target, check.state || job.processing.state);
+    return;
+  }
+
+  if (check.state) {
+    job.processing.state = check.state;
+  }
+  entry.nextCheckAt = Date.now() + config.PROCESSING_POLL_SECONDS * 1000;
+}
+
+/**
+ * Runs every check that is due, one at a time
+ */
+async function runDueChecks() {
+  if (isChecking) {
+    return;
+  }
+  isChecking = true;
+
+  try {
+    const due = Array.from(tracked.values()).filter(entry => entry.nextCheckAt <= Date.now());
+    for (const entry of due) {
+      try {
+        await checkJob(entry);
+      } catch (error) {
+        // Email or journal trouble - keep tracking the other recordings
+        logger.error(`[PROCESSING] Error while checking ${path.basename(entry.job.filePath)}: ${error.message}`);
+        entry.nextCheckAt = Date.now() + config.PROCESSING_POLL_SECONDS * 1000;
+      }
+    }
+  } finally {
+    isChecking = false;
+    await closeIdleBrowser();
+    scheduleNextCheck();
+  }
+}
+
+/**
+ * Sets the timer for the earliest due check
+ */
+function scheduleNextCheck() {
+  if (checkTimer) {
+    clearTimeout(checkTimer);
+    checkTimer = null;
+  }
+
+  if (tracked.size === 0) {
+    return;
+  }
+
+  const next = Math.min(...Array.from(tracked.values()).map(entry => entry.nextCheckAt));
+  checkTimer = setTimeout(() => {
+    checkTimer = null;
+    runDueChecks();
+  }, Math.max(0, next - Date.now()));
+}
+
+/**
+ * Starts following an uploaded job's recording until Grain has processed it
+ * New jobs get a processing record (with the PROCESSING_TIMEOUT_MINUTES deadline);
+ * jobs resumed after a restart keep their original deadline
+ *
+ * @param {Object} job - A job in the moved state with a recordingId and recordingUrl
+ * @param {Object} target - The job's watch target
+ * @param {Object} account - Grain account the recording was uploaded to
+ * @param {string} [fileStatus] - What happened to the file (for the email sent at the end)
+ */
+function trackProcessing(job, target, account, fileStatus) {
+  if (!job.processing) {
+    const now = Date.now();
+    updateJob(job.id, JOB_STATES.MOVED, {
+      processing: {
+        status: PROCESSING_STATUS.WAITING,
+        startedAt: new Date(now).toISOString(),
+        deadline: new Date(now + config.PROCESSING_TIMEOUT_MINUTES * 60000).toISOString(),
+        fileStatus
+      }
+    });
+  }
+
+  tracked.set(job.id, {
+    job,
+    target,
+    account,
+    nextCheckAt: Date.now() + config.PROCESSING_POLL_SECONDS * 1000
+  });
+
+  if (!isChecking) {
+    scheduleNextCheck();
+  }
+}
+
+module.exports = {
+  PROCESSING_STATUS,
+  trackProcessing
+};
@@ -1,57 +1,125 @@
 /**
  * File processor module
  * Handles the upload/processing logic for files
- * Phase 7: Real Grain upload integration
+ * Sends each file to every destination of its watch target (Grain, archive folder, S3, WebDAV)
  */
 
+const path = require('path');
 const logger = require('./utils/logger');
-const config = require('./config');
-const { uploadFileToGrain } = require('./uploader');
+const { getErrorCode } = require('./utils/errors');
+const { getPolicy } = require('./retryPolicy');
+const { uploadToDestination } = require('./destinations');
+
+// Destination used when none are given
+const DEFAULT_DESTINATIONS = [{ name: 'grain', type: 'grain' }];
+
+/**
+ * Picks the error code of a failed job
+ * A failure that must not be retried wins, so a retry for one destination never
+ * repeats an upload another one can't safely repeat (e.g. Grain's COMPLETION_TIMEOUT)
+ *
+ * @param {Object[]} failed - Failed destination outcomes
+ * @returns {string} One of ERROR_CODES
+ */
+function pickErrorCode(failed) {
+  const final = failed.find(outcome => !getPolicy(outcome.errorCode).retry);
+  return (final || failed[0]).errorCode;
+}
 
 /**
- * Processes a file by uploading it to Grain
- * Uses Puppeteer automation to log in and upload
+ * Processes a file by uploading it to each of its destinations in turn
+ * Destinations that already succeeded in an earlier attempt are not uploaded to again.
  *
  * @param {string} filePath - The full path to the file to process
- * @returns {Promise<{ok: boolean, message: string, recordingUrl?: string, recordingId?: string}>} Processing result
+ * @param {Object} [options] - Processing options
+ * @param {Object[]} [options.destinations] - Where to upload the file (default: Grain)
+ * @param {Object[]} [options.completed] - Destination outcomes of earlier attempts
+ * @param {string} [options.relativeDir] - The file's subfolder in the watch folder (kept by archive destinations)
+ * @param {Object} [options.account] - Grain account to upload to
+ * @param {function(Object): void} [options.onProgress] - Called with upload progress snapshots
+ * @param {Object} [options.metadata] - Watch target's recording metadata settings (see recordingMetadata.js)
+ * @param {Object} [options.sidecar] - The file's sidecar (see sidecar.js), merged over the metadata settings
+ * @param {Object} [options.filenameInfo] - Fields read from the file name (see utils/filenameTemplates.js)
+ * @param {Object} [options.uploadTicket] - Ticket of an earlier, unfinished direct upload to resume
+ * @param {function(Object): void} [options.onTicket] - Called with the direct upload's ticket once it is sending
+ * @param {Object} [options.diagnostics] - Diagnostics recorder for this attempt (see diagnostics.js)
+ * @returns {Promise<{ok: boolean, partial?: boolean, message: string, recordingUrl?: string, recordingId?: string,
+ *   errorCode?: string, uploadStats?: Object, metadataResult?: Object, destinations: Object[]}>} Processing result
+ *   ok only when every destination succeeded; destinations lists each one's outcome (see destinations/index.js);
+ *   the recording fields come from the Grain destination; partial is set when the Grain upload
+ *   succeeded but some metadata steps failed
  */
-async function processFile(filePath) {
+async function processFile(filePath, options = {}) {
+  const destinations = options.destinations || DEFAULT_DESTINATIONS;
+  const context = {
+    fileName: path.basename(filePath),
+    relativeDir: options.relativeDir || '',
+    account: options.account,
+    metadata: options.metadata,
+    sidecar: options.sidecar,
+    filenameInfo: options.filenameInfo,
+    onProgress: options.onProgress,
+    uploadTicket: options.uploadTicket,
+    onTicket: options.onTicket,
+    diagnostics: options.diagnostics
+  };
+
+  const outcomes = [];
   try {
-    logger.log(`[UPLOAD] Starting upload to Grain...`);
-
-    // Upload file to Grain using Puppeteer
-    // Use headless mode from config (default true for production)
-    const result = await uploadFileToGrain(filePath, {
-      headless: config.HEADLESS_MODE
-    });
-
-    if (result.ok) {
-      logger.log(`[UPLOAD] ✓ Upload successful!`);
-      logger.log(`[UPLOAD] Recording ID: ${result.id}`);
-      logger.log(`[UPLOAD] Recording URL: ${result.recordingUrl}`);
-
-      return {
-        ok: true,
-        message: `Successfully uploaded to Grain. Recording ID: ${result.id}`,
-        recordingUrl: result.recordingUrl,
-        recordingId: result.id
-      };
-    } else {
-      logger.error(`[UPLOAD] ✗ Upload failed: ${result.message}`);
-
-      return {
-        ok: false,
-        message: result.message
-      };
+    for (const destination of destinations) {
+      const earlier = (options.completed || []).find(outcome => outcome.name === destination.name && outcome.ok);
+      if (earlier) {
+        logger.log(`[UPLOAD] ${destination.name}: already done in an earlier attempt (${earlier.location})`);
+        outcomes.push(earlier);
+        continue;
+      }
+
+      const outcome = await uploadToDestination(destination, filePath, context);
+      if (outcome.ok) {
+        logger.log(`[UPLOAD] ✓ ${destination.name}: ${outcome.location}`);
+      } else {
+        logger.error(`[UPLOAD] ✗ ${destination.name} failed: ${outcome.message}`);
+      }
+      outcomes.push(outcome);
     }
   } catch (error) {
     logger.error(`[UPLOAD] ✗ Processing error: ${error.message}`);
 
     return {
       ok: false,
-      message: `Processing error: ${error.message}`
+      message: `Processing error: ${error.message}`,
+      errorCode: getErrorCode(error),
+      destinations: outcomes
     };
   }
+
+  const grain = outcomes.find(outcome => outcome.type === 'grain' && outcome.ok) || {};
+  const failed = outcomes.filter(outcome => !outcome.ok);
+
+  if (failed.length > 0) {
+    return {
+      ok: false,
+      message: outcomes.length === 1
+        ? failed[0].message
+        : failed.map(outcome => `${outcome.name}: ${outcome.message}`).join('\n'),
+      errorCode: pickErrorCode(failed),
+      destinations: outcomes
+    };
+  }
+
+  logger.log(`[UPLOAD] ✓ Upload successful!`);
+  return {
+    ok: true,
+    partial: Boolean(grain.partial),
+    message: outcomes.length === 1
+      ? outcomes[0].message
+      : `Successfully uploaded to ${outcomes.map(outcome => outcome.name).join(', ')}`,
+    recordingUrl: grain.recordingUrl,
+    recordingId: grain.recordingId,
+    uploadStats: grain.uploadStats,
+    metadataResult: grain.metadataResult,
+    destinations: outcomes
+  };
 }
 
 module.exports = {
@@ -0,0 +1,187 @@
+/**
+ * Recording metadata module
+ * After an upload, gives the recording a proper title, description and tags, adds it to a
+ * collection and shares it with teammates. Uses the GraphQL API of Grain's web app from
+ * the logged-in upload page. Every step runs on its own: a failed step is reported as a
+ * warning but never undoes the upload or stops the other steps.
+ */
+
+const path = require('path');
+const logger = require('./utils/logger');
+const { runOperation } = require('./grainApi');
+
+/**
+ * Puts together what is known about the meeting a recording is of
+ * The sidecar (see sidecar.js) wins over what the file name template read (see
+ * utils/filenameTemplates.js); the client only ever comes from the file name.
+ *
+ * @param {Object} [filenameInfo] - Fields read from the file name
+ * @param {Object} [sidecar] - The file's sidecar
+ * @returns {{title?: string, client?: string, date?: string, time?: string, participants: string[]}|null}
+ *   The meeting (date as YYYY-MM-DD, time as HH:MM), or null if nothing is known
+ */
+function describeMeeting(filenameInfo, sidecar) {
+  const parsed = filenameInfo || {};
+  const extra = sidecar || { participants: [] };
+
+  const meeting = {
+    title: extra.title || parsed.title,
+    client: parsed.client,
+    date: extra.meetingDate ? extra.meetingDate.slice(0, 10) : parsed.date,
+    time: extra.meetingDate ? (extra.meetingDate.slice(11, 16) || undefined) : parsed.time,
+    participants: extra.participants
+  };
+
+  const hasAny = meeting.title || meeting.client || meeting.date || meeting.participants.length > 0;
+  return hasAny ? meeting : null;
+}
+
+/**
+ * Works out the metadata for one file
+ * The file's sidecar (see sidecar.js) wins over the watch target's settings for title,
+ * description and collection; its tags and shareWith are added to the target's.
+ * Without a title from either, the title read from the file name is used.
+ * Participants are listed at the end of the description.
+ * Placeholders in the title or description: `{name}` (file name without extension),
+ * `{title}` (meeting title, or the file name), `{client}`, `{date}` and `{time}`.
+ *
+ * @param {string} filePath - The file being uploaded
+ * @param {Object} [metadata] - Metadata settings of the watch target (see watchConfig.js)
+ * @param {Object} [sidecar] - The file's sidecar
+ * @param {Object} [filenameInfo] - Fields read from the file name (see utils/filenameTemplates.js)
+ * @returns {Object|null} Metadata to apply, or null if there is nothing to set
+ */
+function resolveMetadata(filePath, metadata, sidecar, filenameInfo) {
+  const base = metadata || { tags: [], shareWith: [] };
+  const extra = sidecar || { participants: [], tags: [], shareWith: [] };
+  const meeting = describeMeeting(filenameInfo, sidecar) || { participants: [] };
+
+  const name = path.parse(filePath).name;
+  const values = {
+    name,
+    title: meeting.title || name,
+    client: meeting.client || '',
+    date: meeting.date || '',
+    time: meeting.time || ''
+  };
+  const expand = value => (value
+    ? value.replace(/\{(name|title|client|date|time)\}/g, (match, field) => values[field]).trim()
+    : undefined);
+
+  let description = expand(extra.description || base.description);
+  if (extra.participants.length > 0) {
+    description = `${description ? `${description}\n\n` : ''}Participants: ${extra.participants.join(', ')}`;
+  }
+
+  const resolved = {
+    title: expand(extra.title || base.title) || (filenameInfo && filenameInfo.title),
+    description,
+    tags: [...new Set([...(base.tags || []), ...extra.tags])],
+    collection: extra.collection || base.collection,
+    shareWith: [...new Set([...(base.shareWith || []), ...extra.shareWith])]
+  };
+
+  const hasAny = resolved.title || resolved.description || resolved.collection ||
+                 resolved.tags.length > 0 || resolved.shareWith.length > 0;
+
+  return hasAny ? resolved : null;
+}
+
+/**
+ * Finds a collection by name (case-insensitive)
+ * @param {Page} page - Logged-in Puppeteer page
+ * @param {string} graphqlUrl - Grain's GraphQL endpoint
+ * @param {string} name - Collection name
+ * @returns {Promise<string>} The collection ID
+ * @throws {Error} If there is no collection with that name
+ */
+async function findCollectionId(page, graphqlUrl, name) {
+  const data = await runOperation(page, graphqlUrl, 'collections', {});
+  const wanted = name.toLowerCase();
+  const collection = (data.collections || []).find(c => (c.title || '').toLowerCase() === wanted);
+
+  if (!collection) {
+    throw new Error(`Collection "${name}" not found in Grain`);
+  }
+
+  return collection.id;
+}
+
+/**
+ * Applies metadata to an uploaded recording
+ * @param {Page} page - Logged-in Puppeteer page on grain.com
+ * @param {string|null} graphqlUrl - Grain's GraphQL endpoint, or null if the page never used it
+ * @param {string} recordingId - Grain recording ID
+ * @param {Object} metadata - Metadata from resolveMetadata()
+ * @returns {Promise<{applied: string[], failed: {step: string, message: string}[]}>} Outcome of each step
+ */
+async function applyMetadata(page, graphqlUrl, recordingId, metadata) {
+  const steps = [];
+
+  if (metadata.title || metadata.description) {
+    steps.push(['title', () => runOperation(page, graphqlUrl, 'updateRecording', {
+      id: recordingId,
+      title: metadata.title,
+      description: metadata.description
+    })]);
+  }
+
+  if (metadata.tags.length > 0) {
+    steps.push(['tags', () => runOperation(page, graphqlUrl, 'addRecordingTags', {
+      recordingId,
+      tags: metadata.tags
+    })]);
+  }
+
+  if (metadata.collection) {
+    steps.push(['collection', async () => {
+      const collectionId = await findCollectionId(page, graphqlUrl, metadata.collection);
+      await runOperation(page, graphqlUrl, 'addRecordingToCollection', { collectionId, recordingId });
+    }]);
+  }
+
+  if (metadata.shareWith.length > 0) {
+    steps.push(['sharing', () => runOperation(page, graphqlUrl, 'shareRecording', {
+      recordingId,
+      emails: metadata.shareWith
+    })]);
+  }
+
+  const applied = [];
+  const failed = [];
+
+  for (const [step, run] of steps) {
+    try {
+      if (!graphqlUrl) {
+        throw new Error('Grain GraphQL endpoint was not seen during the upload');
+      }
+      await run();
+      applied.push(step);
+      logger.log(`[METADATA] ✓ ${step}`);
+    } catch (error) {
+      failed.push({ step, message: error.message });
+      logger.error(`[METADATA] ✗ ${step}: ${error.message}`);
+    }
+  }
+
+  return { applied, failed };
+}
+
+/**
+ * Describes failed metadata steps for logs and emails
+ * @param {{failed: {step: string, message: string}[]}} [metadataResult] - Result of applyMetadata()
+ * @returns {string[]} One line per failed step
+ */
+function describeMetadataFailures(metadataResult) {
+  if (!metadataResult) {
+    return [];
+  }
+  return metadataResult.failed.map(f => `Could not set ${f.step}: ${f.message}`);
+}
+
+module.exports = {
+  describeMeeting,
+  resolveMetadata,
+  applyMetadata,
+  describeMetadataFailures
+};
@@ -0,0 +1,109 @@
+/**
+ * Retry policy module
+ * Decides whether a failed upload should be retried, and when
+ */
+
+const config = require('./config');
+const { ERROR_CODES } = require('./utils/errors');
+
+/**
+ * Per error class handling
+ * - retry: whether another attempt makes sense
+ * - delayMultiplier: scales the backoff delay for this class of error
+ * - quarantine: whether the file should be moved to the Failed folder once we give up
+ */
+const POLICIES = {
+  // Back off harder so repeated logins don't trip Google's suspicious-login checks
+  [ERROR_CODES.LOGIN_FAILED]: { retry: true, delayMultiplier: 4, quarantine: true },
+
+  // Needs a human (or a config change) - retrying would just hit the same challenge
+  [ERROR_CODES.TWO_FACTOR_UNSUPPORTED]: { retry: false, delayMultiplier: 1, quarantine: true },
+
+  // Usually a transient network or Grain hiccup
+  [ERROR_CODES.INITIATION_TIMEOUT]: { retry: true, delayMultiplier: 1, quarantine: true },
+
+  // Grain may already have the file - retrying risks a duplicate recording
+  [ERROR_CODES.COMPLETION_TIMEOUT]: { retry: false, delayMultiplier: 1, quarantine: true },
+
+  // The file never finished sending, so there is no recording yet - usually a network drop
+  [ERROR_CODES.UPLOAD_STALLED]: { retry: true, delayMultiplier: 1, quarantine: true },
+
+  // Nothing left to retry or to move
+  [ERROR_CODES.FILE_MISSING]: { retry: false, delayMultiplier: 1, quarantine: false },
+
+  // The same file would be rejected again - it needs re-recording, repairing or a config change
+  [ERROR_CODES.MEDIA_REJECTED]: { retry: false, delayMultiplier: 1, quarantine: true },
+
+  // ffmpeg would fail on the same file again; a missing ffmpeg needs installing first
+  [ERROR_CODES.TRANSCODE_FAILED]: { retry: false, delayMultiplier: 1, quarantine: true },
+
+  // The sidecar may still be on its way (e.g. written by a separate sync)
+  [ERROR_CODES.SIDECAR_MISSING]: { retry: true, delayMultiplier: 1, quarantine: true },
+
+  // Needs the sidecar fixed by hand - the same file would fail again
+  [ERROR_CODES.SIDECAR_INVALID]: { retry: false, delayMultiplier: 1, quarantine: true },
+
+  // Often a page that was slow to load; if Grain's UI really changed, the profile needs an update
+  [ERROR_CODES.SITE_PROFILE_MISMATCH]: { retry: true, delayMultiplier: 1, quarantine: true },
+
+  // Needs the destination's settings (or the storage itself) fixed - the same upload would fail again
+  [ERROR_CODES.DESTINATION_REJECTED]: { retry: false, delayMultiplier: 1, quarantine: true },
+
+  // Usually a copy cut short (network drop, full disk) - worth another try
+  [ERROR_CODES.DESTINATION_UNVERIFIED]: { retry: true, delayMultiplier: 1, quarantine: true },
+
+  [ERROR_CODES.UNKNOWN]: { retry: true, delayMultiplier: 1, quarantine: true }
+};
+
+/**
+ * Returns the handling policy for an error code
+ * @param {string} [errorCode] - One of ERROR_CODES
+ * @returns {{retry: boolean, delayMultiplier: number, quarantine: boolean}} The policy
+ */
+function getPolicy(errorCode) {
+  return POLICIES[errorCode] || POLICIES[ERROR_CODES.UNKNOWN];
+}
+
+/**
+ * Calculates the delay before the next attempt
+ * Exponential backoff (base * 2^(attempt-1)), capped at the max delay,
+ * with "equal jitter": a random value between half and all of the delay
+ *
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {number} [delayMultiplier=1] - Per error class multiplier
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(attempt, delayMultiplier = 1) {
+  const baseMs = config.RETRY_BASE_DELAY_SECONDS * 1000;
+  const maxMs = config.RETRY_MAX_DELAY_SECONDS * 1000;
+  const delay = Math.min(maxMs, baseMs * Math.pow(2, attempt - 1) * delayMultiplier);
+
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Decides what to do after a failed attempt
+ *
+ * @param {string} [errorCode] - One of ERROR_CODES
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {{retry: boolean, delayMs?: number, quarantine: boolean}} The decision
+ */
+function decideRetry(errorCode, attempt) {
+  const policy = getPolicy(errorCode);
+
+  if (!policy.retry || attempt >= config.MAX_UPLOAD_ATTEMPTS) {
+    return { retry: false, quarantine: policy.quarantine };
+  }
+
+  return {
+    retry: true,
+    delayMs: getRetryDelayMs(attempt, policy.delayMultiplier),
+    quarantine: policy.quarantine
+  };
+}
+
+module.exports = {
+  getPolicy,
+  decideRetry,
+  getRetryDelayMs
+};
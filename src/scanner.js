@@ -0,0 +1,80 @@
+/**
+ * Backlog scanner module
+ * Finds recordings that were already in the watch folder when the uploader started
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+
+/**
+ * Recursively lists files under a directory
+ * Dotfiles and dot-directories are skipped, like the watcher does
+ *
+ * @param {string} rootDir - Directory to scan
+ * @param {Object} options - Scan options
+ * @param {function(string): boolean} options.skipDir - Returns true for directories to skip
+ * @param {number} options.depth - How many more subfolder levels to descend into
+ * @returns {string[]} Full paths of all files found
+ */
+function listFiles(rootDir, { skipDir, depth }) {
+  const files = [];
+
+  let entries;
+  try {
+    entries = fs.readdirSync(rootDir, { withFileTypes: true });
+  } catch (error) {
+    logger.error(`[SCAN] Could not read folder ${rootDir}: ${error.message}`);
+    return files;
+  }
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+
+    const fullPath = path.join(rootDir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (depth > 0 && !skipDir(fullPath)) {
+        files.push(...listFiles(fullPath, { skipDir, depth: depth - 1 }));
+      }
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Finds backlog files in the watch folder
+ *
+ * @param {string} rootDir - The watch folder
+ * @param {Object} options - Scan options
+ * @param {function(string): boolean} options.skipDir - Returns true for directories to skip (e.g. Processed)
+ * @param {function(string): boolean} options.isSupported - Returns true for files that can be uploaded
+ * @param {number} [options.maxAgeMs] - Only include files modified within this many milliseconds
+ * @param {number} [options.depth] - Subfolder levels to scan (0 = top level only, default unlimited)
+ * @returns {Array<{filePath: string, stats: fs.Stats}>} Matching files, oldest first
+ */
+function findBacklogFiles(rootDir, { skipDir, isSupported, maxAgeMs, depth = Infinity }) {
+  const now = Date.now();
+
+  return listFiles(rootDir, { skipDir, depth })
+    .filter(isSupported)
+    .map(filePath => {
+      try {
+        return { filePath, stats: fs.statSync(filePath) };
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(entry => entry !== null)
+    .filter(entry => maxAgeMs === undefined || now - entry.stats.mtimeMs <= maxAgeMs)
+    .sort((a, b) => a.stats.mtimeMs - b.stats.mtimeMs);
+}
+
+module.exports = {
+  findBacklogFiles
+};
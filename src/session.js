@@ -0,0 +1,159 @@
+/**
+ * Grain session store
+ * Saves the browser cookies after a successful login so later uploads can skip the
+ * Google OAuth flow. Sessions are stored per account, encrypted with AES-256-GCM.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+// One encrypted file per Grain account
+const SESSION_DIR = path.join(config.DATA_DIR, 'sessions');
+
+// Generated encryption key, used when SESSION_SECRET is not set
+const KEY_FILE = path.join(config.DATA_DIR, 'session.key');
+
+// Format version written into every session file
+const SESSION_VERSION = 1;
+
+/**
+ * Returns the AES-256 key used to encrypt session files
+ * Derived from SESSION_SECRET when set, otherwise read from (or generated into) DATA_DIR/session.key
+ * @returns {Buffer} 32-byte key
+ */
+function getKey() {
+  if (config.SESSION_SECRET) {
+    return crypto.scryptSync(config.SESSION_SECRET, 'grain-auto-uploader-session', 32);
+  }
+
+  if (fs.existsSync(KEY_FILE)) {
+    return Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(config.DATA_DIR, { recursive: true });
+  fs.writeFileSync(KEY_FILE, key.toString('hex') + '\n', { mode: 0o600 });
+  logger.log(`[SESSION] Generated session encryption key: ${KEY_FILE}`);
+  return key;
+}
+
+/**
+ * Returns the session file for an account
+ * The email is hashed so addresses don't show up in file names
+ * @param {string} email - Grain account email
+ * @returns {string} Path to the session file
+ */
+function getSessionFile(email) {
+  const id = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16);
+  return path.join(SESSION_DIR, `${id}.session`);
+}
+
+/**
+ * Encrypts a JSON-serializable value
+ * @param {*} value - Value to encrypt
+ * @returns {Object} Envelope with iv, auth tag and ciphertext (base64)
+ */
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    version: SESSION_VERSION,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypts an envelope written by encrypt()
+ * @param {Object} envelope - Envelope from a session file
+ * @returns {*} The decrypted value
+ * @throws {Error} If the file was tampered with or the key changed
+ */
+function decrypt(envelope) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(),
+                                           Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const data = Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, 'base64')),
+    decipher.final()
+  ]);
+
+  return JSON.parse(data.toString('utf8'));
+}
+
+/**
+ * Loads the saved cookies for an account
+ * An unreadable session (corrupt file, changed SESSION_SECRET) is treated as no session
+ * @param {string} email - Grain account email
+ * @returns {Object[]|null} Puppeteer cookies, or null if there is no usable session
+ */
+function loadSession(email) {
+  if (!config.PERSIST_SESSION || !email) {
+    return null;
+  }
+
+  const sessionFile = getSessionFile(email);
+  if (!fs.existsSync(sessionFile)) {
+    return null;
+  }
+
+  try {
+    const session = decrypt(JSON.parse(fs.readFileSync(sessionFile, 'utf8')));
+    return Array.isArray(session.cookies) ? session.cookies : null;
+  } catch (error) {
+    logger.error(`[SESSION] Could not read saved session for ${email}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Saves the cookies for an account (encrypted)
+ * Written to a temp file and renamed so a crash never leaves a half-written session
+ * @param {string} email - Grain account email
+ * @param {Object[]} cookies - Puppeteer cookies
+ */
+function saveSession(email, cookies) {
+  if (!config.PERSIST_SESSION || !email) {
+    return;
+  }
+
+  const sessionFile = getSessionFile(email);
+  const tempFile = `${sessionFile}.tmp`;
+  const envelope = encrypt({ email, cookies, savedAt: new Date().toISOString() });
+
+  fs.mkdirSync(SESSION_DIR, { recursive: true });
+  fs.writeFileSync(tempFile, JSON.stringify(envelope), { mode: 0o600 });
+  fs.renameSync(tempFile, sessionFile);
+}
+
+/**
+ * Deletes saved sessions
+ * @param {string} [email] - Only clear this account's session (default: all accounts)
+ * @returns {number} Number of session files removed
+ */
+function clearSessions(email) {
+  if (!fs.existsSync(SESSION_DIR)) {
+    return 0;
+  }
+
+  const files = email
+    ? [getSessionFile(email)].filter(file => fs.existsSync(file))
+    : fs.readdirSync(SESSION_DIR)
+      .filter(name => name.endsWith('.session'))
+      .map(name => path.join(SESSION_DIR, name));
+
+  files.forEach(file => fs.unlinkSync(file));
+  return files.length;
+}
+
+module.exports = {
+  loadSession,
+  saveSession,
+  clearSessions
+};
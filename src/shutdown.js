@@ -0,0 +1,124 @@
+/**
+ * Shutdown module
+ * Stops the uploader on Ctrl+C (SIGINT) or SIGTERM without losing work:
+ * 1. the watchers are closed and the queue stops starting new jobs
+ * 2. the job in progress gets up to SHUTDOWN_TIMEOUT_SECONDS to finish
+ * 3. if it doesn't, it is cancelled: its state is recorded (see interruptJob in jobQueue.js)
+ *    and the process exits, which kills Chromium mid-upload
+ * 4. the job journal is rewritten with every job's latest state, so queued jobs resume on the next start
+ *
+ * A second signal exits right away, recording the current job's state the same way.
+ */
+
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { closeBrowser, setSignalHandling } = require('./browserManager');
+const { stopQueue, getCurrentJob, waitForIdle } = require('./pipeline');
+const { interruptJob, flushJournal, pendingCount } = require('./jobQueue');
+const { logDryRunSummary } = require('./dryRun');
+
+// Set once the first signal has arrived
+let shuttingDown = false;
+
+/**
+ * Cancels the job in progress, if any, and logs what the next start will do with it
+ */
+function cancelCurrentJob() {
+  const current = getCurrentJob();
+  if (!current) {
+    return;
+  }
+
+  const { requeued, job } = interruptJob(current.id);
+  const fileName = path.basename(job.filePath);
+  const progress = job.progress ? ` at ${job.progress.percent.toFixed(1)}%` : '';
+
+  if (requeued) {
+    logger.log(`[SHUTDOWN] Cancelled ${fileName}${progress}, it will be processed again on the next start`);
+  } else {
+    logger.error(`[SHUTDOWN] Cancelled ${fileName}${progress} after the upload may have reached Grain, ` +
+                 'it will be flagged for reconciliation on the next start');
+  }
+}
+
+/**
+ * Shuts down gracefully: stops taking files, lets the current upload finish (or cancels it
+ * after SHUTDOWN_TIMEOUT_SECONDS), saves the queue and exits
+ * @param {string} signal - The signal that started the shutdown
+ * @param {Object[]} watchers - The folder watchers to close
+ */
+async function shutdown(signal, watchers) {
+  logger.log('');
+  logger.log('==========================================');
+  logger.log(`Shutting down gracefully (${signal})...`);
+  logger.log('==========================================');
+
+  stopQueue();
+  await Promise.all(watchers.map(watcher => watcher.close()));
+  logger.log('Watchers closed');
+
+  const current = getCurrentJob();
+  let finished = true;
+  if (current) {
+    const fileName = path.basename(current.filePath);
+    logger.log(`[SHUTDOWN] Waiting up to ${config.SHUTDOWN_TIMEOUT_SECONDS}s for ${fileName} to finish ` +
+               '(press Ctrl+C again to stop now)');
+
+    finished = await waitForIdle(config.SHUTDOWN_TIMEOUT_SECONDS * 1000);
+    if (finished) {
+      logger.log(`[SHUTDOWN] ${fileName} finished`);
+    } else {
+      cancelCurrentJob();
+    }
+  }
+
+  flushJournal();
+  if (pendingCount() > 0 && !config.DRY_RUN) {
+    logger.log(`[SHUTDOWN] ${pendingCount()} queued job(s) saved, they resume on the next start`);
+  }
+
+  if (config.DRY_RUN) {
+    logDryRunSummary();
+  }
+
+  // A cancelled upload is cut off by exiting (Puppeteer kills Chromium on exit);
+  // otherwise the browser is idle and can be closed properly
+  if (finished) {
+    await closeBrowser();
+  }
+
+  logger.log('Goodbye!');
+  process.exit(0);
+}
+
+/**
+ * Handles SIGINT and SIGTERM with a graceful shutdown; a second signal exits right away
+ * @param {Object[]} watchers - The folder watchers (see watcher.js)
+ */
+function installShutdownHandlers(watchers) {
+  // Keep Chromium running through the first signal, so the current upload can finish
+  setSignalHandling(false);
+
+  const onSignal = (signal) => {
+    if (shuttingDown) {
+      logger.error(`[SHUTDOWN] ${signal} received again, stopping now`);
+      cancelCurrentJob();
+      flushJournal();
+      process.exit(1);
+    }
+
+    shuttingDown = true;
+    shutdown(signal, watchers).catch((error) => {
+      logger.error(`[SHUTDOWN] Shutdown failed: ${error.message}`);
+      process.exit(1);
+    });
+  };
+
+  process.on('SIGINT', () => onSignal('SIGINT'));
+  process.on('SIGTERM', () => onSignal('SIGTERM'));
+}
+
+module.exports = {
+  installShutdownHandlers
+};
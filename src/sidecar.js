@@ -0,0 +1,179 @@
+/**
+ * Sidecar metadata module
+ * A sidecar is a small JSON or YAML file dropped next to a recording, named after it
+ * (standup.mp4 -> standup.mp4.json / standup.mp4.yaml). It describes that one recording:
+ * title, participants, meeting date, tags, collection and the Grain account to use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const logger = require('./utils/logger');
+const { ERROR_CODES, createError } = require('./utils/errors');
+
+// Sidecar suffixes, in the order they are looked for
+const SIDECAR_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Sidecar fields
+const TEXT_FIELDS = ['title', 'description', 'collection', 'account', 'meetingDate'];
+const LIST_FIELDS = ['participants', 'tags', 'shareWith'];
+
+// How often to look for a sidecar that is expected but not there (yet)
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Finds the sidecar of a recording
+ * @param {string} filePath - The recording
+ * @returns {string|null} Path of the sidecar, or null if there is none
+ */
+function findSidecar(filePath) {
+  for (const ext of SIDECAR_EXTENSIONS) {
+    const sidecarPath = `${filePath}${ext}`;
+    if (fs.existsSync(sidecarPath)) {
+      return sidecarPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalizes a list field given as an array or comma-separated string
+ * @param {*} value - Raw value
+ * @param {string} label - Field description (for error messages)
+ * @returns {string[]} Trimmed, non-empty values
+ * @throws {Error} If the value isn't a string or a list of strings
+ */
+function toList(value, label) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  if (items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+    throw new Error(`${label} must be a list of strings`);
+  }
+  return items.map(item => String(item).trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Reads and validates a sidecar file
+ * @param {string} sidecarPath - Path of the sidecar
+ * @param {Object} accounts - Grain accounts by name (config.ACCOUNTS)
+ * @returns {{path: string, title?: string, description?: string, collection?: string, account?: string,
+ *   meetingDate?: string, participants: string[], tags: string[], shareWith: string[]}} The sidecar
+ * @throws {Error} SIDECAR_INVALID error naming the file and the offending field
+ */
+function parseSidecar(sidecarPath, accounts) {
+  const label = `Sidecar ${path.basename(sidecarPath)}`;
+  const ext = path.extname(sidecarPath).toLowerCase();
+
+  let raw;
+  try {
+    const content = fs.readFileSync(sidecarPath, 'utf8');
+    raw = ext === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw createError(ERROR_CODES.SIDECAR_INVALID, `${label} could not be read: ${error.message}`);
+  }
+
+  try {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('must contain an object');
+    }
+
+    const known = [...TEXT_FIELDS, ...LIST_FIELDS];
+    const unknown = Object.keys(raw).filter(key => !known.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`has unknown field(s): ${unknown.join(', ')}. Expected: ${known.join(', ')}`);
+    }
+
+    const sidecar = { path: sidecarPath, participants: [], tags: [], shareWith: [] };
+
+    for (const field of TEXT_FIELDS) {
+      const value = raw[field];
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`${field} must be a string`);
+      }
+      sidecar[field] = value.trim();
+    }
+
+    for (const field of LIST_FIELDS) {
+      if (raw[field] !== undefined && raw[field] !== null && raw[field] !== '') {
+        sidecar[field] = toList(raw[field], field);
+      }
+    }
+
+    if (sidecar.meetingDate && Number.isNaN(Date.parse(sidecar.meetingDate))) {
+      throw new Error(`meetingDate "${sidecar.meetingDate}" is not a valid date (use e.g. 2026-10-19 or 2026-10-19T14:30)`);
+    }
+
+    if (sidecar.account && !accounts[sidecar.account]) {
+      throw new Error(`account "${sidecar.account}" is not configured. Expected one of: ${Object.keys(accounts).join(', ')}`);
+    }
+
+    const invalid = sidecar.shareWith.filter(email => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email));
+    if (invalid.length > 0) {
+      throw new Error(`shareWith has invalid email(s): ${invalid.join(', ')}`);
+    }
+
+    return sidecar;
+  } catch (error) {
+    throw createError(ERROR_CODES.SIDECAR_INVALID, `${label} ${error.message}`);
+  }
+}
+
+/**
+ * Reads the sidecar of a recording, according to the watch target's sidecar mode
+ * - off: sidecars are ignored
+ * - optional: used if present
+ * - required: waited for up to waitMs; a sidecar still being written is read again until it parses
+ *
+ * @param {string} filePath - The recording
+ * @param {Object} options - Options
+ * @param {string} options.mode - 'off', 'optional' or 'required'
+ * @param {number} options.waitMs - How long to wait for a required sidecar
+ * @param {Object} options.accounts - Grain accounts by name (config.ACCOUNTS)
+ * @returns {Promise<Object|null>} The sidecar (see parseSidecar), or null if there is none
+ * @throws {Error} SIDECAR_MISSING if a required sidecar didn't show up, SIDECAR_INVALID if it is invalid
+ */
+async function readSidecar(filePath, { mode, waitMs, accounts }) {
+  if (mode === 'off') {
+    return null;
+  }
+
+  const deadline = Date.now() + (mode === 'required' ? waitMs : 0);
+  const fileName = path.basename(filePath);
+  let logged = false;
+
+  while (true) {
+    const sidecarPath = findSidecar(filePath);
+
+    if (sidecarPath) {
+      try {
+        return parseSidecar(sidecarPath, accounts);
+      } catch (error) {
+        if (Date.now() >= deadline) {
+          throw error;
+        }
+      }
+    } else if (Date.now() >= deadline) {
+      if (mode === 'required') {
+        throw createError(
+          ERROR_CODES.SIDECAR_MISSING,
+          `No sidecar for ${fileName} after ${Math.round(waitMs / 1000)}s ` +
+          `(expected ${SIDECAR_EXTENSIONS.map(ext => fileName + ext).join(', ')})`
+        );
+      }
+      return null;
+    } else if (!logged) {
+      logger.log(`[SIDECAR] Waiting for sidecar of ${fileName}...`);
+      logged = true;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+module.exports = {
+  SIDECAR_EXTENSIONS,
+  findSidecar,
+  readSidecar
+};
@@ -0,0 +1,357 @@
+/**
+ * Site profile module
+ * Everything the uploader knows about Grain's web app - URLs, CSS selectors, button texts,
+ * GraphQL operations and recording states - lives in a versioned JSON profile
+ * (profiles/grain.json) instead of the code, so a Grain UI change only needs a profile edit.
+ * SITE_PROFILE points at a local JSON file whose entries override the bundled ones, and
+ * GRAIN_BASE_URL moves every URL to another host (e.g. the mock Grain server).
+ *
+ * When an entry no longer matches Grain's page, the error names it (e.g. selectors.fileInput)
+ * and carries the SITE_PROFILE_MISMATCH code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { ERROR_CODES, createError } = require('./utils/errors');
+
+// The profile shipped with the uploader
+const BUNDLED_PROFILE_FILE = path.join(__dirname, '../profiles/grain.json');
+
+// Profile sections holding absolute URLs
+const URL_SECTIONS = ['urls'];
+
+/**
+ * Reads a profile JSON file
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Parsed profile
+ * @throws {Error} If the file can't be read or parsed, or isn't an object
+ */
+function readProfileFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load site profile ${filePath}: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Site profile ${filePath} must contain a JSON object`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Returns what kind of value a profile entry holds
+ * @param {*} value - Entry value
+ * @returns {string} 'string', 'list', 'section' or the JavaScript type
+ */
+function kindOf(value) {
+  if (Array.isArray(value)) {
+    return 'list';
+  }
+  if (value && typeof value === 'object') {
+    return 'section';
+  }
+  return typeof value;
+}
+
+/**
+ * Checks a profile (or an override) against the bundled profile's shape
+ * Every entry must exist in the bundled profile and hold the same kind of value:
+ * a non-empty string, a list of non-empty strings, or a section of entries.
+ *
+ * @param {Object} profile - Profile or override to check
+ * @param {Object} shape - Matching part of the bundled profile
+ * @param {string} label - Profile file (for error messages)
+ * @param {string} [prefix] - Internal: path of the section being checked
+ * @throws {Error} Naming the first unknown or mistyped entry
+ */
+function checkShape(profile, shape, label, prefix = '') {
+  for (const [key, value] of Object.entries(profile)) {
+    const entry = `${prefix}${key}`;
+
+    if (!Object.prototype.hasOwnProperty.call(shape, key)) {
+      throw new Error(`Site profile ${label} has unknown entry "${entry}"`);
+    }
+
+    const expected = kindOf(shape[key]);
+    if (kindOf(value) !== expected) {
+      throw new Error(`Site profile ${label} entry "${entry}" must be a ${expected}`);
+    }
+
+    if (expected === 'section') {
+      checkShape(value, shape[key], label, `${entry}.`);
+    } else if (expected === 'string' && value.trim() === '') {
+      throw new Error(`Site profile ${label} entry "${entry}" must not be empty`);
+    } else if (expected === 'list') {
+      if (value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        throw new Error(`Site profile ${label} entry "${entry}" must be a list of non-empty strings`);
+      }
+      if (value.length === 0 && shape[key].length > 0) {
+        throw new Error(`Site profile ${label} entry "${entry}" must not be empty`);
+      }
+    }
+  }
+}
+
+/**
+ * Merges an override into a profile: sections are merged entry by entry,
+ * strings and lists are replaced
+ * @param {Object} base - Profile
+ * @param {Object} override - Entries to override
+ * @returns {Object} The merged profile
+ */
+function mergeProfile(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = kindOf(value) === 'section' ? mergeProfile(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Reads the operation name declared by a GraphQL document
+ * @param {string} query - GraphQL document, e.g. "mutation updateRecording(...) {...}"
+ * @returns {string|null} The operation name, or null if the document has none
+ */
+function getOperationName(query) {
+  const match = query.match(/^\s*(?:query|mutation)\s+([A-Za-z_]\w*)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Checks the values of a merged profile beyond their shape
+ * @param {Object} profile - The merged profile
+ * @param {string} label - Profile file(s) (for error messages)
+ * @throws {Error} Naming the first invalid entry
+ */
+function checkValues(profile, label) {
+  for (const section of URL_SECTIONS) {
+    for (const [key, value] of Object.entries(profile[section])) {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`Site profile ${label} entry "${section}.${key}" must be an absolute http(s) URL, got "${value}"`);
+      }
+    }
+  }
+
+  try {
+    new RegExp(profile.pages.googleChallengePattern, 'i');
+  } catch (error) {
+    throw new Error(`Site profile ${label} entry "pages.googleChallengePattern" is not a valid regular expression: ${error.message}`);
+  }
+
+  for (const [key, query] of Object.entries(profile.graphql.operations)) {
+    if (!getOperationName(query)) {
+      throw new Error(`Site profile ${label} entry "graphql.operations.${key}" must start with "query <name>" or "mutation <name>"`);
+    }
+  }
+}
+
+/**
+ * Moves every profile URL to another base URL, keeping its path and query
+ * The app host follows, so the login check recognizes the new host as Grain's app.
+ *
+ * @param {Object} profile - The validated profile
+ * @param {string} baseUrl - New base URL, e.g. "http://127.0.0.1:4010"
+ * @returns {Object} The rebased profile
+ */
+function rebaseProfile(profile, baseUrl) {
+  const rebased = { ...profile, pages: { ...profile.pages, appHost: new URL(baseUrl).host } };
+  for (const section of URL_SECTIONS) {
+    rebased[section] = {};
+    for (const [key, value] of Object.entries(profile[section])) {
+      const url = new URL(value);
+      rebased[section][key] = `${baseUrl}${url.pathname}${url.search}`;
+    }
+  }
+  return rebased;
+}
+
+/**
+ * Loads the bundled site profile, with an optional local override on top
+ * @param {string} [overridePath] - JSON file overriding some of the bundled entries
+ * @param {string} [baseUrl] - Base URL replacing the host of every profile URL
+ * @returns {{profile: Object, overridePath: string|null, baseUrl: string|null}} The validated profile
+ * @throws {Error} If either file is invalid, naming the offending entry
+ */
+function loadSiteProfile(overridePath, baseUrl) {
+  const bundled = readProfileFile(BUNDLED_PROFILE_FILE);
+  checkValues(bundled, BUNDLED_PROFILE_FILE);
+
+  let profile = bundled;
+  if (overridePath) {
+    const override = readProfileFile(overridePath);
+    checkShape(override, bundled, overridePath);
+
+    profile = mergeProfile(bundled, override);
+    checkValues(profile, overridePath);
+  }
+
+  if (baseUrl) {
+    profile = rebaseProfile(profile, baseUrl);
+  }
+
+  return { profile, overridePath: overridePath || null, baseUrl: baseUrl || null };
+}
+
+// Loaded once at startup: an invalid profile stops the uploader straight away
+const loaded = loadSiteProfile(config.SITE_PROFILE, config.GRAIN_BASE_URL);
+const profile = loaded.profile;
+
+/**
+ * Looks up a profile entry by its dotted path
+ * @param {string} entry - Entry path, e.g. "selectors.fileInput"
+ * @returns {*} The entry's value
+ * @throws {Error} If the profile has no such entry
+ */
+function getEntry(entry) {
+  const value = entry.split('.').reduce((section, key) => (section ? section[key] : undefined), profile);
+  if (value === undefined) {
+    throw new Error(`Site profile has no entry "${entry}"`);
+  }
+  return value;
+}
+
+/**
+ * Creates the error for a profile entry that doesn't match Grain's page
+ * @param {string} entry - Entry path, e.g. "selectors.fileInput"
+ * @param {string} problem - What went wrong, e.g. "matched nothing on the upload page"
+ * @returns {Error} SITE_PROFILE_MISMATCH error naming the entry and its value
+ */
+function createMismatchError(entry, problem) {
+  const value = getEntry(entry);
+  let shown;
+  if (kindOf(value) === 'section') {
+    shown = value.labels.map(label => `"${label}"`).join(', ');
+  } else if (entry.startsWith('graphql.operations.')) {
+    shown = getOperationName(value);
+  } else {
+    shown = Array.isArray(value) ? value.join(', ') : value;
+  }
+
+  return createError(
+    ERROR_CODES.SITE_PROFILE_MISMATCH,
+    `Site profile entry ${entry} (${shown}) ${problem}`
+  );
+}
+
+/**
+ * Opens a profile URL
+ * @param {Page} page - Puppeteer page
+ * @param {string} entry - Entry path, e.g. "urls.upload"
+ * @returns {Promise<HTTPResponse|null>} The navigation response
+ * @throws {Error} SITE_PROFILE_MISMATCH if Grain answers with an error status (e.g. 404);
+ *   navigation errors (network trouble) are passed on as they are
+ */
+async function openUrl(page, entry) {
+  const response = await page.goto(getEntry(entry), {
+    waitUntil: 'domcontentloaded', // Less strict than networkidle2
+    timeout: 60000
+  });
+
+  if (response && response.status() >= 400) {
+    throw createMismatchError(entry, `returned HTTP ${response.status()}`);
+  }
+
+  return response;
+}
+
+/**
+ * Waits for the element a profile selector points at
+ * @param {Page} page - Puppeteer page
+ * @param {string} entry - Entry path, e.g. "selectors.emailInput"
+ * @param {number} [timeoutMs=20000] - How long to wait
+ * @returns {Promise<ElementHandle>} The element
+ * @throws {Error} SITE_PROFILE_MISMATCH if the selector matches nothing in time
+ */
+async function waitForElement(page, entry, timeoutMs = 20000) {
+  try {
+    return await page.waitForSelector(getEntry(entry), { timeout: timeoutMs });
+  } catch (error) {
+    if (error.name !== 'TimeoutError') {
+      throw error;
+    }
+    throw createMismatchError(entry, `matched nothing within ${timeoutMs / 1000}s on ${page.url()}`);
+  }
+}
+
+/**
+ * Types into the element a profile selector points at, once it shows up
+ * @param {Page} page - Puppeteer page
+ * @param {string} entry - Entry path, e.g. "selectors.emailInput"
+ * @param {string} text - Text to type
+ * @throws {Error} SITE_PROFILE_MISMATCH if the selector matches nothing in time
+ */
+async function typeInto(page, entry, text) {
+  await waitForElement(page, entry);
+  await page.type(getEntry(entry), text, { delay: 50 });
+}
+
+/**
+ * Clicks the first clickable element whose text contains one of a profile button's labels
+ * (case-insensitive) or whose id is one of its ids
+ * @param {Page} page - Puppeteer page
+ * @param {string} button - Button name in the profile's buttons section, e.g. "googleSignIn"
+ * @returns {Promise<boolean>} True if a button was clicked
+ */
+async function clickButton(page, button) {
+  const { labels, ids } = getEntry(`buttons.${button}`);
+
+  return page.evaluate((selector, labels, ids) => {
+    const buttons = Array.from(document.querySelectorAll(selector));
+    const match = buttons.find(btn => {
+      const text = btn.textContent.toLowerCase();
+      return labels.some(label => text.includes(label)) || ids.includes(btn.id);
+    });
+
+    if (match) {
+      match.click();
+      return true;
+    }
+    return false;
+  }, profile.selectors.clickable, labels.map(label => label.toLowerCase()), ids);
+}
+
+/**
+ * Clicks a profile button that has to be there
+ * @param {Page} page - Puppeteer page
+ * @param {string} button - Button name in the profile's buttons section
+ * @throws {Error} SITE_PROFILE_MISMATCH if no such button is on the page
+ */
+async function clickRequiredButton(page, button) {
+  if (!await clickButton(page, button)) {
+    throw createMismatchError(`buttons.${button}`, `matched no button on ${page.url()}`);
+  }
+}
+
+/**
+ * Returns a GraphQL operation from the profile
+ * @param {string} key - Key in graphql.operations, e.g. "updateRecording"
+ * @returns {{name: string, query: string}} Operation name and document
+ */
+function getOperation(key) {
+  const query = getEntry(`graphql.operations.${key}`);
+  return { name: getOperationName(query), query };
+}
+
+module.exports = {
+  profile,
+  overridePath: loaded.overridePath,
+  baseUrl: loaded.baseUrl,
+  loadSiteProfile,
+  createMismatchError,
+  openUrl,
+  waitForElement,
+  typeInto,
+  clickButton,
+  clickRequiredButton,
+  getOperation
+};
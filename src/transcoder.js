@@ -0,0 +1,250 @@
+/**
+ * Transcoder module
+ * Converts recordings in formats Grain doesn't take (e.g. .webm, .ogg, .flac, .mkv) with a
+ * locally installed ffmpeg: audio-only files to TRANSCODE_AUDIO_FORMAT, files with video to
+ * TRANSCODE_VIDEO_FORMAT. The converted file is written to DATA_DIR/transcoded and uploaded
+ * instead of the original; the pipeline archives both afterwards (see pipeline.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { ERROR_CODES } = require('./utils/errors');
+const { formatBytes, formatDuration } = require('./utils/progress');
+
+// How long ffprobe may take to read a file's streams
+const PROBE_TIMEOUT_MS = 60000;
+
+// How much of ffmpeg's error output is kept for the error message
+const MAX_STDERR_CHARS = 4000;
+
+// ffmpeg muxer and encoding arguments per output format
+const VIDEO_ARGS = [
+  '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+  // libx264 needs even dimensions
+  '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+  '-c:a', 'aac', '-b:a', '160k', '-movflags', '+faststart'
+];
+const OUTPUT_FORMATS = {
+  m4a: { muxer: 'ipod', args: ['-vn', '-c:a', 'aac', '-b:a', '192k'] },
+  mp3: { muxer: 'mp3', args: ['-vn', '-c:a', 'libmp3lame', '-q:a', '2'] },
+  wav: { muxer: 'wav', args: ['-vn', '-c:a', 'pcm_s16le'] },
+  mp4: { muxer: 'mp4', args: VIDEO_ARGS },
+  mov: { muxer: 'mov', args: VIDEO_ARGS }
+};
+
+// ffmpeg/ffprobe processes still running, stopped if the uploader exits (e.g. on shutdown)
+const running = new Set();
+process.on('exit', () => {
+  for (const child of running) {
+    child.kill('SIGKILL');
+  }
+});
+
+/**
+ * Creates the result for a file that couldn't be converted
+ * @param {string} message - What went wrong
+ * @returns {{ok: false, message: string, errorCode: string}} The result
+ */
+function fail(message) {
+  return { ok: false, message, errorCode: ERROR_CODES.TRANSCODE_FAILED };
+}
+
+/**
+ * Returns the last line of a program's error output
+ * @param {string} stderr - Error output
+ * @returns {string} The last non-empty line, or a placeholder
+ */
+function lastLine(stderr) {
+  const lines = stderr.split('\n').map(line => line.trim()).filter(Boolean);
+  return lines.length > 0 ? lines[lines.length - 1] : 'no error output';
+}
+
+/**
+ * Runs ffmpeg or ffprobe
+ * @param {string} command - Path of the program
+ * @param {string[]} args - Arguments
+ * @param {number} timeoutMs - The program is killed after this long
+ * @returns {Promise<{code: number|null, stdout: string, stderr: string, timedOut: boolean}>} How it ended
+ * @throws {Error} If the program can't be started (ENOENT when it isn't installed)
+ */
+function run(command, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    running.add(child);
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-MAX_STDERR_CHARS);
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      running.delete(child);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      running.delete(child);
+      resolve({ code, stdout, stderr, timedOut });
+    });
+  });
+}
+
+/**
+ * Turns a "program not found" error into a failure result
+ * @param {Error} error - Error from run()
+ * @returns {{ok: false, message: string, errorCode: string}} The result
+ * @throws {Error} The error itself, if it is anything else
+ */
+function handleSpawnError(error) {
+  if (error.code === 'ENOENT' && error.syscall && error.syscall.startsWith('spawn')) {
+    return fail(`${error.path} not found. Install ffmpeg, or set FFMPEG_PATH and FFPROBE_PATH`);
+  }
+  throw error;
+}
+
+/**
+ * Checks whether a file is converted before the upload
+ * @param {string} filePath - The file
+ * @returns {boolean} True if its extension is one of TRANSCODE_EXTENSIONS
+ */
+function needsTranscode(filePath) {
+  return config.TRANSCODE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Decides what a file will be converted to, from the streams ffprobe finds in it
+ * Embedded cover art (e.g. in FLAC or Ogg files) doesn't count as video.
+ *
+ * @param {string} filePath - The file
+ * @returns {Promise<{ok: boolean, format?: string, streams?: string, message?: string, errorCode?: string}>}
+ *   The output format and a description of the streams, or why the file can't be converted
+ */
+async function planTranscode(filePath) {
+  const fileName = path.basename(filePath);
+  let probe;
+  try {
+    probe = await run(config.FFPROBE_PATH, [
+      '-v', 'error',
+      '-show_entries', 'stream=codec_type,codec_name:stream_disposition=attached_pic',
+      '-of', 'json',
+      filePath
+    ], PROBE_TIMEOUT_MS);
+  } catch (error) {
+    return handleSpawnError(error);
+  }
+
+  if (probe.timedOut || probe.code !== 0) {
+    return fail(`ffprobe could not read ${fileName}: ${probe.timedOut ? 'timed out' : lastLine(probe.stderr)}`);
+  }
+
+  let streams;
+  try {
+    streams = JSON.parse(probe.stdout).streams || [];
+  } catch (error) {
+    return fail(`ffprobe returned unreadable output for ${fileName}`);
+  }
+
+  const video = streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+  const audio = streams.find(s => s.codec_type === 'audio');
+  if (!video && !audio) {
+    return fail(`${fileName} has no audio or video stream`);
+  }
+
+  return {
+    ok: true,
+    format: video ? config.TRANSCODE_VIDEO_FORMAT : config.TRANSCODE_AUDIO_FORMAT,
+    streams: [video && `${video.codec_name} video`, audio && `${audio.codec_name} audio`].filter(Boolean).join(', ')
+  };
+}
+
+/**
+ * Converts a file with ffmpeg
+ * The output is written under a temporary name and renamed once ffmpeg has finished, so a
+ * file at outputPath is always complete.
+ *
+ * @param {string} filePath - The file to convert
+ * @param {string} outputDir - Folder for the converted file (created if needed)
+ * @returns {Promise<{ok: boolean, outputPath?: string, message?: string, errorCode?: string}>}
+ *   The converted file (same name, new extension), or why the conversion failed
+ */
+async function transcodeFile(filePath, outputDir) {
+  const fileName = path.basename(filePath);
+  const plan = await planTranscode(filePath);
+  if (!plan.ok) {
+    return plan;
+  }
+
+  const { muxer, args } = OUTPUT_FORMATS[plan.format];
+  const outputPath = path.join(outputDir, `${path.parse(filePath).name}.${plan.format}`);
+  const partPath = `${outputPath}.part`;
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  logger.log(`[TRANSCODE] Converting ${fileName} (${plan.streams}) to ${plan.format}...`);
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await run(config.FFMPEG_PATH, [
+      '-hide_banner', '-nostdin', '-loglevel', 'error', '-y',
+      '-i', filePath,
+      ...args,
+      '-f', muxer,
+      partPath
+    ], config.TRANSCODE_TIMEOUT_MINUTES * 60 * 1000);
+  } catch (error) {
+    return handleSpawnError(error);
+  }
+
+  if (result.timedOut || result.code !== 0) {
+    fs.rmSync(partPath, { force: true });
+    return fail(result.timedOut
+      ? `Converting ${fileName} took longer than ${config.TRANSCODE_TIMEOUT_MINUTES} minutes`
+      : `ffmpeg could not convert ${fileName}: ${lastLine(result.stderr)}`);
+  }
+
+  fs.renameSync(partPath, outputPath);
+  logger.log(`[TRANSCODE] Converted ${fileName} to ${path.basename(outputPath)} ` +
+             `(${formatBytes(fs.statSync(outputPath).size)}) in ${formatDuration((Date.now() - startedAt) / 1000)}`);
+
+  return { ok: true, outputPath };
+}
+
+/**
+ * Logs the ffmpeg version at startup, or an error if ffmpeg can't be run
+ * @returns {Promise<boolean>} True if ffmpeg is available
+ */
+async function checkFfmpeg() {
+  try {
+    const { code, stdout } = await run(config.FFMPEG_PATH, ['-version'], PROBE_TIMEOUT_MS);
+    if (code === 0) {
+      logger.log(`[TRANSCODE] ${stdout.split('\n')[0]}`);
+      return true;
+    }
+  } catch (error) {
+    // Reported below
+  }
+
+  logger.error(`[TRANSCODE] ffmpeg not found (${config.FFMPEG_PATH}): files with ` +
+               `${config.TRANSCODE_EXTENSIONS.join(', ')} will fail until it is installed`);
+  return false;
+}
+
+module.exports = {
+  needsTranscode,
+  planTranscode,
+  transcodeFile,
+  checkFfmpeg
+};
@@ -0,0 +1,47 @@
+/**
+ * Upload timeouts
+ * How long an upload may take depends on the file: a 4 GB video on a slow link needs hours,
+ * a voice memo a few seconds. The completion timeout is the time the file takes at the
+ * slowest acceptable speed (UPLOAD_MIN_THROUGHPUT_KBPS), kept between UPLOAD_TIMEOUT_MIN_MINUTES
+ * and UPLOAD_TIMEOUT_MAX_MINUTES. Independently, an upload that moves no bytes for
+ * UPLOAD_STALL_SECONDS is given up on right away.
+ */
+
+const config = require('./config');
+const { formatBytes, formatDuration } = require('./utils/progress');
+
+/**
+ * Calculates the timeouts for uploading a file
+ * @param {number} fileSize - File size in bytes
+ * @returns {{initiationMs: number, completionMs: number, stallMs: number}} How long Grain may take
+ *   to start the upload, how long the upload may take once started, and how long it may go
+ *   without moving any bytes
+ */
+function getUploadTimeouts(fileSize) {
+  const expectedMs = fileSize / (config.UPLOAD_MIN_THROUGHPUT_KBPS * 1024) * 1000;
+  const minMs = config.UPLOAD_TIMEOUT_MIN_MINUTES * 60 * 1000;
+  const maxMs = config.UPLOAD_TIMEOUT_MAX_MINUTES * 60 * 1000;
+
+  return {
+    initiationMs: config.UPLOAD_INITIATION_TIMEOUT_SECONDS * 1000,
+    completionMs: Math.round(Math.min(maxMs, Math.max(minMs, expectedMs))),
+    stallMs: config.UPLOAD_STALL_SECONDS * 1000
+  };
+}
+
+/**
+ * Describes a file's upload timeouts for the log
+ * @param {number} fileSize - File size in bytes
+ * @param {Object} timeouts - Timeouts from getUploadTimeouts
+ * @returns {string} e.g. "2.00 GB: start within 1m 0s, finish within 2h 16m, stalled after 2m 0s without progress"
+ */
+function describeUploadTimeouts(fileSize, timeouts) {
+  return `${formatBytes(fileSize)}: start within ${formatDuration(timeouts.initiationMs / 1000)}, ` +
+         `finish within ${formatDuration(timeouts.completionMs / 1000)}, ` +
+         `stalled after ${formatDuration(timeouts.stallMs / 1000)} without progress`;
+}
+
+module.exports = {
+  getUploadTimeouts,
+  describeUploadTimeouts
+};
@@ -3,265 +3,150 @@
  * Handles browser automation for logging into Grain and uploading files
  */
 
-const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
 const config = require('./config');
 const logger = require('./utils/logger');
+const { ERROR_CODES, getErrorCode } = require('./utils/errors');
+const { checkCredentials, ensureLoggedIn, persistSession } = require('./auth');
+const { acquirePage, releasePage } = require('./browserManager');
+const { applyMetadata } = require('./recordingMetadata');
+const { profile, openUrl, waitForElement, createMismatchError } = require('./siteProfile');
+const { DISABLED_DIAGNOSTICS } = require('./diagnostics');
+const { createProgressTracker, formatProgress, formatBytes, formatDuration } = require('./utils/progress');
+const { waitFor, waitForPageToSettle } = require('./utils/wait');
+const { getUploadTimeouts, describeUploadTimeouts } = require('./uploadTimeouts');
+
+// How often upload progress is logged and reported to the caller
+const PROGRESS_INTERVAL_MS = 10000;
+
+// How often "still waiting" is logged when the page shows no upload progress
+const HEARTBEAT_INTERVAL_MS = 30000;
 
-// Grain URLs
-const GRAIN_LOGIN_URL = 'https://grain.com/login';
-const GRAIN_DASHBOARD_URL = 'https://grain.com/share';
+/**
+ * Script injected into every page before Grain's own code runs
+ * Wraps XMLHttpRequest.send so the upload progress of any large request body (the
+ * recording, or chunks of it) is reported to Node through window.__grainUploadProgress
+ */
+function installUploadProgressHook() {
+  const MIN_TRACKED_BYTES = 256 * 1024;
+  let nextRequestId = 0;
+
+  const bodySize = (body) => {
+    if (body instanceof Blob) {
+      return body.size;
+    }
+    if (body instanceof FormData) {
+      return Array.from(body.values()).reduce((sum, value) => sum + (value instanceof Blob ? value.size : 0), 0);
+    }
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+      return body.byteLength;
+    }
+    return 0;
+  };
+
+  const originalSend = XMLHttpRequest.prototype.send;
+  XMLHttpRequest.prototype.send = function (body) {
+    const size = bodySize(body);
+    if (size >= MIN_TRACKED_BYTES && typeof window.__grainUploadProgress === 'function') {
+      const requestId = ++nextRequestId;
+      this.upload.addEventListener('progress', event => window.__grainUploadProgress(requestId, event.loaded));
+      this.upload.addEventListener('load', () => window.__grainUploadProgress(requestId, size));
+    }
+    return originalSend.apply(this, arguments);
+  };
+}
+
+/**
+ * Reads Grain's own progress bar, for uploads the XHR hook can't see (e.g. fetch)
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<number|null>} Fraction uploaded (0-1), or null if no progress bar is shown
+ */
+async function readProgressBar(page) {
+  try {
+    return await page.evaluate((selector) => {
+      const bar = document.querySelector(selector);
+      if (!bar) {
+        return null;
+      }
+      const max = Number(bar.getAttribute('aria-valuemax')) || 100;
+      const value = Number(bar.getAttribute('aria-valuenow'));
+      return Number.isFinite(value) ? value / max : null;
+    }, profile.selectors.progressBar);
+  } catch (error) {
+    return null;
+  }
+}
 
 /**
  * Tests login to Grain account using Puppeteer
- * Launches a browser, navigates to Grain login, fills credentials, and verifies success
+ * Borrows a page from the shared browser, logs in with the configured strategy, and
+ * verifies success with the same checks the uploader uses. A successful login is saved,
+ * so this doubles as the bootstrap for the interactive strategy.
  *
  * @param {Object} options - Test options
  * @param {boolean} options.headless - Whether to run browser in headless mode (default: false for testing)
+ * @param {string} [options.strategy] - Login strategy to test (default: AUTH_STRATEGY)
  * @returns {Promise<boolean>} True if login successful, false otherwise
  */
 async function testGrainLogin(options = {}) {
   const headless = options.headless !== undefined ? options.headless : false;
+  const account = {
+    name: 'default',
+    email: config.GRAIN_EMAIL,
+    password: config.GRAIN_PASSWORD,
+    totpSecret: config.GRAIN_TOTP_SECRET,
+    strategy: options.strategy || config.AUTH_STRATEGY
+  };
 
-  let browser = null;
+  let page = null;
 
   try {
     logger.log('Starting Grain login test...');
 
     // Validate credentials are configured
-    if (!config.GRAIN_EMAIL || !config.GRAIN_PASSWORD) {
-      logger.error('GRAIN_EMAIL or GRAIN_PASSWORD not configured in .env file');
-      return false;
-    }
-
-    logger.log(`Launching browser (headless: ${headless})...`);
-
-    // Launch browser with optimized settings for Apple Silicon
-    browser = await puppeteer.launch({
-      headless: headless ? 'new' : false, // Use new headless mode for better performance
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu'
-      ],
-      defaultViewport: {
-        width: 1280,
-        height: 800
-      },
-      timeout: 60000 // Increase browser launch timeout to 60s
-    });
-
-    const page = await browser.newPage();
-
-    // Set a realistic user agent to avoid bot detection
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-    // Set longer timeout for slow networks/Apple Silicon
-    page.setDefaultTimeout(60000);
-
-    logger.log(`Navigating to Grain login page: ${GRAIN_LOGIN_URL}`);
-    await page.goto(GRAIN_LOGIN_URL, {
-      waitUntil: 'domcontentloaded', // Less strict than networkidle2
-      timeout: 60000
-    });
-
-    // Give the page extra time to fully load OAuth buttons
-    logger.log('Waiting for page to fully load...');
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Look for "Sign in with Google" button by clicking it via JavaScript
-    logger.log('Looking for "Sign in with Google" button...');
-
-    const buttonClicked = await page.evaluate(() => {
-      // Find button by text content
-      const buttons = Array.from(document.querySelectorAll('button, a, div[role="button"]'));
-      const googleButton = buttons.find(btn => {
-        const text = btn.textContent.toLowerCase();
-        return text.includes('google') || text.includes('sign in with google');
-      });
-
-      if (googleButton) {
-        googleButton.click();
-        return true;
-      }
+    const problem = checkCredentials(account);
+    if (problem) {
+      logger.error(problem);
       return false;
-    });
-
-    if (!buttonClicked) {
-      throw new Error('Could not find "Sign in with Google" button');
     }
 
-    logger.log('Clicked "Sign in with Google"');
-
-    // Wait for redirect to Google OAuth page
-    logger.log('Waiting for Google OAuth page...');
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Wait for Google email input
-    logger.log('Waiting for Google login form...');
-    await page.waitForSelector('input[type="email"]', { timeout: 20000 });
-
-    // Enter Google email
-    logger.log(`Entering Google email: ${config.GRAIN_EMAIL}`);
-    await page.type('input[type="email"]', config.GRAIN_EMAIL, { delay: 50 });
-
-    // Click Next button on Google email page
-    logger.log('Clicking Next...');
-    await page.evaluate(() => {
-      const buttons = Array.from(document.querySelectorAll('button'));
-      const nextBtn = buttons.find(btn =>
-        btn.textContent.includes('Next') ||
-        btn.textContent.includes('next') ||
-        btn.id === 'identifierNext'
-      );
-      if (nextBtn) nextBtn.click();
-    });
-
-    // Wait for password page
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    // Borrow a page from the shared browser
+    page = await acquirePage({ headless });
 
-    // Wait for Google password input
-    logger.log('Waiting for password field...');
-    await page.waitForSelector('input[type="password"]', { timeout: 20000 });
+    // Always log in from scratch: this tests the credentials, not a saved session
+    await ensureLoggedIn(page, account, { headless, forceLogin: true });
 
-    // Enter Google password
-    logger.log('Entering Google password...');
-    await page.type('input[type="password"]', config.GRAIN_PASSWORD, { delay: 50 });
-
-    // Take a screenshot before clicking login
+    // Take a screenshot after login
     const logsDir = path.join(__dirname, '../logs');
     if (!fs.existsSync(logsDir)) {
       fs.mkdirSync(logsDir, { recursive: true });
     }
 
-    await page.screenshot({
-      path: path.join(logsDir, 'login-before-submit.png'),
-      fullPage: true
-    });
-    logger.log('Screenshot saved: logs/login-before-submit.png');
-
-    // Click the Next/Sign in button on Google password page
-    logger.log('Clicking Sign in...');
-    await page.evaluate(() => {
-      const buttons = Array.from(document.querySelectorAll('button'));
-      const nextBtn = buttons.find(btn =>
-        btn.textContent.includes('Next') ||
-        btn.textContent.includes('Sign in') ||
-        btn.textContent.includes('Continue') ||
-        btn.id === 'passwordNext'
-      );
-      if (nextBtn) nextBtn.click();
-    });
-
-    // Wait for Google OAuth redirect back to Grain
-    logger.log('Waiting for Google OAuth to complete and redirect to Grain...');
-    try {
-      await page.waitForNavigation({
-        timeout: 30000,
-        waitUntil: 'domcontentloaded'
-      });
-      logger.log('Redirected after Google login');
-    } catch (navError) {
-      logger.log('Navigation timeout, checking current state...');
-    }
-
-    // Wait for Grain dashboard to load after OAuth
-    await new Promise(resolve => setTimeout(resolve, 5000));
-
-    // Get current URL
-    const currentUrl = page.url();
-    logger.log(`Current URL after login: ${currentUrl}`);
-
-    // Check for success indicators
-    let loginSuccess = false;
-
-    // Check 1: URL changed to dashboard or doesn't contain 'login'
-    if (!currentUrl.includes('login') &&
-        (currentUrl.includes('share') ||
-         currentUrl.includes('dashboard') ||
-         currentUrl.includes('home') ||
-         currentUrl.includes('grain.com'))) {
-      logger.log('Success indicator: URL changed from login page');
-      loginSuccess = true;
-    }
-
-    // Check 2: Look for dashboard elements or user menu
-    try {
-      const dashboardElements = await page.evaluate(() => {
-        // Look for common logged-in indicators
-        const indicators = [
-          document.querySelector('[data-testid="user-menu"]'),
-          document.querySelector('.user-menu'),
-          document.querySelector('[aria-label*="user" i]'),
-          document.querySelector('[class*="avatar" i]'),
-          document.querySelector('[class*="profile" i]'),
-          document.querySelector('nav'),
-          document.querySelector('header')
-        ];
-        return indicators.some(el => el !== null);
-      });
-
-      if (dashboardElements) {
-        logger.log('Success indicator: Dashboard elements found');
-        loginSuccess = true;
-      }
-    } catch (checkError) {
-      logger.log(`Could not check for dashboard elements: ${checkError.message}`);
-    }
-
-    // Check 3: Look for error messages (indicates login failed)
-    try {
-      const errorMessage = await page.evaluate(() => {
-        const errorEl = document.querySelector('[role="alert"], .error, [class*="error" i]');
-        return errorEl ? errorEl.textContent : null;
-      });
-
-      if (errorMessage && errorMessage.toLowerCase().includes('password')) {
-        logger.error(`Login error detected: ${errorMessage}`);
-        loginSuccess = false;
-      }
-    } catch (checkError) {
-      // No error message is good
-    }
-
-    // Take a screenshot after login
     await page.screenshot({
       path: path.join(logsDir, 'login-success.png'),
       fullPage: true
     });
     logger.log('Screenshot saved: logs/login-success.png');
 
-    if (loginSuccess) {
-      logger.log('✓ Grain login test PASSED');
-    } else {
-      logger.error('✗ Grain login test FAILED - Could not verify successful login');
-    }
-
-    return loginSuccess;
+    logger.log('✓ Grain login test PASSED');
+    return true;
 
   } catch (error) {
-    logger.error(`Grain login test error: ${error.message}`);
+    logger.error(`✗ Grain login test FAILED - ${error.message}`);
 
     // Try to take an error screenshot
     try {
-      if (browser) {
-        const pages = await browser.pages();
-        if (pages.length > 0) {
-          const logsDir = path.join(__dirname, '../logs');
-          if (!fs.existsSync(logsDir)) {
-            fs.mkdirSync(logsDir, { recursive: true });
-          }
-          await pages[0].screenshot({
-            path: path.join(logsDir, 'login-error.png'),
-            fullPage: true
-          });
-          logger.log('Error screenshot saved: logs/login-error.png');
+      if (page) {
+        const logsDir = path.join(__dirname, '../logs');
+        if (!fs.existsSync(logsDir)) {
+          fs.mkdirSync(logsDir, { recursive: true });
         }
+        await page.screenshot({
+          path: path.join(logsDir, 'login-error.png'),
+          fullPage: true
+        });
+        logger.log('Error screenshot saved: logs/login-error.png');
       }
     } catch (screenshotError) {
       // Ignore screenshot errors
@@ -270,10 +155,9 @@ async function testGrainLogin(options = {}) {
     return false;
 
   } finally {
-    // Close browser
-    if (browser) {
-      logger.log('Closing browser...');
-      await browser.close();
+    // Hand the page back to the browser manager
+    if (page) {
+      await releasePage(page);
     }
   }
 }
@@ -285,12 +169,27 @@ async function testGrainLogin(options = {}) {
  * @param {string} filePath - Absolute path to the file to upload
  * @param {Object} options - Upload options
  * @param {boolean} options.headless - Whether to run browser in headless mode (default: true)
- * @returns {Promise<{ok: boolean, recordingUrl?: string, id?: string, message: string}>}
+ * @param {Object} [options.account] - Grain account {email, password, totpSecret, strategy} (default: GRAIN_EMAIL/GRAIN_PASSWORD)
+ * @param {function(Object): void} [options.onProgress] - Called with a progress snapshot
+ *   (see utils/progress.js) every few seconds while the file is uploading
+ * @param {Object} [options.metadata] - Title, tags, collection, sharing to apply once the
+ *   upload is confirmed (see recordingMetadata.js)
+ * @param {Object} [options.diagnostics] - Diagnostics recorder for this attempt (see diagnostics.js)
+ * @returns {Promise<{ok: boolean, recordingUrl?: string, id?: string, message: string, errorCode?: string,
+ *   uploadStats?: Object, metadataResult?: Object}>}
+ *   On failure, errorCode is one of ERROR_CODES (see utils/errors.js)
  */
 async function uploadFileToGrain(filePath, options = {}) {
   const headless = options.headless !== undefined ? options.headless : true;
+  const account = options.account || {
+    email: config.GRAIN_EMAIL,
+    password: config.GRAIN_PASSWORD,
+    totpSecret: config.GRAIN_TOTP_SECRET
+  };
+  const diagnostics = options.diagnostics || DISABLED_DIAGNOSTICS;
+  const diagnosticsNote = diagnostics.dir ? ` (diagnostics: ${diagnostics.dir})` : '';
 
-  let browser = null;
+  let page = null;
 
   try {
     logger.log('Starting Grain file upload...');
@@ -300,55 +199,75 @@ async function uploadFileToGrain(filePath, options = {}) {
     if (!fs.existsSync(filePath)) {
       return {
         ok: false,
-        message: `File does not exist: ${filePath}`
+        message: `File does not exist: ${filePath}`,
+        errorCode: ERROR_CODES.FILE_MISSING
       };
     }
 
     // Validate credentials
-    if (!config.GRAIN_EMAIL || !config.GRAIN_PASSWORD) {
+    const credentialProblem = checkCredentials(account);
+    if (credentialProblem) {
       return {
         ok: false,
-        message: 'GRAIN_EMAIL or GRAIN_PASSWORD not configured in .env file'
+        message: credentialProblem,
+        errorCode: ERROR_CODES.LOGIN_FAILED
       };
     }
 
-    logger.log(`Launching browser (headless: ${headless})...`);
-
-    // Launch browser
-    browser = await puppeteer.launch({
-      headless: headless ? 'new' : false,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu'
-      ],
-      defaultViewport: {
-        width: 1280,
-        height: 800
-      },
-      timeout: 60000
-    });
+    // Borrow a fresh page from the shared browser
+    page = await acquirePage({ headless });
+    diagnostics.watchPage(page);
+
+    // Track byte-level upload progress reported by the page
+    // (the tracker is created when the file is selected, so login time doesn't count)
+    const fileSize = fs.statSync(filePath).size;
+    const requestBytes = new Map();
+    let tracker = null;
+    let progressSeen = false;
 
-    const page = await browser.newPage();
+    await page.exposeFunction('__grainUploadProgress', (requestId, loaded) => {
+      if (!tracker) {
+        return;
+      }
+      requestBytes.set(requestId, loaded);
+      progressSeen = true;
+      tracker.update(Array.from(requestBytes.values()).reduce((sum, bytes) => sum + bytes, 0));
+    });
+    await page.evaluateOnNewDocument(installUploadProgressHook);
+
+    /**
+     * Logs the current progress and passes it to the caller
+     * Falls back to Grain's progress bar when the page hasn't reported any bytes
+     */
+    const reportProgress = async () => {
+      if (!progressSeen) {
+        const fraction = await readProgressBar(page);
+        if (fraction === null) {
+          return false;
+        }
+        tracker.update(fraction * fileSize);
+      }
 
-    // Set user agent
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    page.setDefaultTimeout(60000);
+      const progress = tracker.snapshot();
+      logger.log(`Upload progress: ${formatProgress(progress)}`);
+      if (options.onProgress) {
+        options.onProgress(progress);
+      }
+      return true;
+    };
 
-    // Set up GraphQL response monitoring
+    // Set up GraphQL response monitoring (what to look for comes from the site profile)
+    const { graphql } = profile;
     let uploadStarted = false;
     let uploadSuccess = false;
     let recordingData = null;
+    let graphqlUrl = null;
 
     page.on('response', async (response) => {
       const url = response.url();
 
       // Check if this is a GraphQL request
-      if (url.includes('graphql') || url.includes('/api/')) {
+      if (graphql.responseUrlMatches.some(match => url.includes(match))) {
         try {
           const request = response.request();
           const requestPostData = request.postData();
@@ -357,9 +276,14 @@ async function uploadFileToGrain(filePath, options = {}) {
           if (requestPostData && requestPostData.includes('"operationName"')) {
             const responseJson = await response.json();
 
+            // Remember the endpoint for the metadata step
+            if (url.includes(graphql.endpointMatch)) {
+              graphqlUrl = url;
+            }
+
             // Upload initiation detected
-            if (responseJson.data?.recordingUploadInfo) {
-              const uploadInfo = responseJson.data.recordingUploadInfo;
+            if (responseJson.data?.[graphql.uploadInfoField]) {
+              const uploadInfo = responseJson.data[graphql.uploadInfoField];
               if (uploadInfo.url?.uuid) {
                 logger.log('✓ Upload initiation detected!');
                 logger.log(`Upload UUID: ${uploadInfo.url.uuid}`);
@@ -369,13 +293,13 @@ async function uploadFileToGrain(filePath, options = {}) {
             }
 
             // Stage 2: Check if upload has completed (recording with PROCESSING state)
-            if (requestPostData.includes('"operationName":"recording"')) {
-              if (responseJson.data?.recording) {
-                const recording = responseJson.data.recording;
+            if (requestPostData.includes(`"operationName":"${graphql.recordingOperation}"`)) {
+              if (responseJson.data?.[graphql.recordingOperation]) {
+                const recording = responseJson.data[graphql.recordingOperation];
 
                 if (recording.recordingUrl &&
                     recording.recordingUrl.length > 0 &&
-                    recording.state === 'PROCESSING') {
+                    profile.recordingStates.uploaded.includes(recording.state)) {
                   logger.log('✓ Upload success detected via GraphQL response!');
                   logger.log(`Recording ID: ${recording.id}`);
                   logger.log(`Recording URL: ${recording.recordingUrl}`);
@@ -397,207 +321,277 @@ async function uploadFileToGrain(filePath, options = {}) {
       }
     });
 
-    // Step 1: Login to Grain
-    logger.log('Logging into Grain...');
-    logger.log(`Navigating to Grain login page: ${GRAIN_LOGIN_URL}`);
-
-    await page.goto(GRAIN_LOGIN_URL, {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
-    });
-
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Click "Sign in with Google"
-    logger.log('Clicking "Sign in with Google"...');
-    const buttonClicked = await page.evaluate(() => {
-      const buttons = Array.from(document.querySelectorAll('button, a, div[role="button"]'));
-      const googleButton = buttons.find(btn => {
-        const text = btn.textContent.toLowerCase();
-        return text.includes('google') || text.includes('sign in with google');
-      });
-
-      if (googleButton) {
-        googleButton.click();
-        return true;
-      }
-      return false;
-    });
-
-    if (!buttonClicked) {
-      throw new Error('Could not find "Sign in with Google" button');
-    }
-
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Google OAuth flow
-    logger.log('Entering Google credentials...');
-    await page.waitForSelector('input[type="email"]', { timeout: 20000 });
-    await page.type('input[type="email"]', config.GRAIN_EMAIL, { delay: 50 });
-
-    await page.evaluate(() => {
-      const buttons = Array.from(document.querySelectorAll('button'));
-      const nextBtn = buttons.find(btn =>
-        btn.textContent.includes('Next') ||
-        btn.textContent.includes('next') ||
-        btn.id === 'identifierNext'
-      );
-      if (nextBtn) nextBtn.click();
-    });
-
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    await page.waitForSelector('input[type="password"]', { timeout: 20000 });
-    await page.type('input[type="password"]', config.GRAIN_PASSWORD, { delay: 50 });
-
-    await page.evaluate(() => {
-      const buttons = Array.from(document.querySelectorAll('button'));
-      const nextBtn = buttons.find(btn =>
-        btn.textContent.includes('Next') ||
-        btn.textContent.includes('Sign in') ||
-        btn.textContent.includes('Continue') ||
-        btn.id === 'passwordNext'
-      );
-      if (nextBtn) nextBtn.click();
-    });
-
-    // Wait for redirect back to Grain
-    logger.log('Waiting for login to complete...');
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    // Step 1: Login to Grain, unless a saved session is still valid
+    // Throws a LOGIN_FAILED error if no valid session can be established
+    await ensureLoggedIn(page, account, { headless, diagnostics });
+    await diagnostics.screenshot(page, 'logged-in');
 
     // Step 2: Navigate to upload page
-    const uploadUrl = 'https://grain.com/app/upload-recording';
-    logger.log(`Navigating to upload page: ${uploadUrl}`);
+    logger.log(`Navigating to upload page: ${profile.urls.upload}`);
+    await openUrl(page, 'urls.upload');
 
-    await page.goto(uploadUrl, {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
-    });
-
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Step 3: Find and upload file
+    // Step 3: Find and upload file (the upload page renders the file input after it loads)
     logger.log('Looking for file input...');
+    const fileInput = await waitForElement(page, 'selectors.fileInput');
+    await waitForPageToSettle(page);
+    await diagnostics.screenshot(page, 'upload-page');
 
-    const fileInput = await page.$('input#recording-meeting-file');
-
-    if (!fileInput) {
-      throw new Error('Could not find file input element: input#recording-meeting-file');
-    }
+    const timeouts = getUploadTimeouts(fileSize);
+    logger.log(`Upload timeouts for ${describeUploadTimeouts(fileSize, timeouts)}`);
 
     logger.log('Uploading file...');
+    tracker = createProgressTracker(fileSize);
     await fileInput.uploadFile(filePath);
+    await diagnostics.screenshot(page, 'file-selected');
 
-    // Stage 1: Wait for upload to START (60 seconds)
+    // Stage 1: Wait for upload to START
     logger.log('Waiting for upload initiation...');
 
-    const initiationTimeout = 60000; // 60 seconds
-    const pollInterval = 1000;
-    let elapsedTime = 0;
-
-    while (!uploadStarted && elapsedTime < initiationTimeout) {
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
-      elapsedTime += pollInterval;
-    }
-
-    if (!uploadStarted) {
-      const logsDir = path.join(__dirname, '../logs');
-      if (!fs.existsSync(logsDir)) {
-        fs.mkdirSync(logsDir, { recursive: true });
-      }
-
-      await page.screenshot({
-        path: path.join(logsDir, 'upload-timeout.png'),
-        fullPage: true
-      });
+    if (!await waitFor(() => uploadStarted, { timeoutMs: timeouts.initiationMs })) {
+      await diagnostics.capture(page, 'initiation-timeout');
 
       return {
         ok: false,
-        message: `Upload initiation timeout: Upload did not start after ${initiationTimeout / 1000} seconds. Check logs/upload-timeout.png`
+        message: `Upload initiation timeout: Upload did not start after ${timeouts.initiationMs / 1000} seconds ` +
+                 `(no response with site profile entry graphql.uploadInfoField "${graphql.uploadInfoField}").` +
+                 diagnosticsNote,
+        errorCode: ERROR_CODES.INITIATION_TIMEOUT
       };
     }
 
-    // Stage 2: Wait for upload to COMPLETE (20 minutes after it starts)
+    // Stage 2: Wait for upload to COMPLETE (timeout scaled to the file size, see uploadTimeouts.js)
     logger.log('✓ Upload started! Waiting for completion...');
+    await diagnostics.screenshot(page, 'upload-started');
 
-    const completionTimeout = 1200000; // 20 minutes
-    elapsedTime = 0;
+    const completionDeadline = Date.now() + timeouts.completionMs;
+    let lastHeartbeatAt = Date.now();
+    let progressVisible = false;
 
-    while (!uploadSuccess && elapsedTime < completionTimeout) {
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
-      elapsedTime += pollInterval;
+    while (!uploadSuccess && Date.now() < completionDeadline) {
+      const waitMs = Math.min(PROGRESS_INTERVAL_MS, completionDeadline - Date.now());
+      if (await waitFor(() => uploadSuccess, { timeoutMs: waitMs, intervalMs: 500 })) {
+        break;
+      }
 
-      // Log progress every 30 seconds
-      if (elapsedTime % 30000 === 0) {
-        logger.log(`Still waiting for upload completion... (${elapsedTime / 1000}s elapsed)`);
+      // Log progress every 10 seconds, or a heartbeat every 30 seconds if there is none
+      if (await reportProgress()) {
+        progressVisible = true;
+      } else if (Date.now() - lastHeartbeatAt >= HEARTBEAT_INTERVAL_MS) {
+        lastHeartbeatAt = Date.now();
+        logger.log(`Still waiting for upload completion... (${tracker.snapshot().elapsedSeconds}s elapsed)`);
       }
-    }
 
-    if (!uploadSuccess) {
-      const logsDir = path.join(__dirname, '../logs');
-      if (!fs.existsSync(logsDir)) {
-        fs.mkdirSync(logsDir, { recursive: true });
+      // Stall detector: the page shows progress, but no bytes have moved for too long
+      // (only until the whole file is sent - after that Grain is creating the recording)
+      const progress = tracker.snapshot();
+      if (progressVisible && progress.percent < 100 && progress.idleSeconds * 1000 >= timeouts.stallMs) {
+        await diagnostics.capture(page, 'stalled');
+
+        return {
+          ok: false,
+          message: `Upload stalled: no bytes sent for ${progress.idleSeconds} seconds ` +
+                   `(${formatProgress(progress)}).` + diagnosticsNote,
+          errorCode: ERROR_CODES.UPLOAD_STALLED
+        };
       }
+    }
 
-      await page.screenshot({
-        path: path.join(logsDir, 'upload-timeout.png'),
-        fullPage: true
-      });
+    if (!uploadSuccess) {
+      await diagnostics.capture(page, 'completion-timeout');
 
       return {
         ok: false,
-        message: `Upload completion timeout: No success response received after ${completionTimeout / 1000} seconds. File may still be processing on Grain. Check logs/upload-timeout.png`
+        message: `Upload completion timeout: No success response received after ${formatDuration(timeouts.completionMs / 1000)} ` +
+                 `(no "${graphql.recordingOperation}" response matching site profile entries graphql.recordingOperation ` +
+                 'and recordingStates.uploaded). File may still be processing on Grain.' + diagnosticsNote,
+        errorCode: ERROR_CODES.COMPLETION_TIMEOUT
       };
     }
 
     // Success!
+    const finalProgress = tracker.snapshot();
+    const uploadStats = {
+      bytes: fileSize,
+      seconds: finalProgress.elapsedSeconds,
+      bytesPerSecond: finalProgress.elapsedSeconds > 0
+        ? Math.round(fileSize / finalProgress.elapsedSeconds)
+        : fileSize
+    };
     logger.log('✓ File uploaded successfully to Grain!');
+    await diagnostics.screenshot(page, 'uploaded');
+    logger.log(`Uploaded ${formatBytes(uploadStats.bytes)} in ${formatDuration(uploadStats.seconds)} ` +
+               `(${formatBytes(uploadStats.bytesPerSecond)}/s)`);
+
+    // Step 4: Title, tags, collection and sharing (failures here don't fail the upload)
+    let metadataResult;
+    if (options.metadata) {
+      logger.log('Applying recording metadata...');
+      metadataResult = await applyMetadata(page, graphqlUrl, recordingData.id, options.metadata);
+    }
+
+    // Keep the session fresh for the next upload (Grain may have rotated cookies)
+    await persistSession(page, account.email);
 
     return {
       ok: true,
       recordingUrl: recordingData.recordingUrl,
       id: recordingData.id,
-      message: `Successfully uploaded file. Recording ID: ${recordingData.id}`
+      message: `Successfully uploaded file. Recording ID: ${recordingData.id}`,
+      uploadStats,
+      metadataResult
     };
 
   } catch (error) {
     logger.error(`Upload error: ${error.message}`);
 
-    // Try to take error screenshot
+    // Save the page as it was when the upload failed
+    if (page) {
+      await diagnostics.capture(page, 'error');
+    }
+
+    return {
+      ok: false,
+      message: `Upload failed: ${error.message}${diagnosticsNote}`,
+      errorCode: getErrorCode(error)
+    };
+
+  } finally {
+    // Hand the page back; the browser stays open for the next upload
+    if (page) {
+      await releasePage(page);
+    }
+  }
+}
+
+/**
+ * Downloads a recording's transcript and AI summary using the page's Grain session
+ * (plus GRAIN_API_TOKEN when set). Either may be missing, e.g. a recording without speech.
+ *
+ * @param {Page} page - Logged-in Puppeteer page on grain.com
+ * @param {string} recordingId - Grain recording ID
+ * @returns {Promise<{transcript: string|null, summary: string|null}>} Downloaded texts
+ */
+async function fetchRecordingResults(page, recordingId) {
+  const base = `${profile.urls.recordingsApi}/${encodeURIComponent(recordingId)}`;
+
+  const download = async (url, type) => {
+    const response = await page.evaluate(async (requestUrl, token) => {
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      const res = await fetch(requestUrl, { credentials: 'include', headers });
+      return { status: res.status, body: res.ok ? await res.text() : null };
+    }, url, config.GRAIN_API_TOKEN || null);
+
+    if (response.body === null) {
+      logger.error(`Could not download ${type} (HTTP ${response.status})`);
+    }
+    return response.body;
+  };
+
+  const transcript = await download(`${base}/transcript.txt`, 'transcript');
+
+  let summary = null;
+  const details = await download(`${base}?intelligence_notes_format=md`, 'AI summary');
+  if (details) {
     try {
-      if (browser) {
-        const pages = await browser.pages();
-        if (pages.length > 0) {
-          const logsDir = path.join(__dirname, '../logs');
-          if (!fs.existsSync(logsDir)) {
-            fs.mkdirSync(logsDir, { recursive: true });
-          }
-          await pages[0].screenshot({
-            path: path.join(logsDir, 'upload-error.png'),
-            fullPage: true
-          });
-          logger.log('Error screenshot saved: logs/upload-error.png');
+      summary = JSON.parse(details).intelligence_notes_md || null;
+    } catch (parseError) {
+      logger.error(`Could not read AI summary: ${parseError.message}`);
+    }
+  }
+
+  return {
+    transcript: transcript && transcript.trim() ? transcript : null,
+    summary: summary && summary.trim() ? summary : null
+  };
+}
+
+/**
+ * Checks whether Grain has finished processing an uploaded recording
+ * Opens the recording page and reads its state from the same `recording` GraphQL
+ * response the uploader watches; once it is ready, downloads the transcript and summary
+ *
+ * @param {{id: string, recordingUrl: string}} recording - The uploaded recording
+ * @param {Object} options - Check options
+ * @param {boolean} options.headless - Whether to run browser in headless mode (default: true)
+ * @param {Object} options.account - Grain account the recording was uploaded to
+ * @returns {Promise<{ok: boolean, status?: string, state?: string, transcript?: string|null,
+ *   summary?: string|null, message?: string, errorCode?: string}>}
+ *   status is 'processing', 'ready' or 'failed'
+ */
+async function checkRecordingStatus(recording, options = {}) {
+  const headless = options.headless !== undefined ? options.headless : true;
+  const account = options.account;
+
+  let page = null;
+
+  try {
+    page = await acquirePage({ headless });
+
+    let state = null;
+    page.on('response', async (response) => {
+      const requestPostData = response.request().postData();
+      const operation = profile.graphql.recordingOperation;
+      if (!requestPostData || !requestPostData.includes(`"operationName":"${operation}"`)) {
+        return;
+      }
+
+      try {
+        const responseJson = await response.json();
+        if (responseJson.data?.[operation]?.id === recording.id) {
+          state = responseJson.data[operation].state;
         }
+      } catch (parseError) {
+        // Not all responses are JSON, ignore parse errors
       }
-    } catch (screenshotError) {
-      // Ignore screenshot errors
+    });
+
+    await ensureLoggedIn(page, account, { headless });
+
+    await page.goto(recording.recordingUrl, {
+      waitUntil: 'domcontentloaded',
+      timeout: 60000
+    });
+
+    // Give the page up to 30 seconds to ask Grain about the recording
+    if (!await waitFor(() => state, { timeoutMs: 30000 })) {
+      const mismatch = createMismatchError('graphql.recordingOperation',
+                                           `gave no state for recording ${recording.id} within 30s`);
+      return {
+        ok: false,
+        message: mismatch.message,
+        errorCode: mismatch.code
+      };
+    }
+
+    const normalized = state.toUpperCase();
+    if (profile.recordingStates.processing.includes(normalized)) {
+      return { ok: true, status: 'processing', state };
+    }
+    if (profile.recordingStates.failed.includes(normalized)) {
+      return { ok: true, status: 'failed', state };
     }
 
+    const results = await fetchRecordingResults(page, recording.id);
+    await persistSession(page, account.email);
+
+    return { ok: true, status: 'ready', state, ...results };
+
+  } catch (error) {
     return {
       ok: false,
-      message: `Upload failed: ${error.message}`
+      message: `Processing check failed: ${error.message}`,
+      errorCode: getErrorCode(error)
     };
 
   } finally {
-    // Close browser
-    if (browser) {
-      logger.log('Closing browser...');
-      await browser.close();
+    if (page) {
+      await releasePage(page);
     }
   }
 }
 
 module.exports = {
   testGrainLogin,
-  uploadFileToGrain
+  uploadFileToGrain,
+  checkRecordingStatus
 };
@@ -0,0 +1,103 @@
+/**
+ * AWS Signature Version 4 utilities
+ * Signs requests to S3-compatible storage (AWS S3, MinIO, Backblaze B2, Wasabi, ...)
+ * without pulling in the AWS SDK
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Calculates an HMAC-SHA256
+ * @param {string|Buffer} key - Key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} The digest
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+}
+
+/**
+ * Calculates a hex-encoded SHA-256 hash
+ * @param {string|Buffer} data - Data to hash
+ * @returns {string} Hex digest
+ */
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * URI-encodes a string the way SigV4 expects (RFC 3986: also !'()*)
+ * @param {string} text - Text to encode
+ * @returns {string} Encoded text
+ */
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Builds the canonical query string: parameters sorted by name, then value
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {string} Canonical query string
+ */
+function canonicalQuery(params) {
+  return Array.from(params.entries())
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+/**
+ * Signs a request with AWS Signature Version 4
+ * The path of `url` must already be URI-encoded (see encodeRfc3986).
+ *
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Request URL
+ * @param {Object} [request.headers] - Headers to send (all of them are signed)
+ * @param {string} request.payloadHash - Hex SHA-256 of the body, or "UNSIGNED-PAYLOAD"
+ * @param {string} request.region - Region, e.g. "us-east-1"
+ * @param {string} request.service - Service, e.g. "s3"
+ * @param {string} request.accessKeyId - Access key ID
+ * @param {string} request.secretAccessKey - Secret access key
+ * @param {Date} [request.date] - Signing time (default: now)
+ * @returns {Object} The headers to send: the given ones plus host, x-amz-date and authorization
+ */
+function signRequest({ method, url, headers = {}, payloadHash, region, service, accessKeyId, secretAccessKey, date = new Date() }) {
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signed = { host: target.host, 'x-amz-date': amzDate };
+  for (const [name, value] of Object.entries(headers)) {
+    signed[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  }
+
+  const headerNames = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    target.pathname || '/',
+    canonicalQuery(target.searchParams),
+    headerNames.map(name => `${name}:${signed[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+                   `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+}
+
+module.exports = {
+  encodeRfc3986,
+  sha256Hex,
+  signRequest
+};
@@ -0,0 +1,74 @@
+/**
+ * Error classification utilities
+ * Tags errors with a code so callers can decide how to handle each class of failure
+ */
+
+/**
+ * Known error codes
+ * - LOGIN_FAILED: could not log into Grain (credentials, OAuth flow, Google checks)
+ * - TWO_FACTOR_UNSUPPORTED: Google asked for a 2-Step Verification challenge we can't answer
+ *   (phone prompt, security key, or an authenticator code without a TOTP secret)
+ * - INITIATION_TIMEOUT: file was selected but Grain never started the upload
+ * - COMPLETION_TIMEOUT: upload started but no success response arrived in time
+ * - UPLOAD_STALLED: the upload stopped moving bytes for UPLOAD_STALL_SECONDS before the whole
+ *   file was sent (Grain can't have made a recording of it yet)
+ * - FILE_MISSING: the file disappeared before or during processing
+ * - MEDIA_REJECTED: the file is not a well-formed recording (empty, corrupt, cut off, not finalized),
+ *   or one Grain shouldn't get (shorter than MEDIA_MIN_DURATION_SECONDS, over MAX_UPLOAD_SIZE_GB)
+ * - TRANSCODE_FAILED: ffmpeg could not convert the file (or isn't installed) - see transcoder.js
+ * - SIDECAR_MISSING: a required sidecar metadata file did not show up in time
+ * - SIDECAR_INVALID: the sidecar metadata file can't be parsed or has invalid fields
+ * - SITE_PROFILE_MISMATCH: a URL, selector, button or GraphQL operation from the site profile
+ *   no longer matches Grain's web app (see siteProfile.js)
+ * - DESTINATION_REJECTED: an upload destination refused the file (credentials, permissions,
+ *   missing bucket or folder, size limit) - see destinations/
+ * - DESTINATION_UNVERIFIED: a destination accepted the file, but the stored copy doesn't match it
+ * - UNKNOWN: anything else
+ */
+const ERROR_CODES = {
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  TWO_FACTOR_UNSUPPORTED: 'TWO_FACTOR_UNSUPPORTED',
+  INITIATION_TIMEOUT: 'INITIATION_TIMEOUT',
+  COMPLETION_TIMEOUT: 'COMPLETION_TIMEOUT',
+  UPLOAD_STALLED: 'UPLOAD_STALLED',
+  FILE_MISSING: 'FILE_MISSING',
+  MEDIA_REJECTED: 'MEDIA_REJECTED',
+  TRANSCODE_FAILED: 'TRANSCODE_FAILED',
+  SIDECAR_MISSING: 'SIDECAR_MISSING',
+  SIDECAR_INVALID: 'SIDECAR_INVALID',
+  SITE_PROFILE_MISMATCH: 'SITE_PROFILE_MISMATCH',
+  DESTINATION_REJECTED: 'DESTINATION_REJECTED',
+  DESTINATION_UNVERIFIED: 'DESTINATION_UNVERIFIED',
+  UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Creates an Error tagged with one of the ERROR_CODES
+ * @param {string} code - The error code
+ * @param {string} message - The error message
+ * @returns {Error} Error with a `code` property
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Returns the error code of an error, or UNKNOWN if it has none of ours
+ * (system errors carry their own codes such as ENOENT, which are not ours)
+ * @param {Error} error - The error to classify
+ * @returns {string} One of ERROR_CODES
+ */
+function getErrorCode(error) {
+  if (error && Object.values(ERROR_CODES).includes(error.code)) {
+    return error.code;
+  }
+  return ERROR_CODES.UNKNOWN;
+}
+
+module.exports = {
+  ERROR_CODES,
+  createError,
+  getErrorCode
+};
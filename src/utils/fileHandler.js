@@ -27,6 +27,35 @@ function ensureProcessedDir(watchDir) {
   }
 }
 
+/**
+ * Checks whether a path is inside (or equal to) a folder
+ * Compares resolved path segments, so "/Uploads/Processed-old" is NOT inside "/Uploads/Processed"
+ * @param {string} childPath - The path to check
+ * @param {string} folderPath - The folder
+ * @returns {boolean} True if childPath is the folder itself or anything below it
+ */
+function isPathInside(childPath, folderPath) {
+  const relative = path.relative(path.resolve(folderPath), path.resolve(childPath));
+  return relative === '' ||
+         (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Returns the subfolder of a file relative to a root folder
+ * e.g. ("/Uploads/2026/10/standup.mp4", "/Uploads") -> "2026/10"
+ * @param {string} filePath - The full path to the file
+ * @param {string} rootDir - The root folder
+ * @returns {string} Relative folder path ('' for files directly in rootDir or outside it)
+ */
+function getRelativeDir(filePath, rootDir) {
+  if (!isPathInside(filePath, rootDir)) {
+    return '';
+  }
+
+  const relativeDir = path.dirname(path.relative(rootDir, filePath));
+  return relativeDir === '.' ? '' : relativeDir;
+}
+
 /**
  * Generates a timestamp suffix for duplicate filenames
  * Format: YYYYMMDD-HHMMSS
@@ -88,14 +117,15 @@ function copyAndVerify(sourcePath, destPath) {
 }
 
 /**
- * Moves a file to the Processed directory
+ * Moves a file into a destination directory (Processed, Failed, ...)
  * Handles name collisions, cross-device moves, and common error scenarios
  * @param {string} filePath - The source file path to move
- * @param {string} processedDir - The destination Processed directory path
+ * @param {string} destDir - The destination directory path
+ * @param {string} folderLabel - Folder name used in error messages (e.g. "Processed")
  * @returns {string} The final destination path where the file was moved
  * @throws {Error} If the move operation fails
  */
-function moveToProcessed(filePath, processedDir) {
+function moveToFolder(filePath, destDir, folderLabel) {
   try {
     // Verify source file exists
     if (!fs.existsSync(filePath)) {
@@ -109,8 +139,13 @@ function moveToProcessed(filePath, processedDir) {
       throw new Error('No read permission for source file');
     }
 
+    // Make sure the destination exists
+    if (!fs.existsSync(destDir)) {
+      fs.mkdirSync(destDir, { recursive: true });
+    }
+
     const fileName = path.basename(filePath);
-    let destPath = path.join(processedDir, fileName);
+    let destPath = path.join(destDir, fileName);
 
     // Handle name collision - append timestamp if file exists
     destPath = getUniqueDestPath(destPath);
@@ -142,7 +177,7 @@ function moveToProcessed(filePath, processedDir) {
       }
 
       if (renameError.code === 'EACCES') {
-        throw new Error('Permission denied - cannot write to Processed directory');
+        throw new Error(`Permission denied - cannot write to ${folderLabel} directory`);
       }
 
       // Re-throw unexpected errors
@@ -158,11 +193,80 @@ function moveToProcessed(filePath, processedDir) {
         error.message.startsWith('File copied')) {
       throw error;
     }
-    throw new Error(`Failed to move file to Processed: ${error.message}`);
+    throw new Error(`Failed to move file to ${folderLabel}: ${error.message}`);
+  }
+}
+
+/**
+ * Moves a file to the Processed directory
+ * @param {string} filePath - The source file path to move
+ * @param {string} processedDir - The destination Processed directory path
+ * @param {string} [relativeDir] - Subfolder to recreate inside Processed (e.g. "2026/10")
+ * @returns {string} The final destination path where the file was moved
+ * @throws {Error} If the move operation fails
+ */
+function moveToProcessed(filePath, processedDir, relativeDir = '') {
+  return moveToFolder(filePath, path.join(processedDir, relativeDir), 'Processed');
+}
+
+/**
+ * Moves a file that failed for good to the Failed directory
+ * @param {string} filePath - The source file path to move
+ * @param {string} failedDir - The destination Failed directory path
+ * @param {string} [relativeDir] - Subfolder to recreate inside Failed (e.g. "2026/10")
+ * @returns {string} The final destination path where the file was moved
+ * @throws {Error} If the move operation fails
+ */
+function moveToFailed(filePath, failedDir, relativeDir = '') {
+  return moveToFolder(filePath, path.join(failedDir, relativeDir), 'Failed');
+}
+
+/**
+ * Moves a file that belongs to another file (e.g. its sidecar) next to where that file was moved
+ * The companion keeps its suffix, so standup.mp4.json follows standup.mp4 even if the
+ * recording was renamed to avoid a name collision
+ * @param {string} companionPath - The companion file, e.g. ".../standup.mp4.json"
+ * @param {string} filePath - Original path of the file it belongs to, e.g. ".../standup.mp4"
+ * @param {string} destPath - Where that file was moved
+ * @returns {string} The companion's new path
+ * @throws {Error} If the move fails
+ */
+function moveCompanionFile(companionPath, filePath, destPath) {
+  const companionDest = getUniqueDestPath(`${destPath}${companionPath.slice(filePath.length)}`);
+
+  try {
+    fs.renameSync(companionPath, companionDest);
+  } catch (renameError) {
+    if (renameError.code !== 'EXDEV') {
+      throw new Error(`Move failed: ${renameError.message}`);
+    }
+    copyAndVerify(companionPath, companionDest);
+    fs.unlinkSync(companionPath);
   }
+
+  return companionDest;
+}
+
+/**
+ * Writes a JSON failure report next to a quarantined file
+ * @param {string} destPath - Path of the quarantined file
+ * @param {Object} report - Report contents (attempts, errors, ...)
+ * @returns {string} Path of the report file
+ */
+function writeFailureReport(destPath, report) {
+  const reportPath = `${destPath}.failure.json`;
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+  return reportPath;
 }
 
 module.exports = {
+  isPathInside,
+  getRelativeDir,
+  getTimestampSuffix,
+  getUniqueDestPath,
   ensureProcessedDir,
-  moveToProcessed
+  moveToProcessed,
+  moveToFailed,
+  moveCompanionFile,
+  writeFailureReport
 };
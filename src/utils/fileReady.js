@@ -4,6 +4,7 @@
  */
 
 const fs = require('fs');
+const { ERROR_CODES, createError } = require('./errors');
 
 /**
  * Waits for a file to reach a stable size before considering it ready
@@ -15,7 +16,7 @@ const fs = require('fs');
  * @param {number} options.stableChecks - Number of consecutive unchanged checks required (default: 2)
  * @param {number} options.timeoutMs - Maximum time to wait in milliseconds (default: 30000)
  * @returns {Promise<void>} Resolves when file is stable
- * @throws {Error} If file is deleted, becomes inaccessible, or timeout is reached
+ * @throws {Error} If file is deleted (code FILE_MISSING), becomes inaccessible, or timeout is reached
  */
 async function waitForStableFile(filePath, options = {}) {
   const {
@@ -41,7 +42,7 @@ async function waitForStableFile(filePath, options = {}) {
         // Check if file still exists
         if (!fs.existsSync(filePath)) {
           clearInterval(checkInterval);
-          reject(new Error('File was deleted while waiting for it to stabilize'));
+          reject(createError(ERROR_CODES.FILE_MISSING, 'File was deleted while waiting for it to stabilize'));
           return;
         }
 
@@ -60,7 +61,11 @@ async function waitForStableFile(filePath, options = {}) {
           }
           // Other errors should stop the process
           clearInterval(checkInterval);
-          reject(new Error(`Failed to access file: ${error.message}`));
+          if (error.code === 'ENOENT') {
+            reject(createError(ERROR_CODES.FILE_MISSING, 'File was deleted while waiting for it to stabilize'));
+          } else {
+            reject(new Error(`Failed to access file: ${error.message}`));
+          }
           return;
         }
 
@@ -0,0 +1,205 @@
+/**
+ * Filename template utilities
+ * Reads the meeting date, time, title and client out of a recording's file name, e.g.
+ * 2026-10-19_1400_Acme-Weekly.m4a with the template {date}_{time}_{title}.
+ * A template is either placeholder syntax ({date}_{time}_{title}) or a regular expression
+ * written as /.../flags with named groups (date, time, title, client).
+ */
+
+// Fields a template can extract
+const TEMPLATE_FIELDS = ['date', 'time', 'title', 'client'];
+
+// What each placeholder matches in placeholder syntax
+const PLACEHOLDER_PATTERNS = {
+  date: '\\d{4}[-._]?\\d{2}[-._]?\\d{2}',
+  time: '\\d{2}[-.:h]?\\d{2}',
+  title: '.+?',
+  client: '.+?'
+};
+
+/**
+ * Escapes text for use as a literal in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles one filename template
+ * Placeholder templates must match the whole file name (without extension);
+ * regular expressions match wherever they match, so anchor them with ^ and $ if needed.
+ *
+ * @param {string} template - The template as configured
+ * @param {string} label - Where the template comes from (for error messages)
+ * @returns {{source: string, regex: RegExp}} The compiled template
+ * @throws {Error} Naming the template if it is invalid or extracts no known field
+ */
+function compileTemplate(template, label) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new Error(`${label} must be a non-empty string`);
+  }
+
+  const source = template.trim();
+  const regexLiteral = source.match(/^\/(.+)\/([a-z]*)$/s);
+  let regex;
+
+  if (regexLiteral) {
+    if (/[gy]/.test(regexLiteral[2])) {
+      throw new Error(`${label} "${source}" can't use the g or y flag`);
+    }
+    try {
+      regex = new RegExp(regexLiteral[1], regexLiteral[2]);
+    } catch (error) {
+      throw new Error(`${label} "${source}" is not a valid regular expression: ${error.message}`);
+    }
+
+    const groups = Array.from(regexLiteral[1].matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g), match => match[1]);
+    const unknown = groups.filter(group => !TEMPLATE_FIELDS.includes(group));
+    if (unknown.length > 0) {
+      throw new Error(`${label} "${source}" has unknown group(s): ${unknown.join(', ')}. Expected: ${TEMPLATE_FIELDS.join(', ')}`);
+    }
+    if (groups.length === 0) {
+      throw new Error(`${label} "${source}" has no named groups. Use e.g. (?<title>...) with: ${TEMPLATE_FIELDS.join(', ')}`);
+    }
+  } else {
+    const seen = new Set();
+    let pattern = '';
+    let rest = source;
+
+    while (rest.length > 0) {
+      const placeholder = rest.match(/^\{([^}]*)\}/);
+      if (!placeholder) {
+        const literalEnd = rest.indexOf('{', 1);
+        const literal = literalEnd === -1 ? rest : rest.slice(0, literalEnd);
+        pattern += escapeRegExp(literal);
+        rest = rest.slice(literal.length);
+        continue;
+      }
+
+      const field = placeholder[1];
+      if (!TEMPLATE_FIELDS.includes(field)) {
+        throw new Error(`${label} "${source}" has unknown placeholder {${field}}. Expected: ${TEMPLATE_FIELDS.map(f => `{${f}}`).join(', ')}`);
+      }
+      if (seen.has(field)) {
+        throw new Error(`${label} "${source}" uses {${field}} more than once`);
+      }
+      seen.add(field);
+      pattern += `(?<${field}>${PLACEHOLDER_PATTERNS[field]})`;
+      rest = rest.slice(placeholder[0].length);
+    }
+
+    if (seen.size === 0) {
+      throw new Error(`${label} "${source}" has no placeholders. Use: ${TEMPLATE_FIELDS.map(f => `{${f}}`).join(', ')}`);
+    }
+    regex = new RegExp(`^${pattern}$`, 'i');
+  }
+
+  return { source, regex };
+}
+
+/**
+ * Compiles a list of filename templates
+ * @param {string|string[]} templates - Templates as configured (a single string is one template)
+ * @param {string} label - Where the templates come from (for error messages)
+ * @returns {{source: string, regex: RegExp}[]} The compiled templates, in order
+ * @throws {Error} If any template is invalid
+ */
+function compileTemplates(templates, label) {
+  const list = Array.isArray(templates) ? templates : [templates];
+  return list.map((template, index) => compileTemplate(template, `${label} #${index + 1}`));
+}
+
+/**
+ * Normalizes a matched date to YYYY-MM-DD
+ * @param {string} value - Matched text, e.g. 2026-10-19 or 20261019
+ * @returns {string|null} The date, or null if it isn't a real calendar date
+ */
+function normalizeDate(value) {
+  const match = value.match(/^(\d{4})[-._]?(\d{2})[-._]?(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Normalizes a matched time to HH:MM
+ * @param {string} value - Matched text, e.g. 1400, 14-00 or 14h00
+ * @returns {string|null} The time, or null if it isn't a valid time of day
+ */
+function normalizeTime(value) {
+  const match = value.match(/^(\d{1,2})[-.:h]?(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Turns a matched name into readable text: Acme-Weekly -> Acme Weekly
+ * @param {string} value - Matched text
+ * @returns {string|undefined} The text, or undefined if nothing is left
+ */
+function normalizeText(value) {
+  const text = value.replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return text || undefined;
+}
+
+/**
+ * Reads the meeting details out of a file name using the first template that matches
+ * A template whose date or time isn't valid (e.g. month 13) doesn't match.
+ *
+ * @param {string} fileName - File name without extension
+ * @param {{source: string, regex: RegExp}[]} templates - Compiled templates (see compileTemplates)
+ * @returns {{template: string, date?: string, time?: string, title?: string, client?: string}|null}
+ *   The extracted fields, or null if no template matches
+ */
+function parseFilename(fileName, templates) {
+  for (const { source, regex } of templates || []) {
+    const match = fileName.match(regex);
+    if (!match || !match.groups) {
+      continue;
+    }
+
+    const { date, time, title, client } = match.groups;
+    const info = { template: source };
+
+    if (date) {
+      info.date = normalizeDate(date);
+      if (!info.date) {
+        continue;
+      }
+    }
+    if (time) {
+      info.time = normalizeTime(time);
+      if (!info.time) {
+        continue;
+      }
+    }
+    if (title) {
+      info.title = normalizeText(title);
+    }
+    if (client) {
+      info.client = normalizeText(client);
+    }
+
+    return info;
+  }
+
+  return null;
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  compileTemplates,
+  parseFilename
+};
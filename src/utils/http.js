@@ -0,0 +1,91 @@
+/**
+ * HTTP utilities
+ * A small promise wrapper around Node's http/https clients for the uploads that don't go
+ * through the browser (direct Grain uploads, S3 and WebDAV destinations)
+ */
+
+const http = require('http');
+const https = require('https');
+const { ERROR_CODES, createError } = require('./errors');
+
+// A request that sends or receives nothing for this long is abandoned
+const REQUEST_TIMEOUT_MS = 120000;
+
+// Response bodies are only read for error details - anything beyond this is dropped
+const MAX_RESPONSE_BODY_BYTES = 64 * 1024;
+
+// Statuses that mean the destination refuses the upload: wrong credentials, no permission,
+// missing bucket or collection, file too large, storage full
+const REJECTED_STATUSES = [401, 403, 404, 409, 413, 507];
+
+/**
+ * Sends one HTTP request
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {ReadableStream|string|Buffer} [options.body] - Request body
+ * @param {number} [options.timeoutMs] - Inactivity timeout (default: 2 minutes)
+ * @returns {Promise<{status: number, headers: Object, body: string}>} The response
+ *   (body truncated to 64 KB)
+ * @throws {Error} On network errors and timeouts
+ */
+function sendRequest(url, { method = 'GET', headers = {}, body, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const request = client.request(target, { method, headers, timeout: timeoutMs }, (response) => {
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        if (received < MAX_RESPONSE_BODY_BYTES) {
+          chunks.push(chunk);
+        }
+        received += chunk.length;
+      });
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks).toString('utf8').slice(0, MAX_RESPONSE_BODY_BYTES)
+      }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No response within ${timeoutMs / 1000}s`)));
+    request.on('error', reject);
+
+    if (body && typeof body.pipe === 'function') {
+      body.on('error', (error) => request.destroy(error));
+      body.pipe(request);
+    } else {
+      request.end(body);
+    }
+  });
+}
+
+/**
+ * Creates the error for an unexpected response
+ * Statuses that another attempt won't fix carry the DESTINATION_REJECTED code.
+ *
+ * @param {string} action - What was being done, e.g. "Upload to s3://recordings/standup.mp4"
+ * @param {{status: number, body: string}} response - The response
+ * @returns {Error} Error naming the status and the server's explanation, if it gave one
+ */
+function createHttpError(action, response) {
+  // S3 and most WebDAV servers explain errors in an XML <Message> (or at least a <Code>)
+  const xmlDetail = response.body.match(/<Message>([^<]*)<\/Message>/) || response.body.match(/<Code>([^<]*)<\/Code>/);
+  const detail = xmlDetail
+    ? xmlDetail[1]
+    : response.body.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200);
+  const message = `${action} failed (HTTP ${response.status}${detail ? `: ${detail}` : ''})`;
+
+  return REJECTED_STATUSES.includes(response.status)
+    ? createError(ERROR_CODES.DESTINATION_REJECTED, message)
+    : new Error(message);
+}
+
+module.exports = {
+  sendRequest,
+  createHttpError
+};
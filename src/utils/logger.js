@@ -3,13 +3,28 @@
  * Formats log messages with ISO timestamp prefix
  */
 
+// Functions that also receive every line, e.g. a diagnostics bundle recording a job's log
+const listeners = new Set();
+
+/**
+ * Passes a line to the listeners
+ * @param {string} line - The formatted line
+ */
+function notify(line) {
+  for (const listener of listeners) {
+    listener(line);
+  }
+}
+
 /**
  * Logs a message with a timestamp prefix
  * @param {string} message - The message to log
  */
 function log(message) {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
+  const line = `[${timestamp}] ${message}`;
+  console.log(line);
+  notify(line);
 }
 
 /**
@@ -18,10 +33,23 @@ function log(message) {
  */
 function error(message) {
   const timestamp = new Date().toISOString();
-  console.error(`[${timestamp}] ERROR: ${message}`);
+  const line = `[${timestamp}] ERROR: ${message}`;
+  console.error(line);
+  notify(line);
+}
+
+/**
+ * Sends every following log line to a listener as well
+ * @param {function(string): void} listener - Called with each formatted line
+ * @returns {function(): void} Removes the listener again
+ */
+function addListener(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
 }
 
 module.exports = {
   log,
-  error
+  error,
+  addListener
 };
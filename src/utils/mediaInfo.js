@@ -0,0 +1,788 @@
+/**
+ * Media inspection utilities
+ * Reads a recording's container headers (MP4/MOV/M4A boxes, WAV RIFF chunks, MP3 frames)
+ * to check that it is well-formed and to find its duration, codecs, channels and creation
+ * time. Nothing is decoded, and only the headers are read, never the whole file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ERROR_CODES, createError } = require('./errors');
+const { formatBytes, formatDuration } = require('./progress');
+
+// Seconds between the MP4/QuickTime epoch (1904-01-01) and the Unix epoch
+const MP4_EPOCH_OFFSET = 2082844800;
+
+// Largest moov box read into memory (its sample tables are a few MB even for hours of video)
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+// Top-level MP4 boxes a file may start with
+const MP4_FIRST_BOXES = ['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'pnot', 'uuid'];
+
+// How far past the ID3 tag to look for the first MP3 frame
+const MP3_SYNC_SEARCH_BYTES = 64 * 1024;
+
+// Longest possible MP3 frame
+const MAX_MP3_FRAME_BYTES = 2881;
+
+// Largest ID3 tag read for the title, artist and date (cover art makes tags big)
+const MAX_ID3_BYTES = 1024 * 1024;
+
+// Codec names by MP4 sample entry type
+const MP4_CODECS = {
+  avc1: 'H.264',
+  avc3: 'H.264',
+  hvc1: 'HEVC',
+  hev1: 'HEVC',
+  av01: 'AV1',
+  vp09: 'VP9',
+  mp4v: 'MPEG-4 Visual',
+  apch: 'ProRes 422 HQ',
+  apcn: 'ProRes 422',
+  apcs: 'ProRes 422 LT',
+  apco: 'ProRes 422 Proxy',
+  ap4h: 'ProRes 4444',
+  jpeg: 'Motion JPEG',
+  mp4a: 'AAC',
+  alac: 'ALAC',
+  'ac-3': 'AC-3',
+  'ec-3': 'E-AC-3',
+  Opus: 'Opus',
+  fLaC: 'FLAC',
+  '.mp3': 'MP3',
+  lpcm: 'PCM',
+  sowt: 'PCM',
+  twos: 'PCM',
+  in24: 'PCM',
+  fl32: 'PCM float',
+  ulaw: 'µ-law',
+  alaw: 'A-law'
+};
+
+// Codec names by WAV format tag
+const WAV_CODECS = {
+  0x0001: 'PCM',
+  0x0002: 'MS ADPCM',
+  0x0003: 'PCM float',
+  0x0006: 'A-law',
+  0x0007: 'µ-law',
+  0x0011: 'IMA ADPCM',
+  0x0055: 'MP3'
+};
+
+// WAVE_FORMAT_EXTENSIBLE: the real format tag is in the first bytes of the sub-format GUID
+const WAV_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// MP3 bitrates in kbps by bitrate index, per MPEG version (1, or 2/2.5) and layer
+const MP3_BITRATES = {
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// MP3 sample rates by sample rate index, per MPEG version bits (3: MPEG 1, 2: MPEG 2, 0: MPEG 2.5)
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  0: [11025, 12000, 8000]
+};
+
+/**
+ * Creates the error for a file that isn't a well-formed recording
+ * @param {string} reason - What is wrong with it
+ * @returns {Error} Error with code MEDIA_REJECTED
+ */
+function rejected(reason) {
+  return createError(ERROR_CODES.MEDIA_REJECTED, reason);
+}
+
+/**
+ * Reads part of a file
+ * @param {FileHandle} handle - Open file
+ * @param {number} position - Where to start reading
+ * @param {number} length - How many bytes to read
+ * @returns {Promise<Buffer>} The bytes (fewer than asked for at the end of the file)
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Converts a date string to an ISO timestamp
+ * @param {string} [value] - Date in any format Date understands
+ * @returns {string|null} ISO timestamp, or null if it isn't a full date
+ */
+function toIsoDate(value) {
+  if (!value || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Lists the boxes inside an MP4 box that has been read into memory
+ * @param {Buffer} buffer - Buffer holding the boxes
+ * @param {number} [start=0] - Offset of the first box
+ * @param {number} [end=buffer.length] - Offset where the boxes end
+ * @returns {Array<{type: string, start: number, end: number}>} Each box's type and payload range
+ * @throws {Error} MEDIA_REJECTED if a box runs past its parent
+ */
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let position = start;
+
+  while (position + 8 <= end) {
+    let size = buffer.readUInt32BE(position);
+    const type = buffer.toString('latin1', position + 4, position + 8);
+    let headerSize = 8;
+
+    if (size === 1 && position + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(position + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+
+    if (size < headerSize || position + size > end) {
+      throw rejected(`Corrupt movie header: the ${type} box runs past its parent box`);
+    }
+
+    boxes.push({ type, start: position + headerSize, end: position + size });
+    position += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Finds a box by its path below a parent box
+ * @param {Buffer} buffer - Buffer holding the boxes
+ * @param {{start: number, end: number}} parent - The parent box
+ * @param {string[]} types - Box types to descend through, e.g. ['mdia', 'minf', 'stbl']
+ * @returns {{type: string, start: number, end: number}|undefined} The box
+ */
+function findBox(buffer, parent, types) {
+  let box = parent;
+  for (const type of types) {
+    box = readBoxes(buffer, box.start, box.end).find(child => child.type === type);
+    if (!box) {
+      return undefined;
+    }
+  }
+  return box;
+}
+
+/**
+ * Reads the movie header (mvhd): creation time and duration
+ * @param {Buffer} buffer - The moov box
+ * @param {{start: number, end: number}} box - The mvhd box
+ * @returns {{createdAt: string|null, timescale: number, duration: number|null}} Movie header fields
+ */
+function parseMvhd(buffer, box) {
+  const version = buffer[box.start];
+  const p = box.start + 4;
+  if (box.end - p < (version === 1 ? 28 : 16)) {
+    throw rejected('Corrupt movie header: the mvhd box is too short');
+  }
+
+  const created = version === 1 ? Number(buffer.readBigUInt64BE(p)) : buffer.readUInt32BE(p);
+  const timescale = buffer.readUInt32BE(p + (version === 1 ? 16 : 8));
+  const duration = version === 1 ? Number(buffer.readBigUInt64BE(p + 20)) : buffer.readUInt32BE(p + 12);
+
+  return {
+    // 0 means "not set"; some recorders also write Unix time here, which lands before 1970
+    createdAt: created > MP4_EPOCH_OFFSET ? new Date((created - MP4_EPOCH_OFFSET) * 1000).toISOString() : null,
+    timescale,
+    // All ones means "unknown" (e.g. a fragmented file, see parseMehd)
+    duration: duration === 0xFFFFFFFF || duration === 0 ? null : duration
+  };
+}
+
+/**
+ * Reads the duration of a fragmented MP4 from its movie extends header (mvex/mehd)
+ * @param {Buffer} buffer - The moov box
+ * @param {{start: number, end: number}} moov - The moov payload range
+ * @returns {number|null} Duration in movie timescale units
+ */
+function parseMehd(buffer, moov) {
+  const mehd = findBox(buffer, moov, ['mvex', 'mehd']);
+  if (!mehd || mehd.end - mehd.start < 8) {
+    return null;
+  }
+  const version = buffer[mehd.start];
+  return version === 1 && mehd.end - mehd.start >= 12
+    ? Number(buffer.readBigUInt64BE(mehd.start + 4))
+    : buffer.readUInt32BE(mehd.start + 4);
+}
+
+/**
+ * Reads a track's kind and codec from its media handler (hdlr) and sample description (stsd)
+ * @param {Buffer} buffer - The moov box
+ * @param {{start: number, end: number}} trak - The trak box
+ * @returns {{kind: string, codec: string, width?: number, height?: number,
+ *   channels?: number, sampleRate?: number}|null} The track, or null if it's neither audio nor video
+ */
+function parseTrack(buffer, trak) {
+  const hdlr = findBox(buffer, trak, ['mdia', 'hdlr']);
+  const stsd = findBox(buffer, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+  if (!hdlr || !stsd || hdlr.end - hdlr.start < 12 || stsd.end - stsd.start < 16) {
+    return null;
+  }
+
+  const handler = buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+  // First sample entry: size, type, 6 reserved bytes, data reference index, then the audio/video fields
+  const entry = stsd.start + 8;
+  const format = buffer.toString('latin1', entry + 4, entry + 8);
+  const codec = MP4_CODECS[format] || format.trim();
+
+  if (handler === 'vide' && entry + 36 <= stsd.end) {
+    return {
+      kind: 'video',
+      codec,
+      width: buffer.readUInt16BE(entry + 32),
+      height: buffer.readUInt16BE(entry + 34)
+    };
+  }
+
+  if (handler === 'soun' && entry + 36 <= stsd.end) {
+    // QuickTime sound description version 2 moves the channels and rate further down
+    const version = buffer.readUInt16BE(entry + 16);
+    if (version === 2 && entry + 52 <= stsd.end) {
+      return {
+        kind: 'audio',
+        codec,
+        channels: buffer.readUInt32BE(entry + 48),
+        sampleRate: Math.round(buffer.readDoubleBE(entry + 40))
+      };
+    }
+    return {
+      kind: 'audio',
+      codec,
+      channels: buffer.readUInt16BE(entry + 24),
+      sampleRate: buffer.readUInt32BE(entry + 32) >>> 16
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Reads the iTunes-style metadata (meta/ilst) of an M4A/MP4/MOV: title, artist, date, and
+ * the QuickTime creation date that iPhones and many cameras write as a keyed item
+ * @param {Buffer} buffer - The moov box
+ * @param {{start: number, end: number}} parent - The box holding the meta box (moov or udta)
+ * @returns {{title?: string, artist?: string, date?: string, creationDate?: string}} Found tags
+ */
+function parseMetadata(buffer, parent) {
+  const tags = {};
+  const meta = readBoxes(buffer, parent.start, parent.end).find(box => box.type === 'meta');
+  if (!meta) {
+    return tags;
+  }
+
+  // The MP4 meta box starts with version/flags, the QuickTime one doesn't
+  const start = buffer.toString('latin1', meta.start + 4, meta.start + 8) === 'hdlr' ? meta.start : meta.start + 4;
+  const children = readBoxes(buffer, start, meta.end);
+  const ilst = children.find(box => box.type === 'ilst');
+  if (!ilst) {
+    return tags;
+  }
+
+  // Keyed items (QuickTime "mdta" metadata) are numbered by their position in the keys box
+  const keys = [];
+  const keysBox = children.find(box => box.type === 'keys');
+  if (keysBox) {
+    for (const key of readBoxes(buffer, keysBox.start + 8, keysBox.end)) {
+      keys.push(buffer.toString('utf8', key.start, key.end));
+    }
+  }
+
+  const names = {
+    '©nam': 'title',
+    '©ART': 'artist',
+    '©day': 'date',
+    'com.apple.quicktime.title': 'title',
+    'com.apple.quicktime.artist': 'artist',
+    'com.apple.quicktime.creationdate': 'creationDate'
+  };
+
+  for (const item of readBoxes(buffer, ilst.start, ilst.end)) {
+    const key = keysBox ? keys[buffer.readUInt32BE(item.start - 4) - 1] : buffer.toString('latin1', item.start - 4, item.start);
+    const name = names[key];
+    const data = name && readBoxes(buffer, item.start, item.end).find(box => box.type === 'data');
+    // data payload: type indicator (1 = UTF-8 text), locale, then the value
+    if (data && data.end - data.start > 8 && buffer.readUInt32BE(data.start) === 1) {
+      tags[name] = buffer.toString('utf8', data.start + 8, data.end).trim();
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Inspects an MP4, MOV or M4A file
+ * @param {FileHandle} handle - Open file
+ * @param {number} size - File size in bytes
+ * @param {string} extension - File extension (tells an audio-only MP4 from an M4A without a brand)
+ * @returns {Promise<Object>} Media info (see readMediaInfo)
+ * @throws {Error} MEDIA_REJECTED if the file is not a complete MP4/MOV/M4A
+ */
+async function inspectMp4(handle, size, extension) {
+  const topLevel = [];
+  let position = 0;
+
+  while (position < size) {
+    const header = await readAt(handle, position, 16);
+    const type = header.length >= 8 ? header.toString('latin1', 4, 8) : '';
+    if (topLevel.length === 0 && !MP4_FIRST_BOXES.includes(type)) {
+      throw rejected('Not an MP4/MOV/M4A file: it doesn\'t start with an ftyp, moov or mdat box');
+    }
+    if (header.length < 8) {
+      throw rejected(`File is truncated: it ends inside a box header (at byte ${position})`);
+    }
+
+    let boxSize = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (boxSize === 1 && header.length === 16) {
+      boxSize = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      boxSize = size - position;
+    }
+
+    if (boxSize < headerSize) {
+      throw rejected(`Corrupt file: the ${type} box at byte ${position} has an invalid size`);
+    }
+    if (position + boxSize > size) {
+      throw rejected(`File is truncated: its ${type} box ends ${formatBytes(position + boxSize - size)} ` +
+                     'past the end of the file');
+    }
+
+    topLevel.push({ type, start: position + headerSize, end: position + boxSize });
+    position += boxSize;
+  }
+
+  const moovBox = topLevel.find(box => box.type === 'moov');
+  if (!moovBox) {
+    throw rejected('No movie header (moov box): the recording was not finalized');
+  }
+  if (!topLevel.some(box => box.type === 'mdat')) {
+    throw rejected('No media data (mdat box)');
+  }
+  if (moovBox.end - moovBox.start > MAX_MOOV_BYTES) {
+    throw rejected(`Movie header (moov box) is implausibly large (${formatBytes(moovBox.end - moovBox.start)})`);
+  }
+
+  const buffer = await readAt(handle, moovBox.start, moovBox.end - moovBox.start);
+  const moov = { start: 0, end: buffer.length };
+  const boxes = readBoxes(buffer);
+
+  const mvhdBox = boxes.find(box => box.type === 'mvhd');
+  if (!mvhdBox) {
+    throw rejected('Corrupt movie header: no mvhd box');
+  }
+  const mvhd = parseMvhd(buffer, mvhdBox);
+  const units = mvhd.duration || parseMehd(buffer, moov);
+
+  const tracks = boxes
+    .filter(box => box.type === 'trak')
+    .map(trak => parseTrack(buffer, trak))
+    .filter(Boolean);
+  const video = tracks.find(track => track.kind === 'video');
+  const audio = tracks.find(track => track.kind === 'audio');
+  if (!video && !audio) {
+    throw rejected('No audio or video track');
+  }
+
+  const udta = boxes.find(box => box.type === 'udta');
+  const { creationDate, ...tags } = {
+    ...(udta ? parseMetadata(buffer, udta) : {}),
+    ...parseMetadata(buffer, moov)
+  };
+
+  const ftyp = topLevel.find(box => box.type === 'ftyp');
+  const brand = ftyp ? (await readAt(handle, ftyp.start, 4)).toString('latin1') : null;
+  let format = 'MP4';
+  if (!ftyp || brand === 'qt  ') {
+    format = 'MOV';
+  } else if (brand.startsWith('M4A') || brand.startsWith('M4B') || (!video && extension === '.m4a')) {
+    format = 'M4A';
+  }
+
+  return {
+    format,
+    duration: units && mvhd.timescale ? units / mvhd.timescale : null,
+    createdAt: toIsoDate(creationDate) || mvhd.createdAt,
+    video: video ? { codec: video.codec, width: video.width, height: video.height } : null,
+    audio: audio ? { codec: audio.codec, channels: audio.channels, sampleRate: audio.sampleRate } : null,
+    tags
+  };
+}
+
+/**
+ * Reads the recording date of a Broadcast WAV (bext chunk) or a WAV with a LIST/INFO ICRD entry
+ * @param {string} id - Chunk id
+ * @param {Buffer} chunk - Chunk payload (at least the part holding the date)
+ * @returns {string|null} ISO timestamp, or null if the chunk has none
+ */
+function parseWavDate(id, chunk) {
+  if (id === 'bext' && chunk.length >= 338) {
+    // OriginationDate "yyyy-mm-dd" and OriginationTime "hh:mm:ss" (any separators), local time
+    const date = chunk.toString('latin1', 320, 330).replace(/[^0-9]/g, '');
+    const time = chunk.toString('latin1', 330, 338).replace(/[^0-9]/g, '');
+    if (date.length === 8 && time.length === 6) {
+      return toIsoDate(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}T` +
+                       `${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}`);
+    }
+  }
+
+  if (id === 'LIST' && chunk.toString('latin1', 0, 4) === 'INFO') {
+    let position = 4;
+    while (position + 8 <= chunk.length) {
+      const subId = chunk.toString('latin1', position, position + 4);
+      const subSize = chunk.readUInt32LE(position + 4);
+      if (subId === 'ICRD') {
+        return toIsoDate(chunk.toString('latin1', position + 8, position + 8 + subSize).replace(/\0+$/, ''));
+      }
+      position += 8 + subSize + (subSize % 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Inspects a WAV file (RIFF, or RF64 for recordings over 4 GB)
+ * @param {FileHandle} handle - Open file
+ * @param {number} size - File size in bytes
+ * @returns {Promise<Object>} Media info (see readMediaInfo)
+ * @throws {Error} MEDIA_REJECTED if the file is not a complete WAV
+ */
+async function inspectWav(handle, size) {
+  const header = await readAt(handle, 0, 12);
+  const riff = header.toString('latin1', 0, 4);
+  if (header.length < 12 || !['RIFF', 'RF64'].includes(riff) || header.toString('latin1', 8, 12) !== 'WAVE') {
+    throw rejected('Not a WAV file: no RIFF/WAVE header');
+  }
+
+  let fmt = null;
+  let dataSize = null;
+  let ds64DataSize = null;
+  let createdAt = null;
+  let position = 12;
+
+  while (position + 8 <= size) {
+    const chunkHeader = await readAt(handle, position, 8);
+    const id = chunkHeader.toString('latin1', 0, 4);
+    let chunkSize = chunkHeader.readUInt32LE(4);
+    const start = position + 8;
+
+    if (id === 'ds64') {
+      const chunk = await readAt(handle, start, 16);
+      if (chunk.length === 16) {
+        ds64DataSize = Number(chunk.readBigUInt64LE(8));
+      }
+    } else if (id === 'fmt ') {
+      const chunk = await readAt(handle, start, Math.min(chunkSize, 40));
+      if (chunk.length < 16) {
+        throw rejected('Corrupt WAV file: the fmt chunk is too short');
+      }
+      let formatTag = chunk.readUInt16LE(0);
+      if (formatTag === WAV_FORMAT_EXTENSIBLE && chunk.length >= 26) {
+        formatTag = chunk.readUInt16LE(24);
+      }
+      fmt = {
+        formatTag,
+        channels: chunk.readUInt16LE(2),
+        sampleRate: chunk.readUInt32LE(4),
+        byteRate: chunk.readUInt32LE(8),
+        bitsPerSample: chunk.readUInt16LE(14)
+      };
+    } else if (id === 'data') {
+      if (riff === 'RF64' && chunkSize === 0xFFFFFFFF && ds64DataSize !== null) {
+        chunkSize = ds64DataSize;
+      }
+      if (chunkSize === 0 && size > start) {
+        throw rejected('WAV file was not finalized: the data chunk size was never written');
+      }
+      if (start + chunkSize > size) {
+        throw rejected(`File is truncated: the data chunk should hold ${formatBytes(chunkSize)}, ` +
+                       `the file only has ${formatBytes(size - start)}`);
+      }
+      dataSize = chunkSize;
+    } else if ((id === 'bext' || id === 'LIST') && !createdAt) {
+      createdAt = parseWavDate(id, await readAt(handle, start, Math.min(chunkSize, 64 * 1024)));
+    }
+
+    // Chunks are padded to an even size
+    position = start + chunkSize + (chunkSize % 2);
+  }
+
+  if (!fmt) {
+    throw rejected('Corrupt WAV file: no fmt chunk');
+  }
+  if (dataSize === null) {
+    throw rejected('Corrupt WAV file: no data chunk');
+  }
+  if (!fmt.byteRate || !fmt.channels) {
+    throw rejected('Corrupt WAV file: the fmt chunk has no channels or byte rate');
+  }
+
+  const codec = WAV_CODECS[fmt.formatTag] || `format 0x${fmt.formatTag.toString(16)}`;
+  return {
+    format: 'WAV',
+    duration: dataSize / fmt.byteRate,
+    createdAt,
+    video: null,
+    audio: {
+      codec: fmt.bitsPerSample && codec.startsWith('PCM') ? `${codec} ${fmt.bitsPerSample}-bit` : codec,
+      channels: fmt.channels,
+      sampleRate: fmt.sampleRate
+    },
+    tags: {}
+  };
+}
+
+/**
+ * Parses an MP3 frame header
+ * @param {Buffer} buffer - Buffer holding the frame
+ * @param {number} offset - Offset of the header
+ * @returns {{version: number, layer: number, bitrate: number, sampleRate: number, channels: number,
+ *   samplesPerFrame: number, length: number}|null} The frame, or null if there is no valid header here
+ */
+function parseMp3Frame(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const version = (buffer[offset + 1] >> 3) & 3;
+  const layer = 4 - ((buffer[offset + 1] >> 1) & 3);
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const rateIndex = (buffer[offset + 2] >> 2) & 3;
+  // Reserved version/layer/rate, and "free" or invalid bitrates
+  if (version === 1 || layer === 4 || rateIndex === 3 || bitrateIndex === 0 || bitrateIndex === 15) {
+    return null;
+  }
+
+  const table = version === 3 ? `V1L${layer}` : `V2L${layer === 1 ? 1 : 2}`;
+  const bitrate = MP3_BITRATES[table][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][rateIndex];
+  const padding = (buffer[offset + 2] >> 1) & 1;
+  const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 3 ? 576 : 1152);
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    channels: (buffer[offset + 3] >> 6) === 3 ? 1 : 2,
+    samplesPerFrame,
+    length
+  };
+}
+
+/**
+ * Decodes an ID3v2 text frame
+ * @param {Buffer} data - Frame payload: encoding byte, then the text
+ * @returns {string} The text
+ */
+function decodeId3Text(data) {
+  const encoding = data[0];
+  let text = data.subarray(1);
+  if (encoding === 1 || encoding === 2) {
+    // UTF-16 with a byte order mark (1) or big-endian without one (2)
+    const bigEndian = encoding === 2 || (text[0] === 0xFE && text[1] === 0xFF);
+    if (encoding === 1) {
+      text = text.subarray(2);
+    }
+    if (bigEndian) {
+      text = Buffer.from(text.subarray(0, text.length - (text.length % 2))).swap16();
+    }
+    return text.toString('utf16le').replace(/\0+$/, '').trim();
+  }
+  return text.toString(encoding === 3 ? 'utf8' : 'latin1').replace(/\0+$/, '').trim();
+}
+
+/**
+ * Reads the title, artist and recording date from an ID3v2.3/2.4 tag
+ * @param {Buffer} tag - The tag, without its 10-byte header
+ * @param {number} majorVersion - ID3v2 major version (3 or 4; others are skipped)
+ * @returns {{title?: string, artist?: string, date?: string}} Found tags
+ */
+function parseId3(tag, majorVersion) {
+  const tags = {};
+  if (majorVersion !== 3 && majorVersion !== 4) {
+    return tags;
+  }
+
+  const names = { TIT2: 'title', TPE1: 'artist', TDRC: 'date', TYER: 'date' };
+  let position = 0;
+
+  while (position + 10 <= tag.length && tag[position] !== 0) {
+    const id = tag.toString('latin1', position, position + 4);
+    // ID3v2.4 frame sizes are "syncsafe": 7 bits per byte
+    const frameSize = majorVersion === 4
+      ? (tag[position + 4] << 21) | (tag[position + 5] << 14) | (tag[position + 6] << 7) | tag[position + 7]
+      : tag.readUInt32BE(position + 4);
+    const data = tag.subarray(position + 10, position + 10 + frameSize);
+
+    if (names[id] && data.length > 1 && !tags[names[id]]) {
+      tags[names[id]] = decodeId3Text(data);
+    }
+    position += 10 + frameSize;
+  }
+
+  return tags;
+}
+
+/**
+ * Inspects an MP3 file
+ * The duration comes from the Xing/Info or VBRI header of variable bitrate files, and from
+ * the bitrate of the first frame otherwise
+ *
+ * @param {FileHandle} handle - Open file
+ * @param {number} size - File size in bytes
+ * @returns {Promise<Object>} Media info (see readMediaInfo)
+ * @throws {Error} MEDIA_REJECTED if no MPEG audio frames are found
+ */
+async function inspectMp3(handle, size) {
+  let audioStart = 0;
+  let tags = {};
+
+  const id3 = await readAt(handle, 0, 10);
+  if (id3.length === 10 && id3.toString('latin1', 0, 3) === 'ID3') {
+    const tagSize = (id3[6] << 21) | (id3[7] << 14) | (id3[8] << 7) | id3[9];
+    audioStart = 10 + tagSize + (id3[5] & 0x10 ? 10 : 0);
+    tags = parseId3(await readAt(handle, 10, Math.min(tagSize, MAX_ID3_BYTES)), id3[3]);
+  }
+  if (audioStart >= size) {
+    throw rejected('No audio: the file ends after its ID3 tag');
+  }
+
+  // Find a frame header followed by another one, so a stray 0xFFE doesn't count as audio
+  const buffer = await readAt(handle, audioStart, MP3_SYNC_SEARCH_BYTES + 2 * MAX_MP3_FRAME_BYTES);
+  let offset = -1;
+  let frame = null;
+  for (let i = 0; i < Math.min(buffer.length, MP3_SYNC_SEARCH_BYTES); i++) {
+    const candidate = parseMp3Frame(buffer, i);
+    if (candidate && parseMp3Frame(buffer, i + candidate.length)) {
+      offset = i;
+      frame = candidate;
+      break;
+    }
+  }
+  if (!frame) {
+    throw rejected('Not an MP3 file: no MPEG audio frames found');
+  }
+
+  // Xing/Info headers sit after the side information of the first frame, VBRI at a fixed offset
+  const sideInfo = frame.version === 3 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  const vbri = offset + 36;
+  let frameCount = null;
+  if (buffer.length >= xing + 12 && ['Xing', 'Info'].includes(buffer.toString('latin1', xing, xing + 4)) &&
+      (buffer.readUInt32BE(xing + 4) & 1)) {
+    frameCount = buffer.readUInt32BE(xing + 8);
+  } else if (buffer.length >= vbri + 18 && buffer.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+    frameCount = buffer.readUInt32BE(vbri + 14);
+  }
+
+  let duration;
+  if (frameCount) {
+    duration = frameCount * frame.samplesPerFrame / frame.sampleRate;
+  } else {
+    const id3v1 = size >= 128 && (await readAt(handle, size - 128, 3)).toString('latin1') === 'TAG' ? 128 : 0;
+    duration = (size - audioStart - offset - id3v1) * 8 / frame.bitrate;
+  }
+
+  return {
+    format: 'MP3',
+    duration,
+    createdAt: toIsoDate(tags.date),
+    video: null,
+    audio: {
+      codec: frame.layer === 3 ? 'MP3' : `MPEG layer ${frame.layer}`,
+      channels: frame.channels,
+      sampleRate: frame.sampleRate
+    },
+    tags
+  };
+}
+
+// Inspector per file extension
+const INSPECTORS = {
+  '.mp4': inspectMp4,
+  '.m4v': inspectMp4,
+  '.mov': inspectMp4,
+  '.m4a': inspectMp4,
+  '.wav': inspectWav,
+  '.mp3': inspectMp3
+};
+
+/**
+ * Reads a recording's media info from its container headers
+ * @param {string} filePath - The recording
+ * @returns {Promise<{format: string, size: number, duration: number|null, createdAt: string|null,
+ *   video: {codec: string, width: number, height: number}|null,
+ *   audio: {codec: string, channels: number, sampleRate: number}|null,
+ *   tags: {title?: string, artist?: string, date?: string}}|null>} Media info (duration in seconds),
+ *   or null if files with this extension can't be inspected
+ * @throws {Error} MEDIA_REJECTED if the file is empty or not a well-formed recording
+ */
+async function readMediaInfo(filePath) {
+  const { size } = await fs.promises.stat(filePath);
+  if (size === 0) {
+    throw rejected('File is empty (0 bytes)');
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  const inspect = INSPECTORS[extension];
+  if (!inspect) {
+    return null;
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    return { ...(await inspect(handle, size, extension)), size };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Describes media info for logs and emails
+ * @param {Object} media - Media info from readMediaInfo
+ * @returns {string} e.g. "MP4, 32m 5s, H.264 1920x1080, AAC stereo 48 kHz"
+ */
+function describeMedia(media) {
+  let duration = 'unknown duration';
+  if (media.duration !== null) {
+    // Tenths of a second matter for the "too short" check
+    duration = media.duration < 60 ? `${media.duration.toFixed(1)}s` : formatDuration(media.duration);
+  }
+  const parts = [media.format, duration];
+
+  if (media.video) {
+    parts.push(`${media.video.codec} ${media.video.width}x${media.video.height}`);
+  }
+  if (media.audio) {
+    const { codec, channels, sampleRate } = media.audio;
+    const layout = channels === 1 ? 'mono' : channels === 2 ? 'stereo' : `${channels} channels`;
+    parts.push(`${codec} ${layout}${sampleRate ? ` ${sampleRate / 1000} kHz` : ''}`);
+  }
+
+  return parts.join(', ');
+}
+
+module.exports = {
+  readMediaInfo,
+  describeMedia
+};
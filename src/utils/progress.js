@@ -0,0 +1,123 @@
+/**
+ * Upload progress utilities
+ * Turns raw "bytes sent so far" readings into percentage, throughput and ETA
+ */
+
+// Throughput is averaged over this window so short stalls and bursts don't swing the ETA
+const THROUGHPUT_WINDOW_MS = 15000;
+
+/**
+ * Formats a byte count for logs and emails
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "1.24 GB"
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${value.toFixed(unit === 0 ? 0 : 2)} ${units[unit]}`;
+}
+
+/**
+ * Formats a duration for logs and emails
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "1h 4m", "5m 12s", "40s"
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m ${secs}s`;
+  }
+  return `${secs}s`;
+}
+
+/**
+ * Creates a progress tracker for one upload
+ * @param {number} totalBytes - Size of the file being uploaded
+ * @returns {{update: function(number): Object, snapshot: function(): Object}} Tracker
+ */
+function createProgressTracker(totalBytes) {
+  const startedAt = Date.now();
+  const samples = [{ time: startedAt, bytes: 0 }];
+  let bytesUploaded = 0;
+  let lastChangeAt = startedAt;
+
+  /**
+   * Returns the current progress
+   * @returns {{bytesUploaded: number, totalBytes: number, percent: number,
+   *   bytesPerSecond: number, etaSeconds: number|null, elapsedSeconds: number, idleSeconds: number}}
+   *   idleSeconds is the time since the byte count last went up
+   */
+  function snapshot() {
+    const now = Date.now();
+    const oldest = samples[0];
+    const windowSeconds = (now - oldest.time) / 1000;
+    const bytesPerSecond = windowSeconds > 0 ? (bytesUploaded - oldest.bytes) / windowSeconds : 0;
+    const remaining = Math.max(0, totalBytes - bytesUploaded);
+
+    return {
+      bytesUploaded,
+      totalBytes,
+      percent: totalBytes > 0 ? Math.min(100, (bytesUploaded / totalBytes) * 100) : 0,
+      bytesPerSecond: Math.round(bytesPerSecond),
+      etaSeconds: bytesPerSecond > 0 ? Math.round(remaining / bytesPerSecond) : null,
+      elapsedSeconds: Math.round((now - startedAt) / 1000),
+      idleSeconds: Math.round((now - lastChangeAt) / 1000)
+    };
+  }
+
+  /**
+   * Records a new reading
+   * @param {number} bytes - Bytes sent so far (capped at the file size)
+   * @returns {Object} The current progress (see snapshot)
+   */
+  function update(bytes) {
+    const now = Date.now();
+    const previous = bytesUploaded;
+    bytesUploaded = Math.min(totalBytes, Math.max(bytesUploaded, bytes));
+    if (bytesUploaded > previous) {
+      lastChangeAt = now;
+    }
+
+    samples.push({ time: now, bytes: bytesUploaded });
+    while (samples.length > 2 && now - samples[1].time >= THROUGHPUT_WINDOW_MS) {
+      samples.shift();
+    }
+
+    return snapshot();
+  }
+
+  return { update, snapshot };
+}
+
+/**
+ * Formats a progress snapshot as one log line
+ * @param {Object} progress - Snapshot from a progress tracker
+ * @returns {string} e.g. "45.2% (905.00 MB of 2.00 GB) at 3.10 MB/s, ETA 5m 12s"
+ */
+function formatProgress(progress) {
+  const eta = progress.etaSeconds !== null ? formatDuration(progress.etaSeconds) : 'unknown';
+  return `${progress.percent.toFixed(1)}% ` +
+         `(${formatBytes(progress.bytesUploaded)} of ${formatBytes(progress.totalBytes)}) ` +
+         `at ${formatBytes(progress.bytesPerSecond)}/s, ETA ${eta}`;
+}
+
+module.exports = {
+  formatBytes,
+  formatDuration,
+  formatProgress,
+  createProgressTracker
+};
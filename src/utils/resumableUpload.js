@@ -0,0 +1,175 @@
+/**
+ * Resumable upload utilities
+ * Streams a file to a resumable upload URL in chunks (the Google Cloud Storage protocol:
+ * PUT with Content-Range, 308 + Range for "keep going", 200/201 when the file is complete).
+ * A failed chunk is retried from the offset the server reports, so a dropped connection
+ * only costs the bytes that didn't arrive. An upload that sends nothing for `stallMs` is
+ * given up on instead of retried.
+ */
+
+const fs = require('fs');
+const { sendRequest } = require('./http');
+
+// Chunks must be a multiple of 256 KiB (except the last one)
+const CHUNK_ALIGNMENT = 256 * 1024;
+
+// Attempts per chunk before giving up, and the first delay between them (doubles each time)
+const MAX_CHUNK_ATTEMPTS = 5;
+const CHUNK_RETRY_DELAY_MS = 1000;
+
+/**
+ * Rounds a chunk size down to a multiple of 256 KiB (at least 256 KiB)
+ * @param {number} bytes - Wanted chunk size
+ * @returns {number} Usable chunk size
+ */
+function alignChunkSize(bytes) {
+  return Math.max(CHUNK_ALIGNMENT, Math.floor(bytes / CHUNK_ALIGNMENT) * CHUNK_ALIGNMENT);
+}
+
+/**
+ * Creates the error for an unexpected response
+ * @param {string} action - What was being done
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with `retryable` (server trouble, worth retrying) and
+ *   `sessionExpired` (the upload URL is no longer valid) flags
+ */
+function createResponseError(action, status) {
+  const error = new Error(`${action} failed (HTTP ${status})`);
+  error.sessionExpired = status === 404 || status === 410;
+  error.retryable = status === 408 || status === 429 || status >= 500;
+  return error;
+}
+
+/**
+ * Reads the next offset from a 308 response's Range header ("bytes=0-1234" -> 1235)
+ * @param {string} [range] - Range header
+ * @returns {number} Bytes the server has
+ */
+function parseOffset(range) {
+  const match = range && range.match(/bytes=0-(\d+)/);
+  return match ? Number(match[1]) + 1 : 0;
+}
+
+/**
+ * Asks the server how much of the file it already has
+ * @param {string} uploadUrl - Upload URL
+ * @param {number} size - File size
+ * @returns {Promise<{complete: boolean, offset: number}>} Upload state
+ * @throws {Error} If the server answers with anything else (see createResponseError)
+ */
+async function queryOffset(uploadUrl, size) {
+  const response = await sendRequest(uploadUrl, {
+    method: 'PUT',
+    headers: {
+      'Content-Length': 0,
+      'Content-Range': `bytes */${size}`
+    }
+  });
+
+  if (response.status === 200 || response.status === 201) {
+    return { complete: true, offset: size };
+  }
+  if (response.status === 308) {
+    return { complete: false, offset: parseOffset(response.headers.range) };
+  }
+  throw createResponseError('Upload status check', response.status);
+}
+
+/**
+ * Uploads a file to a resumable upload URL, continuing where an earlier upload to the
+ * same URL stopped
+ *
+ * @param {string} uploadUrl - Upload URL
+ * @param {string} filePath - File to upload
+ * @param {Object} options - Upload options
+ * @param {number} options.size - File size in bytes
+ * @param {number} options.chunkBytes - Chunk size (rounded to a multiple of 256 KiB)
+ * @param {string} [options.contentType] - Content-Type of the file
+ * @param {function(number): void} [options.onBytes] - Called with the bytes sent so far
+ * @param {number} [options.stallMs] - Give up when no bytes have been sent for this long
+ *   (also the inactivity timeout of each request; default: the HTTP client's)
+ * @returns {Promise<{resumedFrom: number}>} Bytes the server already had when the upload started
+ * @throws {Error} When a chunk keeps failing, the upload URL has expired (error.sessionExpired),
+ *   or the upload stalled (error.stalled)
+ */
+async function uploadResumable(uploadUrl, filePath, { size, chunkBytes, contentType, onBytes, stallMs }) {
+  const chunkSize = alignChunkSize(chunkBytes);
+  let lastProgressAt = Date.now();
+  const report = (bytes) => {
+    lastProgressAt = Date.now();
+    if (onBytes) {
+      onBytes(bytes);
+    }
+  };
+
+  let { complete, offset } = await queryOffset(uploadUrl, size);
+  const resumedFrom = offset;
+  report(offset);
+
+  let attempt = 0;
+  let needsStatus = false;
+
+  while (!complete) {
+    try {
+      if (needsStatus) {
+        ({ complete, offset } = await queryOffset(uploadUrl, size));
+        needsStatus = false;
+        if (complete) {
+          break;
+        }
+      }
+
+      const start = offset;
+      const end = Math.min(size, start + chunkSize) - 1;
+      const body = fs.createReadStream(filePath, { start, end });
+      let sent = 0;
+      body.on('data', (chunk) => {
+        sent += chunk.length;
+        report(start + sent);
+      });
+
+      const headers = {
+        'Content-Length': end - start + 1,
+        'Content-Range': `bytes ${start}-${end}/${size}`
+      };
+      if (contentType) {
+        headers['Content-Type'] = contentType;
+      }
+
+      const response = await sendRequest(uploadUrl, { method: 'PUT', headers, body, timeoutMs: stallMs });
+
+      if (response.status === 200 || response.status === 201) {
+        complete = true;
+      } else if (response.status === 308) {
+        offset = parseOffset(response.headers.range);
+        attempt = 0;
+      } else {
+        throw createResponseError(`Upload of bytes ${start}-${end}`, response.status);
+      }
+    } catch (error) {
+      if (stallMs && Date.now() - lastProgressAt >= stallMs) {
+        error.stalled = true;
+        error.message = `No bytes sent for ${Math.round((Date.now() - lastProgressAt) / 1000)}s: ${error.message}`;
+        throw error;
+      }
+
+      // Network errors carry no status: worth another try, like server errors
+      const retryable = error.retryable !== undefined ? error.retryable : !error.sessionExpired;
+      attempt++;
+      if (!retryable || attempt >= MAX_CHUNK_ATTEMPTS) {
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, CHUNK_RETRY_DELAY_MS * Math.pow(2, attempt - 1)));
+      needsStatus = true;
+    }
+  }
+
+  report(size);
+  return { resumedFrom };
+}
+
+module.exports = {
+  alignChunkSize,
+  uploadResumable
+};
@@ -0,0 +1,70 @@
+/**
+ * Waiting utilities
+ * Waits that end as soon as a condition holds, instead of fixed sleeps
+ */
+
+// How long the page's network must be quiet before it counts as settled
+const NETWORK_IDLE_MS = 500;
+
+/**
+ * Waits until a condition holds or the timeout passes
+ * @param {function(): *} condition - Checked every intervalMs (may be async); a truthy result ends the wait
+ * @param {Object} options - Wait options
+ * @param {number} options.timeoutMs - Maximum time to wait
+ * @param {number} [options.intervalMs=250] - Time between checks
+ * @returns {Promise<boolean>} True if the condition held, false on timeout
+ */
+async function waitFor(condition, { timeoutMs, intervalMs = 250 }) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!(await condition())) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(intervalMs, Math.max(0, deadline - Date.now()))));
+  }
+  return true;
+}
+
+/**
+ * Waits for a page to stop loading: no network requests for half a second
+ * A page that keeps polling never settles, so the timeout is not an error
+ *
+ * @param {Page} page - Puppeteer page
+ * @param {number} [timeoutMs=10000] - Maximum time to wait
+ * @returns {Promise<boolean>} True if the page settled, false on timeout
+ */
+async function waitForPageToSettle(page, timeoutMs = 10000) {
+  try {
+    await page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_MS, timeout: timeoutMs });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Waits for an element to appear, without failing when it doesn't
+ * @param {Page} page - Puppeteer page
+ * @param {string} selector - CSS selector
+ * @param {Object} [options] - Wait options
+ * @param {number} [options.timeoutMs=10000] - Maximum time to wait
+ * @param {boolean} [options.visible=false] - Wait until the element is also visible
+ * @returns {Promise<ElementHandle|null>} The element, or null on timeout
+ */
+async function waitForOptionalElement(page, selector, { timeoutMs = 10000, visible = false } = {}) {
+  try {
+    return await page.waitForSelector(selector, { timeout: timeoutMs, visible });
+  } catch (error) {
+    if (error.name !== 'TimeoutError') {
+      throw error;
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  waitFor,
+  waitForPageToSettle,
+  waitForOptionalElement
+};
@@ -0,0 +1,525 @@
+/**
+ * Watch target configuration module
+ * Loads the list of watch folders and their per-folder rules from a JSON or YAML file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseTotpSecret } = require('./utils/totp');
+const { compileTemplates } = require('./utils/filenameTemplates');
+
+// What to do with a file after it was uploaded
+const POST_UPLOAD_ACTIONS = ['move', 'delete', 'keep'];
+
+// How an account logs into Grain (see auth.js)
+const AUTH_STRATEGIES = ['google', 'password', 'magic-link', 'interactive'];
+
+// Strategies that need a password
+const PASSWORD_STRATEGIES = ['google', 'password'];
+
+// Whether a sidecar file (e.g. standup.mp4.json) is ignored, used when present, or waited for
+const SIDECAR_MODES = ['off', 'optional', 'required'];
+
+// Recording metadata set in Grain after the upload (see recordingMetadata.js)
+const METADATA_TEXT_FIELDS = ['title', 'description', 'collection'];
+const METADATA_LIST_FIELDS = ['tags', 'shareWith'];
+
+// Where files are uploaded to (see destinations/), and the settings each kind takes
+const DESTINATION_FIELDS = {
+  grain: [],
+  folder: ['path', 'keepSubfolders'],
+  s3: ['bucket', 'region', 'endpoint', 'prefix', 'pathStyle',
+       'accessKeyId', 'accessKeyIdEnv', 'secretAccessKey', 'secretAccessKeyEnv'],
+  webdav: ['url', 'username', 'password', 'passwordEnv']
+};
+const DESTINATION_TYPES = Object.keys(DESTINATION_FIELDS);
+
+/**
+ * Parses a comma-separated string of file extensions
+ * @param {string} extensionsString - Comma-separated extensions (e.g., ".mov,.mp4,.mp3")
+ * @returns {string[]} Array of normalized extensions
+ */
+function parseExtensions(extensionsString) {
+  if (!extensionsString) {
+    return [];
+  }
+
+  return extensionsString
+    .split(',')
+    .map(ext => ext.trim())
+    .filter(ext => ext.length > 0)
+    .map(ext => ext.startsWith('.') ? ext : `.${ext}`);
+}
+
+/**
+ * Normalizes a list of addresses or extensions given as an array or comma-separated string
+ * @param {string|string[]} value - Raw value
+ * @returns {string[]} Trimmed, non-empty values
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Parses a subfolder depth limit
+ * @param {*} value - Raw value (number, numeric string, or empty for unlimited)
+ * @param {string} label - Setting name (for error messages)
+ * @returns {number|undefined} Depth, or undefined for unlimited
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parseDepth(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const depth = Number(value);
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new Error(`${label} must be a non-negative whole number, got "${value}"`);
+  }
+
+  return depth;
+}
+
+/**
+ * Validates recording metadata settings and merges them over the defaults
+ * Text fields are strings; tags and shareWith are lists (or comma-separated strings).
+ * Unset or empty fields keep the default.
+ *
+ * @param {Object} [raw] - Metadata as written in the config (or built from .env)
+ * @param {Object} defaults - Metadata used for fields that aren't set
+ * @param {string} label - Where the metadata comes from (for error messages)
+ * @returns {{title?: string, description?: string, collection?: string, tags: string[], shareWith: string[]}} Metadata
+ * @throws {Error} If a field is unknown or has the wrong type, or a shareWith entry isn't an email
+ */
+function parseMetadata(raw, defaults, label) {
+  if (raw === undefined || raw === null) {
+    return defaults;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const known = [...METADATA_TEXT_FIELDS, ...METADATA_LIST_FIELDS];
+  const unknown = Object.keys(raw).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown field(s): ${unknown.join(', ')}. Expected: ${known.join(', ')}`);
+  }
+
+  const metadata = { ...defaults };
+
+  for (const field of METADATA_TEXT_FIELDS) {
+    const value = raw[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`${label} ${field} must be a string`);
+    }
+    metadata[field] = value.trim();
+  }
+
+  for (const field of METADATA_LIST_FIELDS) {
+    if (raw[field] !== undefined && raw[field] !== null && raw[field] !== '') {
+      metadata[field] = toList(raw[field]);
+    }
+  }
+
+  const invalid = metadata.shareWith.filter(email => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email));
+  if (invalid.length > 0) {
+    throw new Error(`${label} shareWith has invalid email(s): ${invalid.join(', ')}`);
+  }
+
+  return metadata;
+}
+
+/**
+ * Checks that a setting is an absolute http(s) URL
+ * @param {string} value - The setting
+ * @param {string} label - Setting name (for error messages)
+ * @returns {string} The URL, without trailing slashes
+ * @throws {Error} If it isn't one
+ */
+function parseHttpUrl(value, label) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`${label} must be an absolute http(s) URL, got "${value}"`);
+  }
+  return String(value).replace(/\/+$/, '');
+}
+
+/**
+ * Validates an upload destination and fills in its defaults
+ * Credentials can be read from environment variables with the `...Env` fields
+ * (e.g. `secretAccessKeyEnv: S3_SECRET`) to keep them out of the file.
+ *
+ * @param {string} name - Destination name
+ * @param {Object} raw - Destination as written in the config (or built from .env)
+ * @param {string} baseDir - Directory relative folder paths are resolved against
+ * @returns {Object} The destination: {name, type, ...settings}
+ * @throws {Error} If the type is unknown, a setting is unknown or a required one is missing
+ */
+function parseDestination(name, raw, baseDir) {
+  const label = `Destination "${name}"`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object with a "type"`);
+  }
+  if (!DESTINATION_TYPES.includes(raw.type)) {
+    throw new Error(`${label} has invalid type "${raw.type}". Expected one of: ${DESTINATION_TYPES.join(', ')}`);
+  }
+
+  const known = ['type', ...DESTINATION_FIELDS[raw.type]];
+  const unknown = Object.keys(raw).filter(key => !known.includes(key) && raw[key] !== undefined);
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown field(s) for type ${raw.type}: ${unknown.join(', ')}. Expected: ${known.join(', ')}`);
+  }
+
+  const secret = field => raw[field] || (raw[`${field}Env`] ? process.env[raw[`${field}Env`]] : undefined);
+
+  switch (raw.type) {
+    case 'folder':
+      if (!raw.path) {
+        throw new Error(`${label} needs a "path"`);
+      }
+      return {
+        name,
+        type: raw.type,
+        path: path.resolve(baseDir, raw.path),
+        keepSubfolders: raw.keepSubfolders !== false
+      };
+    case 's3': {
+      if (!raw.bucket) {
+        throw new Error(`${label} needs a "bucket"`);
+      }
+      const accessKeyId = secret('accessKeyId');
+      const secretAccessKey = secret('secretAccessKey');
+      if (!accessKeyId || !secretAccessKey) {
+        throw new Error(`${label} needs accessKeyId and secretAccessKey (or accessKeyIdEnv and secretAccessKeyEnv)`);
+      }
+      const region = raw.region || 'us-east-1';
+      const prefix = (raw.prefix || '').replace(/^\/+|\/+$/g, '');
+      return {
+        name,
+        type: raw.type,
+        bucket: raw.bucket,
+        region,
+        // Custom endpoints (MinIO, B2, ...) usually only support path-style URLs
+        endpoint: raw.endpoint ? parseHttpUrl(raw.endpoint, `${label} endpoint`) : `https://s3.${region}.amazonaws.com`,
+        pathStyle: raw.pathStyle !== undefined ? raw.pathStyle === true : Boolean(raw.endpoint),
+        prefix: prefix ? `${prefix}/` : '',
+        accessKeyId,
+        secretAccessKey
+      };
+    }
+    case 'webdav':
+      if (!raw.url) {
+        throw new Error(`${label} needs a "url"`);
+      }
+      return {
+        name,
+        type: raw.type,
+        url: parseHttpUrl(raw.url, `${label} url`),
+        username: raw.username,
+        password: secret('password')
+      };
+    default:
+      return { name, type: raw.type };
+  }
+}
+
+/**
+ * Resolves a watch target's list of destinations
+ * Entries are names of destinations defined elsewhere, or inline destination objects.
+ *
+ * @param {string|Array<string|Object>} refs - Destination list as configured (a string is a comma-separated list)
+ * @param {Object} named - Destinations by name
+ * @param {string} label - Where the list comes from (for error messages)
+ * @param {string} baseDir - Directory relative folder paths are resolved against
+ * @returns {Object[]} The destinations, in order
+ * @throws {Error} If a name is unknown, the list is empty, or it names a destination twice
+ *   or more than one Grain destination
+ */
+function resolveDestinations(refs, named, label, baseDir) {
+  const list = typeof refs === 'string' ? toList(refs) : refs;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`${label} must list at least one destination`);
+  }
+
+  const destinations = list.map((ref, index) => {
+    if (typeof ref !== 'string') {
+      // Inline destinations are named after their type unless they have a name
+      return parseDestination((ref && (ref.name || ref.type)) || `${label} #${index + 1}`,
+                              { ...ref, name: undefined }, baseDir);
+    }
+    if (!named[ref]) {
+      throw new Error(`${label} uses unknown destination "${ref}". Known: ${Object.keys(named).join(', ')}`);
+    }
+    return named[ref];
+  });
+
+  const names = destinations.map(destination => destination.name);
+  const repeated = names.find((name, index) => names.indexOf(name) !== index);
+  if (repeated) {
+    throw new Error(`${label} lists destination "${repeated}" more than once`);
+  }
+  if (destinations.filter(destination => destination.type === 'grain').length > 1) {
+    throw new Error(`${label} can upload to Grain only once (the target's account picks where)`);
+  }
+
+  return destinations;
+}
+
+/**
+ * Reads and parses a JSON or YAML config file (chosen by extension)
+ * @param {string} filePath - Path to the config file
+ * @returns {Object} Parsed contents
+ * @throws {Error} If the file can't be read or parsed
+ */
+function parseConfigFile(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read watch config ${filePath}: ${error.message}`);
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  try {
+    return ext === '.yaml' || ext === '.yml' ? YAML.parse(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse watch config ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolves a Grain account reference from a watch target
+ * Accounts are either named entries in the top-level `accounts` map or inline objects.
+ * Passwords and TOTP secrets can be read from environment variables with `passwordEnv` and
+ * `totpSecretEnv` to keep them out of the file.
+ * Accounts using the magic-link or interactive login strategy don't need a password.
+ *
+ * @param {string|Object} ref - Account name or inline account object
+ * @param {Object} accounts - Named accounts from the config file
+ * @param {string} targetName - Target name (for error messages)
+ * @param {string} defaultStrategy - Login strategy used when the account doesn't set one
+ * @returns {{name: string, email: string, password?: string, totpSecret?: string, strategy: string}} The resolved account
+ * @throws {Error} If the account is unknown or incomplete
+ */
+function resolveAccount(ref, accounts, targetName, defaultStrategy) {
+  let name;
+  let account;
+
+  if (typeof ref === 'string') {
+    name = ref;
+    account = accounts[ref];
+    if (!account) {
+      throw new Error(`Watch target "${targetName}" uses unknown account "${ref}"`);
+    }
+  } else {
+    name = `${targetName} (inline)`;
+    account = ref;
+  }
+
+  const password = account.password ||
+                   (account.passwordEnv ? process.env[account.passwordEnv] : undefined);
+
+  const strategy = account.strategy || defaultStrategy;
+  if (!AUTH_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Account "${name}" has invalid strategy "${strategy}". ` +
+      `Expected one of: ${AUTH_STRATEGIES.join(', ')}`
+    );
+  }
+
+  if (!account.email) {
+    throw new Error(`Account "${name}" needs an email`);
+  }
+
+  if (PASSWORD_STRATEGIES.includes(strategy) && !password) {
+    throw new Error(`Account "${name}" needs a password (or passwordEnv) for the "${strategy}" login`);
+  }
+
+  const totpSecret = parseTotpSecret(
+    account.totpSecret || (account.totpSecretEnv ? process.env[account.totpSecretEnv] : undefined),
+    `Account "${name}" TOTP secret`
+  );
+
+  return { name, email: account.email, password, totpSecret, strategy };
+}
+
+/**
+ * Validates and fills in defaults for one watch target
+ * @param {Object} raw - Target as written in the config file
+ * @param {number} index - Position in the targets list (for error messages)
+ * @param {Object} context - Shared values
+ * @param {Object} context.defaults - Default rules taken from .env
+ * @param {Object} context.accounts - Named accounts from the config file
+ * @param {Object} context.namedAccounts - The named accounts, already resolved
+ * @param {Object} context.namedDestinations - Upload destinations by name
+ * @param {string} context.baseDir - Directory relative paths are resolved against
+ * @returns {Object} Normalized watch target
+ * @throws {Error} If the target is invalid
+ */
+function normalizeTarget(raw, index, { defaults, accounts, namedAccounts, namedDestinations, baseDir }) {
+  if (!raw || !raw.path) {
+    throw new Error(`Watch target #${index + 1} is missing "path"`);
+  }
+
+  const watchFolder = path.resolve(baseDir, raw.path);
+  const name = raw.name || path.basename(watchFolder);
+
+  const postUploadAction = (raw.postUploadAction || defaults.postUploadAction).toLowerCase();
+  if (!POST_UPLOAD_ACTIONS.includes(postUploadAction)) {
+    throw new Error(
+      `Watch target "${name}" has invalid postUploadAction "${raw.postUploadAction}". ` +
+      `Expected one of: ${POST_UPLOAD_ACTIONS.join(', ')}`
+    );
+  }
+
+  const sidecar = (raw.sidecar || defaults.sidecar).toLowerCase();
+  if (!SIDECAR_MODES.includes(sidecar)) {
+    throw new Error(
+      `Watch target "${name}" has invalid sidecar "${raw.sidecar}". ` +
+      `Expected one of: ${SIDECAR_MODES.join(', ')}`
+    );
+  }
+
+  const extensions = raw.extensions
+    ? parseExtensions(toList(raw.extensions).join(','))
+    : defaults.extensions;
+
+  return {
+    name,
+    watchFolder,
+    processedFolder: raw.processedFolder
+      ? path.resolve(baseDir, raw.processedFolder)
+      : path.join(watchFolder, 'Processed'),
+    failedFolder: raw.failedFolder
+      ? path.resolve(baseDir, raw.failedFolder)
+      : path.join(watchFolder, 'Failed'),
+    extensions: extensions.map(ext => ext.toLowerCase()),
+    account: raw.account
+      ? (namedAccounts[raw.account] || resolveAccount(raw.account, accounts, name, defaults.account.strategy))
+      : defaults.account,
+    notify: raw.notify ? toList(raw.notify) : defaults.notify,
+    postUploadAction,
+    recursive: raw.recursive !== undefined ? raw.recursive === true : defaults.recursive,
+    depth: raw.depth !== undefined ? parseDepth(raw.depth, `Watch target "${name}" depth`) : defaults.depth,
+    metadata: parseMetadata(raw.metadata, defaults.metadata, `Watch target "${name}" metadata`),
+    sidecar,
+    filenameTemplates: raw.filenameTemplates !== undefined
+      ? compileTemplates(raw.filenameTemplates, `Watch target "${name}" filename template`)
+      : defaults.filenameTemplates,
+    destinations: raw.destinations !== undefined
+      ? resolveDestinations(raw.destinations, namedDestinations, `Watch target "${name}" destinations`, baseDir)
+      : defaults.destinations
+  };
+}
+
+/**
+ * Loads watch targets (and the Grain accounts and upload destinations they can use) from a JSON or YAML file
+ * Every named account must be complete, since sidecar files may pick any of them
+ *
+ * Example (YAML):
+ *   accounts:
+ *     acme:
+ *       email: me@example.com
+ *       passwordEnv: ACME_GRAIN_PASSWORD
+ *       totpSecretEnv: ACME_GRAIN_TOTP_SECRET
+ *       strategy: google
+ *   destinations:
+ *     nas:
+ *       type: folder
+ *       path: /Volumes/NAS/Recordings
+ *     minio:
+ *       type: s3
+ *       endpoint: http://localhost:9000
+ *       bucket: recordings
+ *       accessKeyIdEnv: MINIO_ACCESS_KEY
+ *       secretAccessKeyEnv: MINIO_SECRET_KEY
+ *   targets:
+ *     - name: acme
+ *       path: /Users/me/Recordings/Acme
+ *       extensions: [.mp4, .m4a]
+ *       account: acme
+ *       notify: [team@example.com]
+ *       postUploadAction: move
+ *       recursive: true
+ *       depth: 2
+ *       sidecar: optional
+ *       destinations: [grain, nas, minio]
+ *       filenameTemplates:
+ *         - "{date}_{time}_{title}"
+ *         - "/^(?<client>[A-Za-z]+) call (?<date>\\d{8})$/"
+ *       metadata:
+ *         title: "Acme sync: {title}"
+ *         tags: [acme, client]
+ *         collection: Acme
+ *         shareWith: [pm@example.com]
+ *
+ * @param {string} filePath - Path to the config file
+ * @param {Object} defaults - Rules used when a target doesn't set them
+ * @param {Object} envDestinations - Destinations defined in .env, by name (the file's own win)
+ * @returns {{targets: Object[], accounts: Object}} Normalized watch targets, and resolved accounts by name
+ *   (including "default", the .env account, unless the file defines its own)
+ * @throws {Error} If the file, any account, any destination or any target is invalid
+ */
+function loadWatchTargets(filePath, defaults, envDestinations) {
+  const parsed = parseConfigFile(filePath);
+
+  if (!parsed || !Array.isArray(parsed.targets) || parsed.targets.length === 0) {
+    throw new Error(`Watch config ${filePath} must contain a non-empty "targets" list`);
+  }
+
+  const accounts = parsed.accounts || {};
+  const namedAccounts = { default: defaults.account };
+  for (const accountName of Object.keys(accounts)) {
+    namedAccounts[accountName] = resolveAccount(accountName, accounts, accountName, defaults.account.strategy);
+  }
+
+  const baseDir = path.dirname(path.resolve(filePath));
+  const namedDestinations = { ...envDestinations };
+  for (const [destinationName, raw] of Object.entries(parsed.destinations || {})) {
+    namedDestinations[destinationName] = parseDestination(destinationName, raw, baseDir);
+  }
+
+  const context = {
+    defaults,
+    accounts,
+    namedAccounts,
+    namedDestinations,
+    baseDir
+  };
+
+  const targets = parsed.targets.map((raw, index) => normalizeTarget(raw, index, context));
+
+  const names = new Set();
+  for (const target of targets) {
+    if (names.has(target.name)) {
+      throw new Error(`Watch config ${filePath} has more than one target named "${target.name}"`);
+    }
+    names.add(target.name);
+  }
+
+  return { targets, accounts: namedAccounts };
+}
+
+module.exports = {
+  POST_UPLOAD_ACTIONS,
+  AUTH_STRATEGIES,
+  SIDECAR_MODES,
+  DESTINATION_TYPES,
+  parseExtensions,
+  parseDepth,
+  parseMetadata,
+  parseHttpUrl,
+  parseDestination,
+  resolveDestinations,
+  loadWatchTargets
+};
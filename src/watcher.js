@@ -1,167 +1,210 @@
 /**
- * File watcher module for monitoring the Grain Uploads folder
+ * File watcher module for monitoring the Grain Uploads folders
  * Uses chokidar to detect new audio/video files and prepare them for upload
  * Phase 7: Queue-based sequential processing to avoid Puppeteer collisions
+ * One chokidar watcher runs per watch target; all of them feed the shared job queue
  */
 
 const chokidar = require('chokidar');
+const fs = require('fs');
 const path = require('path');
 const config = require('./config');
 const logger = require('./utils/logger');
-const { ensureProcessedDir, moveToProcessed } = require('./utils/fileHandler');
-const { waitForStableFile } = require('./utils/fileReady');
-const { processFile } = require('./processor');
-const { sendSuccessEmail, sendErrorEmail } = require('./notifier');
+const { findBacklogFiles } = require('./scanner');
+const { isPathInside } = require('./utils/fileHandler');
+const { processQueue, resumeQueue } = require('./pipeline');
+const { DRY_RUN_OUTCOMES, recordDryRun } = require('./dryRun');
+const {
+  JOB_STATES,
+  enqueueJob,
+  findActiveJob,
+  findLatestJob,
+  findUploadedJob,
+  pendingCount
+} = require('./jobQueue');
 
-// Load configuration from config module
-const WATCH_FOLDER = config.WATCH_FOLDER;
-const SUPPORTED_EXTENSIONS = config.SUPPORTED_EXTENSIONS;
-const PROCESSED_FOLDER = config.PROCESSED_FOLDER;
-
-// Queue for sequential file processing (avoids multiple Puppeteer instances)
-const fileQueue = [];
-let isProcessing = false;
+/**
+ * Checks if a file has a supported extension for a watch target, or one that is converted
+ * before the upload (TRANSCODE_EXTENSIONS, for every target)
+ * @param {string} filePath - The full path to the file
+ * @param {Object} target - The watch target
+ * @returns {boolean} True if the file extension is supported
+ */
+function isSupportedFile(filePath, target) {
+  const ext = path.extname(filePath).toLowerCase();
+  return target.extensions.includes(ext) || config.TRANSCODE_EXTENSIONS.includes(ext);
+}
 
 /**
- * Processes files from the queue one at a time
- * Ensures only one Puppeteer instance runs at once
+ * Dry run: reports a file the target won't upload because of its extension
+ * Sidecars of watched files (e.g. standup.mp4.json) are expected there and not reported.
+ * @param {string} filePath - The full path to the file
+ * @param {Object} target - The watch target
  */
-async function processQueue() {
-  // If already processing or queue is empty, do nothing
-  if (isProcessing || fileQueue.length === 0) {
+function reportIgnoredFile(filePath, target) {
+  const ext = path.extname(filePath);
+  if (isSupportedFile(filePath.slice(0, -ext.length), target)) {
     return;
   }
 
-  // Mark as processing
-  isProcessing = true;
-
-  // Get the next file from the queue
-  const filePath = fileQueue.shift();
   const fileName = path.basename(filePath);
+  logger.log(`[DRY RUN] Ignoring ${fileName} in ${target.name}: ${ext || 'no extension'} is not one of ${target.extensions.join(', ')}`);
+  recordDryRun({
+    kind: DRY_RUN_OUTCOMES.IGNORED,
+    fileName,
+    target: target.name,
+    detail: `${ext || 'no extension'} is not watched`
+  });
+}
 
-  try {
-    // Step 1: Wait for file to be completely written
-    logger.log(`[STABLE] Waiting for file to stabilize: ${fileName}`);
-    await waitForStableFile(filePath);
-    logger.log(`[STABLE] File stable and ready: ${fileName}`);
-
-    // Step 2: Process the file (upload to Grain)
-    logger.log(`[UPLOADING] Processing file: ${fileName}`);
-    const result = await processFile(filePath);
-
-    // Step 3: Move to Processed if successful
-    if (result.ok) {
-      try {
-        const destPath = moveToProcessed(filePath, PROCESSED_FOLDER);
-        const destFileName = path.basename(destPath);
-        logger.log(`[MOVED] File processed and moved to Processed: ${destFileName}`);
-
-        // Send success email notification with recording URL
-        logger.log(`[EMAILED] Sending success notification for: ${fileName}`);
-        const timestamp = new Date().toISOString();
-        await sendSuccessEmail({
-          filename: fileName,
-          timestamp: timestamp,
-          details: result.message || 'File successfully processed and uploaded.',
-          recordingUrl: result.recordingUrl
-        });
-        logger.log(`[EMAILED] Success notification sent for: ${fileName}`);
-      } catch (moveError) {
-        // Move failed - send error email
-        logger.error(`[ERROR] Failed to move file to Processed: ${moveError.message}`);
-        const timestamp = new Date().toISOString();
-        await sendErrorEmail({
-          filename: fileName,
-          timestamp: timestamp,
-          error: `Failed to move file to Processed folder: ${moveError.message}`
-        });
-      }
-    } else {
-      // Processing failed - send error email
-      logger.error(`[ERROR] Processing failed, file not moved: ${fileName} - ${result.message}`);
-      const timestamp = new Date().toISOString();
-      await sendErrorEmail({
-        filename: fileName,
-        timestamp: timestamp,
-        error: `Processing failed: ${result.message}`
-      });
-    }
-  } catch (error) {
-    // General error (stability check, etc.) - send error email
-    logger.error(`[ERROR] Error handling file ${fileName}: ${error.message}`);
-    const timestamp = new Date().toISOString();
-    await sendErrorEmail({
-      filename: fileName,
-      timestamp: timestamp,
-      error: `Error during file handling: ${error.message}`
-    });
-  } finally {
-    // Mark as not processing
-    isProcessing = false;
-
-    // Process next file in queue if any
-    if (fileQueue.length > 0) {
-      logger.log(`[QUEUE] Processing next file in queue (${fileQueue.length} remaining)`);
-      setImmediate(() => processQueue());
-    }
-  }
+/**
+ * Checks if a path is in the target's "Processed" or "Failed" folder (which should be ignored)
+ * Path-aware, so a sibling like "Processed-old" is not mistaken for the Processed folder
+ * @param {string} filePath - The full path to the file or folder
+ * @param {Object} target - The watch target
+ * @returns {boolean} True if the path is in the Processed or Failed folder
+ */
+function isInProcessedFolder(filePath, target) {
+  return isPathInside(filePath, target.processedFolder) ||
+         isPathInside(filePath, target.failedFolder);
 }
 
 /**
- * Checks if a file has a supported extension for Grain uploads
- * @param {string} filePath - The full path to the file
- * @returns {boolean} True if the file extension is supported
+ * Returns how many subfolder levels to watch for a target
+ * @param {Object} target - The watch target
+ * @returns {number|undefined} 0 for the top level only, undefined for unlimited
  */
-function isSupportedFile(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  return SUPPORTED_EXTENSIONS.includes(ext);
+function getWatchDepth(target) {
+  return target.recursive ? target.depth : 0;
 }
 
 /**
- * Checks if a file is in the "Processed" subfolder (which should be ignored)
- * @param {string} filePath - The full path to the file
- * @returns {boolean} True if the file is in the Processed folder
+ * Startup reconciliation pass for files already sitting in a watch folder
+ * Chokidar runs with ignoreInitial, so without this pass files dropped while the
+ * uploader was stopped would never be picked up
+ *
+ * Behaviour depends on config.STARTUP_SCAN:
+ * - 'all': queue every supported file
+ * - 'recent': queue files modified within STARTUP_SCAN_MAX_AGE_HOURS
+ * - 'list': only log what would be queued
+ * - 'off': skip the scan
+ *
+ * @param {Object} target - The watch target to scan
  */
-function isInProcessedFolder(filePath) {
-  return filePath.includes(PROCESSED_FOLDER);
+function scanBacklog(target) {
+  const mode = config.STARTUP_SCAN;
+
+  if (mode === 'off') {
+    logger.log(`[SCAN] Startup scan disabled for ${target.name}`);
+    return;
+  }
+
+  logger.log(`[SCAN] Scanning ${target.name} for existing files (mode: ${mode})...`);
+
+  const maxAgeMs = mode === 'recent'
+    ? config.STARTUP_SCAN_MAX_AGE_HOURS * 60 * 60 * 1000
+    : undefined;
+
+  const candidates = findBacklogFiles(target.watchFolder, {
+    skipDir: dirPath => isInProcessedFolder(dirPath, target),
+    isSupported: (filePath) => {
+      const supported = isSupportedFile(filePath, target);
+      if (!supported && config.DRY_RUN) {
+        reportIgnoredFile(filePath, target);
+      }
+      return supported;
+    },
+    maxAgeMs,
+    depth: getWatchDepth(target)
+  });
+
+  let queued = 0;
+  let skipped = 0;
+
+  for (const { filePath, stats } of candidates) {
+    const fileName = path.basename(filePath);
+
+    // Already queued (e.g. resumed from the journal)
+    if (findActiveJob(filePath)) {
+      skipped++;
+      continue;
+    }
+
+    // Already uploaded according to the upload history
+    if (findUploadedJob(filePath, stats)) {
+      logger.log(`[SCAN] Skipping already uploaded file: ${fileName}`);
+      skipped++;
+      continue;
+    }
+
+    // Waiting for a human to check Grain after an interrupted upload
+    const latest = findLatestJob(filePath);
+    if (latest && latest.state === JOB_STATES.RECONCILE) {
+      logger.log(`[SCAN] Skipping file awaiting reconciliation: ${fileName}`);
+      skipped++;
+      continue;
+    }
+
+    if (mode === 'list') {
+      logger.log(`[SCAN] Found unprocessed file: ${fileName}`);
+      continue;
+    }
+
+    enqueueJob(filePath, target.name);
+    queued++;
+    logger.log(`[SCAN] Queued existing file: ${fileName}`);
+  }
+
+  if (mode === 'list') {
+    logger.log(`[SCAN] Found ${candidates.length - skipped} unprocessed file(s) in ${target.name} (list mode, nothing queued)`);
+  } else {
+    logger.log(`[SCAN] Queued ${queued} existing file(s) from ${target.name}, skipped ${skipped}`);
+  }
 }
 
 /**
- * Initializes and starts the file watcher
- * Monitors the specified folder for new files with supported extensions
+ * Starts a chokidar watcher for one watch target
+ * @param {Object} target - The watch target
+ * @returns {chokidar.FSWatcher} The watcher
  */
-function startWatcher() {
-  logger.log('Initializing folder watcher...');
-  logger.log(`Monitoring folder: ${WATCH_FOLDER}`);
-  logger.log(`Supported extensions: ${SUPPORTED_EXTENSIONS.join(', ')}`);
-
-  // Ensure the Processed directory exists
-  // Use PROCESSED_FOLDER from config, but ensure it exists
-  const processedDir = PROCESSED_FOLDER;
-  try {
-    const fs = require('fs');
-    if (!fs.existsSync(processedDir)) {
-      fs.mkdirSync(processedDir, { recursive: true });
+function watchTarget(target) {
+  logger.log(`[${target.name}] Monitoring folder: ${target.watchFolder}`);
+  logger.log(`[${target.name}] Supported extensions: ${target.extensions.join(', ')}`);
+  if (config.TRANSCODE_EXTENSIONS.length > 0) {
+    logger.log(`[${target.name}] Converted before upload: ${config.TRANSCODE_EXTENSIONS.join(', ')}`);
+  }
+  if (target.recursive) {
+    logger.log(`[${target.name}] Watching subfolders (depth: ${target.depth === undefined ? 'unlimited' : target.depth})`);
+  }
+
+  // Ensure the Processed directory exists (a dry run creates nothing)
+  if (target.postUploadAction === 'move' && !config.DRY_RUN) {
+    try {
+      if (!fs.existsSync(target.processedFolder)) {
+        fs.mkdirSync(target.processedFolder, { recursive: true });
+      }
+      logger.log(`[${target.name}] Processed directory ready: ${target.processedFolder}`);
+    } catch (error) {
+      logger.error(`Failed to create Processed directory: ${error.message}`);
+      throw error;
     }
-    logger.log(`Processed directory ready: ${processedDir}`);
-  } catch (error) {
-    logger.error(`Failed to create Processed directory: ${error.message}`);
-    throw error;
   }
 
   /**
    * Chokidar watcher configuration:
-   * - ignored: Skip dotfiles and the Processed subfolder
+   * - ignored: Skip dotfiles and the target's Processed and Failed folders
+   * - depth: Only descend into subfolders in recursive mode
    * - persistent: Keep the process running
    * - ignoreInitial: Don't trigger 'add' events for existing files on startup
    * - awaitWriteFinish: Wait for file write operations to complete before firing events
    *   This prevents detecting partially-written files
    */
-  const watcher = chokidar.watch(WATCH_FOLDER, {
+  const watcher = chokidar.watch(target.watchFolder, {
     ignored: [
       /(^|[\/\\])\../, // Ignore dotfiles
-      '**/Processed/**' // Ignore the Processed subfolder
+      watchedPath => isInProcessedFolder(watchedPath, target) // Ignore Processed and Failed folders
     ],
+    depth: getWatchDepth(target),
     persistent: true,
     ignoreInitial: true, // Only detect NEW files added after watcher starts
     awaitWriteFinish: {
@@ -177,16 +220,22 @@ function startWatcher() {
    */
   watcher.on('add', (filePath) => {
     // Double-check that file is not in Processed folder and has supported extension
-    if (!isInProcessedFolder(filePath) && isSupportedFile(filePath)) {
+    if (!isInProcessedFolder(filePath, target) && isSupportedFile(filePath, target)) {
       const fileName = path.basename(filePath);
-      logger.log(`[DETECTED] New file detected: ${fileName}`);
+      logger.log(`[DETECTED] New file detected in ${target.name}: ${fileName}`);
 
-      // Add to queue
-      fileQueue.push(filePath);
-      logger.log(`[QUEUE] File added to queue. Queue length: ${fileQueue.length}`);
+      // Add to queue (skipped if the file already has an unfinished job)
+      const job = enqueueJob(filePath, target.name);
+      if (!job) {
+        logger.log(`[QUEUE] File already queued, ignoring: ${fileName}`);
+        return;
+      }
+      logger.log(`[QUEUE] File added to queue. Queue length: ${pendingCount()}`);
 
       // Start processing if not already processing
       processQueue();
+    } else if (config.DRY_RUN && !isInProcessedFolder(filePath, target)) {
+      reportIgnoredFile(filePath, target);
     }
   });
 
@@ -194,19 +243,43 @@ function startWatcher() {
    * Event: 'error' - Fired when an error occurs
    */
   watcher.on('error', (err) => {
-    logger.error(`Watcher error: ${err.message}`);
+    logger.error(`[${target.name}] Watcher error: ${err.message}`);
   });
 
   /**
    * Event: 'ready' - Fired when initial scan is complete and watcher is ready
    */
   watcher.on('ready', () => {
-    logger.log('Watcher is ready and monitoring for new files');
+    logger.log(`[${target.name}] Watcher is ready and monitoring for new files`);
   });
 
   return watcher;
 }
 
+/**
+ * Initializes and starts one file watcher per watch target
+ * Monitors each folder for new files with that target's supported extensions
+ * @returns {chokidar.FSWatcher[]} The running watchers
+ */
+function startWatcher() {
+  logger.log(`Initializing folder watchers (${config.WATCH_TARGETS.length} target(s))...`);
+
+  const watchers = config.WATCH_TARGETS.map(watchTarget);
+
+  // Pick up anything left in the queue by a previous run,
+  // then anything dropped into the watch folders while we were stopped
+  resumeQueue()
+    .then(() => {
+      config.WATCH_TARGETS.forEach(scanBacklog);
+      processQueue();
+    })
+    .catch(error => {
+      logger.error(`[QUEUE] Failed to resume queue: ${error.message}`);
+    });
+
+  return watchers;
+}
+
 module.exports = {
   startWatcher
 };
@@ -7,6 +7,7 @@
  * Usage:
  *   node test-login.js
  *   node test-login.js --headless
+ *   node test-login.js --strategy=interactive   # log in by hand once, session is saved
  *
  * Exit codes:
  *   0 - Login successful
@@ -14,11 +15,14 @@
  */
 
 const { testGrainLogin } = require('./src/uploader');
+const { closeBrowser } = require('./src/browserManager');
 const logger = require('./src/utils/logger');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const headless = args.includes('--headless');
+const strategyArg = args.find(arg => arg.startsWith('--strategy='));
+const strategy = strategyArg ? strategyArg.split('=')[1] : undefined;
 
 logger.log('==========================================');
 logger.log('   Grain Login Test');
@@ -34,8 +38,9 @@ if (headless) {
 
 logger.log('');
 
-// Run the test
-testGrainLogin({ headless })
+// Run the test, then close the shared browser
+testGrainLogin({ headless, strategy })
+  .then(success => closeBrowser().then(() => success))
   .then(success => {
     logger.log('');
     logger.log('==========================================');
@@ -14,6 +14,8 @@
  */
 
 const { uploadFileToGrain } = require('./src/uploader');
+const { closeBrowser } = require('./src/browserManager');
+const { startDiagnostics } = require('./src/diagnostics');
 const logger = require('./src/utils/logger');
 const path = require('path');
 
@@ -49,8 +51,12 @@ if (headless) {
 
 logger.log('');
 
-// Run the upload
-uploadFileToGrain(filePath, { headless })
+// Record screenshots, network traffic and logs of the test (kept if it fails)
+const diagnostics = startDiagnostics('test-upload');
+
+// Run the upload, then close the shared browser
+uploadFileToGrain(filePath, { headless, diagnostics })
+  .then(result => closeBrowser().then(() => result))
   .then(result => {
     logger.log('');
     logger.log('==========================================');
@@ -64,13 +70,17 @@ uploadFileToGrain(filePath, { headless })
       logger.log('You can view your recording at:');
       logger.log(result.recordingUrl);
       logger.log('==========================================');
+      diagnostics.discard();
       process.exit(0);
     } else {
       logger.error('✗ UPLOAD FAILED');
       logger.log('');
       logger.error(`Reason: ${result.message}`);
       logger.log('');
-      logger.log('Check logs/ directory for error screenshots');
+      const bundle = diagnostics.keep();
+      if (bundle) {
+        logger.log(`Screenshots, network and console logs: ${bundle.dir}`);
+      }
       logger.log('==========================================');
       process.exit(1);
     }
@@ -79,6 +89,7 @@ uploadFileToGrain(filePath, { headless })
     logger.log('');
     logger.log('==========================================');
     logger.error(`✗ UPLOAD ERROR: ${error.message}`);
+    diagnostics.keep();
     logger.log('==========================================');
     process.exit(1);
   });